@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+// UCI engine over stdin/stdout, for chess GUIs and engine-testing tools.
+//   node bin/uci.js
+// The search runs in a worker thread so "stop" and "isready" are answered while it thinks;
+// the worker polls a shared flag through the abort signal analyzePosition already checks.
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const readline = require('readline');
+const EngineCore = require('../lib/engine-core.js');
+const { UciEngine } = require('../lib/uci.js');
+
+function runWorker() {
+  let tt = EngineCore.createTranspositionTable(16);
+  parentPort.on('message', message => {
+    if (message.type === 'hash') {
+      tt = EngineCore.createTranspositionTable(message.sizeMB);
+    } else if (message.type === 'clear') {
+      tt.clear();
+    } else if (message.type === 'search') {
+      const flag = new Int32Array(message.stopFlag);
+      const { request } = message;
+      try {
+        const result = EngineCore.analyzePosition(request.fen, {
+          ...request.limits,
+          moves: request.moves,
+          multiPV: request.multiPV,
+          chess960: request.chess960,
+          tt,
+          signal: { get aborted() { return Atomics.load(flag, 0) === 1; } },
+          onInfo: info => parentPort.postMessage({ type: 'info', info, hashfull: tt.hashfull() })
+        });
+        parentPort.postMessage({ type: 'done', result: { bestMove: result.bestMove, pv: result.pv } });
+      } catch (err) {
+        parentPort.postMessage({ type: 'error', message: err.message });
+      }
+    }
+  });
+}
+
+// Same interface as EngineUCI.createLocalSearcher, backed by the worker. A worker that
+// dies fails the search it was running and is started again for the next one.
+function createWorkerSearcher() {
+  const stopFlag = new Int32Array(new SharedArrayBuffer(4));
+  let worker = null;
+  let hashMB = null;
+  let pending = null;
+
+  const fail = err => {
+    if (!pending) return;
+    const { reject } = pending;
+    pending = null;
+    reject(err);
+  };
+
+  const start = () => {
+    worker = new Worker(__filename);
+    if (hashMB !== null) worker.postMessage({ type: 'hash', sizeMB: hashMB });
+    worker.on('message', message => {
+      if (!pending) return;
+      if (message.type === 'info') {
+        pending.onInfo(message.info, message.hashfull);
+      } else if (message.type === 'done') {
+        const { resolve } = pending;
+        pending = null;
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        fail(new Error(message.message));
+      }
+    });
+    worker.on('error', fail);
+    worker.on('exit', code => {
+      worker = null;
+      fail(new Error(`search worker exited with code ${code}`));
+    });
+    return worker;
+  };
+  start();
+
+  return {
+    setHash(sizeMB) {
+      hashMB = sizeMB;
+      if (worker) worker.postMessage({ type: 'hash', sizeMB });
+    },
+    clear() {
+      if (worker) worker.postMessage({ type: 'clear' });
+    },
+    search(request, onInfo) {
+      Atomics.store(stopFlag, 0, 0);
+      return new Promise((resolve, reject) => {
+        pending = { resolve, reject, onInfo };
+        (worker || start()).postMessage({ type: 'search', request, stopFlag: stopFlag.buffer });
+      });
+    },
+    stop() {
+      Atomics.store(stopFlag, 0, 1);
+    },
+    terminate() {
+      return worker ? worker.terminate() : Promise.resolve();
+    }
+  };
+}
+
+function main() {
+  const searcher = createWorkerSearcher();
+  const engine = new UciEngine({ searcher, write: line => process.stdout.write(line + '\n') });
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+  let quitting = false;
+  const quit = () => {
+    if (quitting) return;
+    quitting = true;
+    engine.stop();
+    // let a stopped search report its bestmove before exiting
+    Promise.resolve(engine.searching).then(() => searcher.terminate()).then(() => process.exit(0));
+  };
+  input.on('line', line => {
+    if (line.trim() === 'quit') quit();
+    else engine.handle(line);
+  });
+  input.on('close', quit);
+}
+
+if (isMainThread) main();
+else runWorker();
@@ -0,0 +1,375 @@
+// Board adapters: everything content.js knows about a site's board markup. An adapter
+// finds the board element and reads its pieces, orientation, move list and side to move;
+// readPosition turns that into the FEN to analyse, replaying the move list through
+// EngineCore when there is one. findBoard tries the adapters in order, so the chess.com one
+// wins over the generic FEN reader at the end of the list. The content scripts only run on
+// the hosts manifest.json matches, which is chess.com alone: there the generic adapter is
+// the fallback for views without a chess.com board, and another site needs its host added
+// to the manifest and its paths to page-context.js before any adapter sees it.
+//
+// An adapter is { name, matches(location), findBoard(doc), readPieces(board),
+// readOrientation(board), readMoveList(doc), readSideToMove(board, doc), readFen(board, doc) }
+// where readPieces gives an 8x8 grid indexed [rank][file] from a1 (FEN letters, '' for
+// empty), readMoveList the moves played so far as SAN and readFen a full FEN or null when
+// the page does not show one. An adapter may also have readStartFen(doc) for games that
+// did not start from the standard position.
+(function() {
+  const EngineCore = globalThis.EngineCore;
+
+  const FILES = 'abcdefgh';
+  const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  // move list entries that are not moves
+  const NOT_A_MOVE = /^(\d+\.+|1-0|0-1|1\/2-1\/2|\u00bd-\u00bd|\*)$/;
+
+  function emptyGrid() {
+    return Array.from({ length: 8 }, () => Array(8).fill(''));
+  }
+
+  // Grid from the placement field of a FEN, or null if it is not eight ranks of eight
+  function gridFromPlacement(placement) {
+    const ranks = placement.split('/');
+    if (ranks.length !== 8) return null;
+    const grid = emptyGrid();
+    for (let i = 0; i < 8; i++) {
+      let file = 0;
+      for (const ch of ranks[i]) {
+        if (/[1-8]/.test(ch)) file += parseInt(ch, 10);
+        else if (/[prnbqkPRNBQK]/.test(ch) && file < 8) grid[7 - i][file++] = ch;
+        else return null;
+      }
+      if (file !== 8) return null;
+    }
+    return grid;
+  }
+
+  function placementFromGrid(grid) {
+    const ranks = [];
+    for (let r = 7; r >= 0; r--) {
+      let rank = '';
+      let empty = 0;
+      for (let f = 0; f < 8; f++) {
+        const piece = grid[r][f];
+        if (piece) {
+          if (empty > 0) rank += empty;
+          empty = 0;
+          rank += piece;
+        } else {
+          empty++;
+        }
+      }
+      if (empty > 0) rank += empty;
+      ranks.push(rank);
+    }
+    return ranks.join('/');
+  }
+
+  // "Looks like a FEN" test for text found in the page: a placement field, optionally
+  // followed by the other fields
+  function asFen(text) {
+    if (!text) return null;
+    const fen = text.trim().replace(/_/g, ' ');
+    const placement = fen.split(/\s+/)[0];
+    return gridFromPlacement(placement) ? fen : null;
+  }
+
+  // Move list markup of the older and newer chess.com layouts; the first that has moves wins
+  const MOVE_LIST_SELECTORS = ['.vertical-move-list .move-text-component', 'wc-simple-move-list .node-highlight-content'];
+  // Where a chess.com page holds the PGN of its game: the share dialog's PGN tab
+  const PGN_SELECTORS = ['.share-menu-tab-pgn-textarea', 'textarea[name="pgn"]', '[data-pgn]'];
+
+  // chess.com: a <wc-chess-board>/<chess-board> element with one element per piece,
+  // classed like "piece wp square-52" (file 5, rank 2) or carrying data-piece/data-square
+  const chessComAdapter = {
+    name: 'chess.com',
+
+    matches(location) {
+      return /(^|\.)chess\.com$/.test(location.hostname);
+    },
+
+    findBoard(doc) {
+      return doc.querySelector('wc-chess-board') || doc.querySelector('chess-board') || doc.querySelector('.board');
+    },
+
+    readPieces(board) {
+      const grid = emptyGrid();
+      board.querySelectorAll('[data-piece], .piece').forEach(el => {
+        const piece = chessComAdapter.readPiece(el);
+        if (!piece) return;
+        const file = piece.square.charCodeAt(0) - 97;
+        const rank = parseInt(piece.square[1], 10) - 1;
+        if (file >= 0 && file < 8 && rank >= 0 && rank < 8) grid[rank][file] = piece.piece;
+      });
+      return grid;
+    },
+
+    readPiece(el) {
+      const pieceAttr = el.getAttribute('data-piece');
+      let piece = null;
+      if (pieceAttr) {
+        piece = pieceAttr[0] === 'w' ? pieceAttr[1].toUpperCase() : pieceAttr[1].toLowerCase();
+      } else {
+        const match = String(el.className).match(/\b([wb])([prnbqk])\b/);
+        if (match) piece = match[1] === 'w' ? match[2].toUpperCase() : match[2];
+      }
+      const square = el.getAttribute('data-square') || chessComAdapter.squareFromClass(String(el.className));
+      return piece && square ? { piece, square } : null;
+    },
+
+    // "square-52" is file 5, rank 2: e2
+    squareFromClass(className) {
+      const match = className.match(/square-([1-8])([1-8])/);
+      return match ? FILES[parseInt(match[1], 10) - 1] + match[2] : null;
+    },
+
+    readOrientation(board) {
+      const attr = board.getAttribute('data-board-orientation');
+      if (attr) return attr === 'black' ? 'black' : 'white';
+      return board.classList.contains('flipped') ? 'black' : 'white';
+    },
+
+    // Piece letters may be drawn as icons with data-figurine, so the text alone can read
+    // "f3" for Nf3 or "e8=" for e8=Q
+    readMoveList(doc) {
+      for (const selector of MOVE_LIST_SELECTORS) {
+        const nodes = doc.querySelectorAll(selector);
+        if (!nodes.length) continue;
+        return Array.from(nodes, node => {
+          const figurine = node.querySelector('[data-figurine]');
+          const text = node.textContent.replace(/\s+/g, '');
+          if (!figurine) return text;
+          const letter = figurine.getAttribute('data-figurine');
+          return text.includes('=') ? text.replace('=', `=${letter}`) : letter + text;
+        }).filter(Boolean);
+      }
+      return [];
+    },
+
+    readSideToMove(board, doc) {
+      const fen = chessComAdapter.readFen(board);
+      if (fen) return fen.split(' ')[1] || 'w';
+      return chessComAdapter.readMoveList(doc).length % 2 === 0 ? 'w' : 'b';
+    },
+
+    readFen(board) {
+      const fen = board.getAttribute('data-fen');
+      return fen && fen.trim().includes(' ') ? fen.trim() : null;
+    },
+
+    // The position a custom-setup or Chess960 game started from: the FEN tag of the game's
+    // PGN on the page, or the ?fen= an analysis link opened with. Chess960 starts come back
+    // as Shredder-FEN so that replayMoves plays castling by the Chess960 rules.
+    readStartFen(doc) {
+      let fen = null;
+      let chess960 = /chess960/i.test(doc.location ? doc.location.pathname : '');
+      for (const selector of PGN_SELECTORS) {
+        const el = doc.querySelector(selector);
+        const pgn = el && (el.value || el.getAttribute('data-pgn') || el.textContent);
+        if (!pgn) continue;
+        const tag = pgn.match(/\[FEN\s+"([^"]+)"\]/);
+        if (tag) fen = tag[1];
+        if (/\[Variant\s+"[^"]*(960|fischer)/i.test(pgn)) chess960 = true;
+        break;
+      }
+      if (!fen) fen = new URL(doc.location ? doc.location.href : doc.URL).searchParams.get('fen');
+      fen = asFen(fen);
+      if (!fen) return null;
+      return chess960 ? EngineCore.generateFEN(EngineCore.fenToState(fen, { chess960: true })) : fen;
+    }
+  };
+
+  // Views that show the position as a FEN somewhere rather than as readable pieces: a
+  // data-fen attribute, a FEN input or textarea, a ?fen= or #fen= parameter, or a path
+  // like /analysis/<fen with _ for spaces>. The board found is used for the arrow.
+  const BOARD_SELECTORS = ['[data-fen]', '.cg-wrap', 'cg-board', 'chess-board', '.chessboard', '.board'];
+  const FEN_INPUT_SELECTORS = ['input[name="fen"]', 'textarea[name="fen"]', 'input.fen', 'textarea.fen', '.fen input'];
+
+  const genericAdapter = {
+    name: 'generic',
+
+    matches() {
+      return true;
+    },
+
+    findBoard(doc) {
+      if (!genericAdapter.readFen(null, doc)) return null;
+      for (const selector of BOARD_SELECTORS) {
+        const board = doc.querySelector(selector);
+        if (board) return board;
+      }
+      return null;
+    },
+
+    readPieces(board, doc) {
+      const fen = genericAdapter.readFen(board, doc || board.ownerDocument);
+      return fen ? gridFromPlacement(fen.split(/\s+/)[0]) : emptyGrid();
+    },
+
+    readOrientation(board) {
+      const attr = board.getAttribute('data-orientation') || board.getAttribute('data-board-orientation') || board.getAttribute('orientation');
+      if (attr) return attr === 'black' ? 'black' : 'white';
+      const flipped = board.closest('.orientation-black, .flipped');
+      return flipped ? 'black' : 'white';
+    },
+
+    readMoveList() {
+      return [];
+    },
+
+    readSideToMove(board, doc) {
+      const fen = genericAdapter.readFen(board, doc);
+      return (fen && fen.split(/\s+/)[1]) || 'w';
+    },
+
+    readFen(board, doc) {
+      const candidates = [];
+      const attributed = board ? board.closest('[data-fen]') || board.querySelector('[data-fen]') : doc.querySelector('[data-fen]');
+      if (attributed) candidates.push(attributed.getAttribute('data-fen'));
+      for (const selector of FEN_INPUT_SELECTORS) {
+        const input = doc.querySelector(selector);
+        if (input) candidates.push(input.value);
+      }
+      const url = new URL(doc.location ? doc.location.href : doc.URL);
+      candidates.push(url.searchParams.get('fen'));
+      candidates.push(new URLSearchParams(url.hash.slice(1)).get('fen'));
+      const path = decodeURIComponent(url.pathname).match(/\/([prnbqkPRNBQK1-8]+(?:\/[prnbqkPRNBQK1-8]+){7}(?:[_ ].*)?)$/);
+      if (path) candidates.push(path[1]);
+      for (const candidate of candidates) {
+        const fen = asFen(candidate);
+        if (fen) return fen;
+      }
+      return null;
+    }
+  };
+
+  const ADAPTERS = [chessComAdapter, genericAdapter];
+
+  // Adds a site adapter ahead of the built-in ones
+  function registerAdapter(adapter) {
+    ADAPTERS.unshift(adapter);
+  }
+
+  // { adapter, board } for the first adapter that matches the page and finds a board
+  function findBoard(doc, location = doc.location) {
+    for (const adapter of ADAPTERS) {
+      if (!adapter.matches(location)) continue;
+      const board = adapter.findBoard(doc);
+      if (board) return { adapter, board };
+    }
+    return null;
+  }
+
+  // Castling rights the placement allows, for boards that do not say
+  function guessCastling(grid) {
+    const castling = [];
+    if (grid[0][4] === 'K' && grid[0][7] === 'R') castling.push('K');
+    if (grid[0][4] === 'K' && grid[0][0] === 'R') castling.push('Q');
+    if (grid[7][4] === 'k' && grid[7][7] === 'r') castling.push('k');
+    if (grid[7][4] === 'k' && grid[7][0] === 'r') castling.push('q');
+    return castling.length ? castling.join('') : '-';
+  }
+
+  // The en-passant square left by a last move that was a double pawn push
+  function guessEnPassant(grid, moves) {
+    const last = moves.length ? moves[moves.length - 1] : '';
+    const push = last.match(/^([a-h])([45])$/);
+    if (!push) return '-';
+    const file = push[1].charCodeAt(0) - 97;
+    if (push[2] === '4' && grid[3][file] === 'P') return `${push[1]}3`;
+    if (push[2] === '5' && grid[4][file] === 'p') return `${push[1]}6`;
+    return '-';
+  }
+
+  // Plays moves (SAN, as a move list shows them) from startFen through the core. Returns
+  // { fens, moves, error }: the FEN before the first move and after each one, the moves
+  // as { san, uci }, and for a move that cannot be played, what went wrong, with fens and
+  // moves stopping before it. Results and move numbers in the list are skipped.
+  function replayMoves(moves, startFen = START_FEN) {
+    const state = EngineCore.fenToState(startFen);
+    const fens = [EngineCore.generateFEN(state)];
+    const played = [];
+    for (const text of moves) {
+      if (NOT_A_MOVE.test(text)) continue;
+      const move = EngineCore.parseMove(state, text);
+      if (!move) {
+        return { fens, moves: played, error: `move ${played.length + 1}, ${text}, is not legal in ${fens[fens.length - 1]}` };
+      }
+      played.push({ san: EngineCore.toSAN(state, move), uci: EngineCore.toUCI(move, { chess960: state.chess960 }) });
+      EngineCore.makeMove(state, move);
+      fens.push(EngineCore.generateFEN(state));
+    }
+    return { fens, moves: played, error: null };
+  }
+
+  // "e4 has P on the board, nothing after the moves; ..." for the squares two grids differ on
+  function describeDifferences(grid, expected) {
+    const differences = [];
+    for (let r = 0; r < 8; r++) {
+      for (let f = 0; f < 8; f++) {
+        if (grid[r][f] === expected[r][f]) continue;
+        differences.push(`${FILES[f]}${r + 1} has ${grid[r][f] || 'nothing'} on the board, ${expected[r][f] || 'nothing'} after the moves`);
+      }
+    }
+    const shown = differences.slice(0, 3).join('; ');
+    return differences.length > 3 ? `${shown} and ${differences.length - 3} more` : shown;
+  }
+
+  // { fen, history, boardGrid, orientation, moves, source, mismatch } for the board.
+  // With a move list the game is replayed from the start position (or the adapter's
+  // readStartFen) and the position is the latest one whose pieces match the board, so
+  // stepping back through the moves works; history holds the FENs before it, for
+  // repetitions, and moves the moves that led to it. Without a usable move list a full FEN
+  // the page shows is taken as it is, and failing that one is built from the pieces with
+  // castling and en passant guessed. source says which ('moves', 'page' or 'pieces') and
+  // mismatch why a move list that is there could not be used.
+  function readPosition(adapter, board, doc = board.ownerDocument) {
+    const boardGrid = adapter.readPieces(board, doc);
+    const orientation = adapter.readOrientation(board);
+    const listed = adapter.readMoveList(doc);
+    const placement = placementFromGrid(boardGrid);
+    let mismatch = null;
+    if (listed.length) {
+      const startFen = (adapter.readStartFen && adapter.readStartFen(doc)) || START_FEN;
+      const replay = replayMoves(listed, startFen);
+      let index = replay.fens.length - 1;
+      while (index >= 0 && replay.fens[index].split(' ')[0] !== placement) index--;
+      if (replay.error) {
+        mismatch = `the move list cannot be replayed: ${replay.error}`;
+      } else if (index === -1) {
+        const expected = gridFromPlacement(replay.fens[replay.fens.length - 1].split(' ')[0]);
+        mismatch = `the board does not match the move list: ${describeDifferences(boardGrid, expected)}`;
+      } else {
+        return {
+          fen: replay.fens[index],
+          history: replay.fens.slice(0, index),
+          boardGrid,
+          orientation,
+          moves: replay.moves.slice(0, index),
+          source: 'moves',
+          mismatch
+        };
+      }
+    }
+    const moves = listed.map(san => ({ san, uci: null }));
+    const pageFen = adapter.readFen(board, doc);
+    // a bare placement says nothing about the side to move or castling
+    if (pageFen && pageFen.split(/\s+/).length >= 2) {
+      return { fen: pageFen, history: [], boardGrid, orientation, moves, source: 'page', mismatch };
+    }
+    const turn = adapter.readSideToMove(board, doc);
+    const fullmove = Math.floor(listed.length / 2) + 1;
+    const fen = `${placement} ${turn} ${guessCastling(boardGrid)} ${guessEnPassant(boardGrid, listed)} 0 ${fullmove}`;
+    return { fen, history: [], boardGrid, orientation, moves, source: 'pieces', mismatch };
+  }
+
+  globalThis.ChessAssistantBoards = {
+    ADAPTERS,
+    chessComAdapter,
+    genericAdapter,
+    registerAdapter,
+    findBoard,
+    readPosition,
+    replayMoves,
+    gridFromPlacement,
+    placementFromGrid
+  };
+})();
@@ -1,27 +1,48 @@
 (function() {
-  const engine = new ChessEngine({ depth: 3 });
+  const engine = new ChessEngine({ bookUrl: chrome.runtime.getURL('books/openings.bin') });
+  // replaced by the stored settings before init and whenever they change
+  let settings = ChessAssistantSettings.DEFAULT_SETTINGS;
+  // settings that change what the engine is asked, so the position is analysed again
+  const ENGINE_SETTINGS = ['depth', 'movetime', 'multiPV'];
+  // mate search mode gives up after this long and reports what it proved
+  const MATE_LIMITS = { movetime: 10000 };
+  const MAX_MATE_MOVES = 6;
+  // how often the page is checked for a game starting or ending without a board change
+  const CONTEXT_CHECK_MS = 1000;
   let observer = null;
   let overlayCanvas = null;
   let overlayCtx = null;
   let sidebar = null;
-  let lastEvaluation = null;
+  let lastResult = null;
   let analyzeTimeout = null;
+  let boardElement = null;
+  // the ChessAssistantBoards adapter that found boardElement and reads it
+  let adapter = null;
+  let updateSettingsForm = null;
+  // the arrow on the board, redrawn when its colour or visibility changes
+  let arrow = { move: null, orientation: 'white' };
+  // set while a game against a person is in progress: nothing from the engine is shown
+  let gated = false;
 
   function init() {
-    const boardEl = findBoard();
-    if (!boardEl) {
+    const found = ChessAssistantBoards.findBoard(document);
+    if (!found) {
       setTimeout(init, 1000);
       return;
     }
+    const boardEl = found.board;
+    adapter = found.adapter;
+    boardElement = boardEl;
     setupOverlay(boardEl);
     setupSidebar();
     observeBoard(boardEl);
     analyzeBoard(boardEl);
     window.addEventListener('resize', () => resizeOverlay(boardEl));
-  }
-
-  function findBoard() {
-    return document.querySelector('chess-board') || document.querySelector('.board') || document.querySelector('div[class*="board"]');
+    // a game ending (or a new one starting) does not always change the board
+    setInterval(() => {
+      const wasGated = gated;
+      if (!updateGate() && wasGated) analyzeBoard(boardEl);
+    }, CONTEXT_CHECK_MS);
   }
 
   function setupOverlay(boardEl) {
@@ -55,187 +76,229 @@
     sidebar = document.createElement('div');
     sidebar.id = 'chess-assistant-sidebar';
     sidebar.innerHTML = `
-      <h3>Chess Assistant</h3>
-      <div class="ca-row" id="ca-best-move">Best move: ...</div>
-      <div class="ca-row" id="ca-eval">Evaluation: ...</div>
-      <div class="ca-row" id="ca-depth">Depth: ...</div>
-      <div class="ca-row" id="ca-blunder">Blunder risk: ...</div>
+      <div class="ca-header">
+        <h3>Chess Assistant</h3>
+        <button type="button" id="ca-collapse" title="Collapse"></button>
+      </div>
+      <div class="ca-body">
+        <div class="ca-row ca-gate" id="ca-gate">Engine hidden while this game is in progress</div>
+        <div class="ca-row ca-mode">
+          <select id="ca-mode">
+            <option value="analysis">Analysis</option>
+            <option value="mate">Mate in</option>
+          </select>
+          <input type="number" id="ca-mate-n" min="1" max="${MAX_MATE_MOVES}" value="3" hidden>
+        </div>
+        <div class="ca-row ca-analysis" id="ca-best-move">Best move: ...</div>
+        <div class="ca-row ca-analysis" id="ca-eval">Evaluation: ...</div>
+        <div class="ca-row ca-analysis" id="ca-depth">Depth: ...</div>
+        <div class="ca-row ca-analysis ca-last-move" id="ca-last-move">Last move: ...</div>
+        <div class="ca-row ca-analysis ca-book" id="ca-book" hidden></div>
+        <div class="ca-row ca-mate" id="ca-mate">Mate search: ...</div>
+        <div class="ca-row ca-error" id="ca-error" hidden></div>
+        <div class="ca-row ca-mismatch" id="ca-mismatch" hidden></div>
+        <ol class="ca-lines ca-analysis" id="ca-lines"></ol>
+        <details class="ca-settings">
+          <summary>Settings</summary>
+          <div id="ca-settings-form"></div>
+        </details>
+      </div>
     `;
     document.body.appendChild(sidebar);
+    updateSettingsForm = ChessAssistantSettings.renderSettingsForm(sidebar.querySelector('#ca-settings-form'), settings);
+    sidebar.querySelector('#ca-collapse').addEventListener('click', () => {
+      ChessAssistantSettings.saveSettings({ collapsed: !settings.collapsed });
+    });
+    applySidebarSettings();
+    const modeSelect = sidebar.querySelector('#ca-mode');
+    const mateInput = sidebar.querySelector('#ca-mate-n');
+    modeSelect.addEventListener('change', () => {
+      const mateMode = modeSelect.value === 'mate';
+      sidebar.classList.toggle('ca-mate-mode', mateMode);
+      mateInput.hidden = !mateMode;
+      analyzeBoard(boardElement);
+    });
+    mateInput.addEventListener('change', () => analyzeBoard(boardElement));
   }
 
   function observeBoard(boardEl) {
     observer = new MutationObserver(() => {
       if (analyzeTimeout) clearTimeout(analyzeTimeout);
-      analyzeTimeout = setTimeout(() => analyzeBoard(boardEl), 400);
+      analyzeTimeout = setTimeout(() => analyzeBoard(boardEl), settings.debounce);
     });
     observer.observe(boardEl, { childList: true, subtree: true, attributes: true });
   }
 
-  function analyzeBoard(boardEl) {
-    const position = extractPosition(boardEl);
-    if (!position) return;
-    resizeOverlay(boardEl);
-    const fen = readFenFromDom(boardEl) || buildFEN(position);
-    const result = engine.analyzePosition(fen, { depth: 3 });
-    updateSidebar(result);
-    drawArrow(boardEl, result.moveObject, position.orientation);
+  // Re-reads the page context and hides or shows the engine output; true while gated
+  function updateGate() {
+    const context = ChessAssistantContext.detectPageContext(document, location.href);
+    const nextGated = !ChessAssistantContext.engineAllowed(context);
+    if (nextGated && !gated) {
+      engine.cancel();
+      drawArrow(boardElement, null, arrow.orientation);
+      // the verdict would compare positions from either side of the gap
+      lastResult = null;
+    }
+    gated = nextGated;
+    if (sidebar) sidebar.classList.toggle('ca-gated', gated);
+    return gated;
   }
 
-  function readFenFromDom(boardEl) {
-    const fenAttr = boardEl.getAttribute('data-fen');
-    if (fenAttr && fenAttr.includes(' ')) {
-      return fenAttr.trim();
+  function analyzeBoard(boardEl) {
+    if (updateGate()) return;
+    const position = ChessAssistantBoards.readPosition(adapter, boardEl);
+    resizeOverlay(boardEl);
+    const fen = position.fen;
+    showMismatch(position.mismatch);
+    // a misread board would otherwise be analysed as if it were a real position
+    const validation = EngineCore.validateFEN(fen);
+    if (!validation.valid) {
+      engine.cancel();
+      showInvalidPosition(validation.errors);
+      drawArrow(boardEl, null, position.orientation);
+      showBook([]);
+      return;
+    }
+    showInvalidPosition([]);
+    if (sidebar.querySelector('#ca-mode').value === 'mate') {
+      solveMate(boardEl, fen, position);
+      return;
     }
-    return null;
+    // starting a new analysis cancels the one for the previous position
+    // the search runs in a worker, so it can go deeper than the page thread could afford
+    engine.analyzePosition(fen, {
+      depth: settings.depth,
+      movetime: settings.movetime || undefined,
+      multiPV: settings.multiPV,
+      // earlier positions of the replayed game, so repetitions count
+      history: position.history,
+      strict: true,
+      onBook: showBook,
+      onInfo: info => {
+        showAnalysis(info);
+        drawArrow(boardEl, info.moveObject, position.orientation);
+      }
+    }).then(result => {
+      updateSidebar(result);
+      drawArrow(boardEl, result.moveObject, position.orientation);
+    }).catch(err => {
+      if (err.name !== 'AbortError') console.error('Chess Assistant analysis failed', err);
+    });
   }
 
-  function extractPosition(boardEl) {
-    const boardGrid = Array.from({ length: 8 }, () => Array(8).fill(''));
-    const pieces = boardEl.querySelectorAll('[data-piece], .piece');
-    pieces.forEach(el => {
-      const info = readPiece(el);
-      if (!info) return;
-      const square = info.square;
-      if (!square) return;
-      const file = square.charCodeAt(0) - 'a'.charCodeAt(0);
-      const rank = parseInt(square[1], 10) - 1;
-      if (file < 0 || file > 7 || rank < 0 || rank > 7) return;
-      boardGrid[rank][file] = info.piece;
+  // Mate search mode: the sidebar shows the keys and main line of a forced mate in N
+  // instead of the analysis, and the arrow shows the first key
+  function solveMate(boardEl, fen, position) {
+    const input = sidebar.querySelector('#ca-mate-n');
+    const n = Math.max(1, Math.min(MAX_MATE_MOVES, parseInt(input.value, 10) || 1));
+    const mateRow = sidebar.querySelector('#ca-mate');
+    mateRow.textContent = `Searching for mate in ${n}...`;
+    drawArrow(boardEl, null, position.orientation);
+    engine.findMate(fen, n, { ...MATE_LIMITS, strict: true }).then(result => {
+      mateRow.textContent = describeMate(result);
+      drawArrow(boardEl, result.mate ? result.keys[0].moveObject : null, position.orientation);
+    }).catch(err => {
+      if (err.name !== 'AbortError') console.error('Chess Assistant mate search failed', err);
     });
-    const orientation = boardEl.getAttribute('data-board-orientation') || 'white';
-    const turn = detectTurn(boardEl);
-    const castling = detectCastling(boardGrid, boardEl);
-    const enPassant = detectEnPassant(boardGrid);
-    return { boardGrid, orientation, turn, castling, enPassant };
   }
 
-  function detectTurn(boardEl) {
-    const fenAttr = boardEl.getAttribute('data-fen');
-    if (fenAttr && fenAttr.includes(' ')) {
-      const parts = fenAttr.trim().split(' ');
-      if (parts[1]) return parts[1];
-    }
-    const moves = document.querySelectorAll('.vertical-move-list .move-text-component');
-    if (moves && moves.length) {
-      return moves.length % 2 === 0 ? 'w' : 'b';
+  function describeMate(result) {
+    if (!result.mate) {
+      return result.aborted ? `No mate in ${result.n} found in time` : `No mate in ${result.n}`;
     }
-    return 'w';
+    // keys that mate more slowly than the quickest get their own length
+    const keys = result.keys.map(k => (k.mateIn > result.mateIn ? `${k.san} (${k.mateIn})` : k.san));
+    return `Mate in ${result.mateIn}: ${keys.join(', ')}. ${result.lineSan.join(' ')}`;
   }
 
-  function detectCastling(grid, boardEl) {
-    const fenAttr = boardEl.getAttribute('data-fen');
-    if (fenAttr && fenAttr.includes(' ')) {
-      const parts = fenAttr.trim().split(' ');
-      if (parts[2]) return parts[2];
-    }
-    const castling = [];
-    if (grid[0][4] === 'K' && grid[0][7] === 'R') castling.push('K');
-    if (grid[0][4] === 'K' && grid[0][0] === 'R') castling.push('Q');
-    if (grid[7][4] === 'k' && grid[7][7] === 'r') castling.push('k');
-    if (grid[7][4] === 'k' && grid[7][0] === 'r') castling.push('q');
-    return castling.length ? castling.join('') : '-';
+  // Lists validation errors in place of the analysis; an empty list hides the message
+  function showInvalidPosition(errors) {
+    if (!sidebar) return;
+    const errorRow = sidebar.querySelector('#ca-error');
+    errorRow.hidden = errors.length === 0;
+    if (!errors.length) return;
+    errorRow.textContent = `Cannot analyse this position: ${errors.map(e => e.message).join('; ')}`;
+    sidebar.querySelector('#ca-best-move').textContent = 'Best move: none';
+    sidebar.querySelector('#ca-eval').textContent = 'Evaluation: ...';
+    sidebar.querySelector('#ca-depth').textContent = 'Depth: ...';
+    renderLines([]);
   }
 
-  function detectEnPassant(grid) {
-    const moves = document.querySelectorAll('.vertical-move-list .move-text-component');
-    if (!moves || moves.length === 0) return '-';
-    const lastMove = moves[moves.length - 1].textContent.trim();
-    const simplePawnPush = lastMove.match(/^([a-h])([45])$/);
-    if (!simplePawnPush) return '-';
-    const file = simplePawnPush[1];
-    const rank = parseInt(simplePawnPush[2], 10);
-    // white pawn from rank 2 -> 4 creates target on rank 3; black from 7 -> 5 creates target on rank 6
-    if (rank === 4 && grid[3][file.charCodeAt(0) - 97] === 'P') {
-      return `${file}3`;
-    }
-    if (rank === 5 && grid[4][file.charCodeAt(0) - 97] === 'p') {
-      return `${file}6`;
-    }
-    return '-';
+  // The position was read from the pieces because the move list disagreed with them
+  function showMismatch(mismatch) {
+    if (!sidebar) return;
+    const row = sidebar.querySelector('#ca-mismatch');
+    row.hidden = !mismatch;
+    row.textContent = mismatch ? `Reading the board only, ${mismatch}` : '';
   }
 
-  function buildFEN(position) {
-    const { boardGrid, turn, castling, enPassant } = position;
-    let fenBoard = '';
-    for (let r = 7; r >= 0; r--) {
-      let empty = 0;
-      for (let f = 0; f < 8; f++) {
-        const piece = boardGrid[r][f];
-        if (piece) {
-          if (empty > 0) {
-            fenBoard += empty;
-            empty = 0;
-          }
-          fenBoard += piece;
-        } else {
-          empty++;
-        }
-      }
-      if (empty > 0) fenBoard += empty;
-      if (r !== 0) fenBoard += '/';
-    }
-    const ep = enPassant || '-';
-    const halfmove = '0';
-    const fullmove = `${Math.max(1, Math.ceil(document.querySelectorAll('.vertical-move-list .move-text-component').length / 2))}`;
-    return `${fenBoard} ${turn} ${castling} ${ep} ${halfmove} ${fullmove}`;
+  // Called with every progress report while the search deepens, and with the final result
+  function showAnalysis(result) {
+    if (!sidebar) return;
+    sidebar.querySelector('#ca-best-move').textContent = `Best move: ${result.bestMoveSan || 'none'}`;
+    sidebar.querySelector('#ca-eval').textContent = `Evaluation: ${formatScore(result)}`;
+    sidebar.querySelector('#ca-depth').textContent = `Depth: ${result.depth}`;
+    renderLines(result.lines || []);
   }
 
-  function readPiece(el) {
-    const pieceAttr = el.getAttribute('data-piece');
-    let pieceCode = null;
-    if (pieceAttr) {
-      const color = pieceAttr[0] === 'w' ? 'white' : 'black';
-      const type = pieceAttr[1];
-      pieceCode = color === 'white' ? type.toUpperCase() : type.toLowerCase();
-    } else {
-      const className = el.className;
-      const match = className.match(/\b([wb])([prnbqk])\b/);
-      if (match) {
-        pieceCode = match[1] === 'w' ? match[2].toUpperCase() : match[2];
-      }
-    }
-    const square = el.getAttribute('data-square') || parseSquareFromClass(el.className);
-    if (!pieceCode || !square) return null;
-    return { piece: pieceCode, square };
+  // Book moves arrive before the search starts; out of book the row is hidden
+  function showBook(moves) {
+    if (!sidebar) return;
+    const bookRow = sidebar.querySelector('#ca-book');
+    bookRow.hidden = moves.length === 0;
+    bookRow.textContent = `In book: ${moves.map(m => `${m.san} ${Math.round(m.probability * 100)}%`).join(', ')}`;
   }
 
-  function parseSquareFromClass(className) {
-    const match = className.match(/square-([1-8][1-8])/);
-    if (match) {
-      const num = parseInt(match[1], 10);
-      const file = (num % 10) - 1;
-      const rank = Math.floor(num / 10) - 1;
-      if (file >= 0 && file < 8 && rank >= 0 && rank < 8) {
-        return String.fromCharCode('a'.charCodeAt(0) + file) + (rank + 1);
-      }
+  function updateSidebar(result) {
+    if (!sidebar) return;
+    showAnalysis(result);
+    if (!lastResult || lastResult.fen !== result.fen) {
+      sidebar.querySelector('#ca-last-move').textContent = describeLastMove(lastResult, result);
+      lastResult = result;
     }
-    return null;
   }
 
-  function updateSidebar(result) {
-    if (!sidebar) return;
-    const bestMoveRow = sidebar.querySelector('#ca-best-move');
-    const evalRow = sidebar.querySelector('#ca-eval');
-    const depthRow = sidebar.querySelector('#ca-depth');
-    const blunderRow = sidebar.querySelector('#ca-blunder');
-    bestMoveRow.textContent = `Best move: ${result.bestMove || 'none'}`;
-    evalRow.textContent = `Evaluation: ${result.evaluation.toFixed(2)}`;
-    depthRow.textContent = `Depth: ${result.depth}`;
-    const blunder = lastEvaluation !== null && Math.abs(result.evaluation - lastEvaluation) > 1.5;
-    blunderRow.textContent = blunder ? 'Blunder risk detected' : 'Stable';
-    lastEvaluation = result.evaluation;
+  // Classifies the move between two consecutive analyses. The previous analysis gives the
+  // best score the mover had; the current one the score after the move they chose.
+  function describeLastMove(previous, result) {
+    const sideToMove = result.fen.split(' ')[1];
+    if (!previous || previous.fen.split(' ')[1] === sideToMove) return 'Last move: ...';
+    const whiteMoved = sideToMove === 'b';
+    const verdict = EngineReview.classifyMove(previous, result, whiteMoved, false, { blunder: settings.blunderThreshold / 100 });
+    const loss = verdict.cpLoss ? ` (-${(verdict.cpLoss / 100).toFixed(2)})` : '';
+    return `Last move (${whiteMoved ? 'White' : 'Black'}): ${verdict.classification}${loss}`;
+  }
+
+  function formatScore(line) {
+    if (line.mate !== null && line.mate !== undefined) return `#${line.mate}`;
+    return `${line.evaluation > 0 ? '+' : ''}${line.evaluation.toFixed(2)}`;
+  }
+
+  function renderLines(lines) {
+    const list = sidebar.querySelector('#ca-lines');
+    list.innerHTML = '';
+    for (const line of lines) {
+      const item = document.createElement('li');
+      const score = document.createElement('span');
+      score.className = 'ca-line-score';
+      score.textContent = formatScore(line);
+      item.appendChild(score);
+      item.appendChild(document.createTextNode(` ${line.pvSan.join(' ')}`));
+      item.title = line.pv.join(' ');
+      list.appendChild(item);
+    }
   }
 
   function drawArrow(boardEl, move, orientation) {
     if (!overlayCtx) return;
+    arrow = { move, orientation };
     overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
-    if (!move) return;
+    if (!move || !settings.showArrow) return;
     const rect = boardEl.getBoundingClientRect();
     const squareSize = rect.width / 8;
     const from = squareToPoint(move.from, squareSize, orientation);
     const to = squareToPoint(move.to, squareSize, orientation);
-    overlayCtx.strokeStyle = 'rgba(0, 128, 0, 0.7)';
+    overlayCtx.strokeStyle = arrowColor();
     overlayCtx.lineWidth = Math.max(4, squareSize * 0.08);
     overlayCtx.lineCap = 'round';
     overlayCtx.beginPath();
@@ -266,9 +329,45 @@
     overlayCtx.moveTo(to.x, to.y);
     overlayCtx.lineTo(to.x - headLength * Math.cos(angle - Math.PI / 6), to.y - headLength * Math.sin(angle - Math.PI / 6));
     overlayCtx.lineTo(to.x - headLength * Math.cos(angle + Math.PI / 6), to.y - headLength * Math.sin(angle + Math.PI / 6));
-    overlayCtx.fillStyle = 'rgba(0, 128, 0, 0.7)';
+    overlayCtx.fillStyle = arrowColor();
     overlayCtx.fill();
   }
 
-  init();
+  function arrowColor() {
+    const hex = parseInt(settings.arrowColor.slice(1), 16);
+    return `rgba(${hex >> 16}, ${(hex >> 8) & 0xff}, ${hex & 0xff}, ${settings.arrowOpacity})`;
+  }
+
+  // Placement, collapse and which panels show are all classes and styles on the sidebar
+  function applySidebarSettings() {
+    if (!sidebar) return;
+    sidebar.classList.toggle('ca-left', settings.sidebarSide === 'left');
+    sidebar.classList.toggle('ca-collapsed', settings.collapsed);
+    sidebar.classList.toggle('ca-hide-lines', !settings.showLines);
+    sidebar.classList.toggle('ca-hide-book', !settings.showBook);
+    sidebar.classList.toggle('ca-hide-last-move', !settings.showLastMove);
+    sidebar.style.top = `${settings.sidebarTop}px`;
+    const collapse = sidebar.querySelector('#ca-collapse');
+    collapse.textContent = settings.collapsed ? '+' : '\u2212';
+    collapse.title = settings.collapsed ? 'Expand' : 'Collapse';
+  }
+
+  // Settings changed here, on the options page or in another tab
+  function applySettings(next, changedKeys) {
+    settings = next;
+    if (updateSettingsForm) updateSettingsForm(settings);
+    applySidebarSettings();
+    if (!boardElement) return;
+    if (changedKeys.some(key => ENGINE_SETTINGS.includes(key))) {
+      analyzeBoard(boardElement);
+    } else {
+      drawArrow(boardElement, arrow.move, arrow.orientation);
+    }
+  }
+
+  ChessAssistantSettings.onSettingsChanged(applySettings);
+  ChessAssistantSettings.loadSettings().then(loaded => {
+    settings = loaded;
+    init();
+  });
 })();
@@ -0,0 +1,74 @@
+// Worker side of ChessEngine. engine.js loads this after lib/kpk.js, lib/engine-core.js and
+// lib/polyglot.js in one blob, so EngineCore and EnginePolyglot are globals here. The
+// transposition table and the opening book live in the worker between searches.
+let tt = EngineCore.createTranspositionTable(16);
+let book = null;
+// { id, search } for the analysis in progress. It runs one iteration per task, so a
+// 'stop' or the next 'analyze' is read between iterations and the table is kept.
+let running = null;
+
+function postError(id, err) {
+  self.postMessage({ type: 'error', id, name: err.name, message: err.message, errors: err.errors });
+}
+
+function continueAnalysis(id) {
+  if (!running || running.id !== id) return;
+  let more;
+  try {
+    more = running.search.step();
+  } catch (err) {
+    running = null;
+    postError(id, err);
+    return;
+  }
+  if (more) {
+    setTimeout(() => continueAnalysis(id), 0);
+    return;
+  }
+  const result = running.search.result();
+  running = null;
+  self.postMessage({ type: 'result', id, result });
+}
+
+self.onmessage = event => {
+  const message = event.data;
+  if (message.type === 'init') {
+    tt = EngineCore.createTranspositionTable(message.hashSize);
+    book = message.book ? new EnginePolyglot.PolyglotBook(message.book) : null;
+    self.postMessage({ type: 'ready' });
+  } else if (message.type === 'clear') {
+    tt.clear();
+  } else if (message.type === 'stop') {
+    if (running && running.id === message.id) running = null;
+    self.postMessage({ type: 'stopped', id: message.id });
+  } else if (message.type === 'analyze') {
+    const { id } = message;
+    const { useBook, ...options } = message.options;
+    try {
+      running = {
+        id,
+        search: EngineCore.createAnalysis(message.fen, {
+          ...options,
+          tt,
+          book: useBook ? book : null,
+          onBook: moves => self.postMessage({ type: 'book', id, moves }),
+          onInfo: info => self.postMessage({ type: 'info', id, info })
+        })
+      };
+    } catch (err) {
+      running = null;
+      postError(id, err);
+      return;
+    }
+    continueAnalysis(id);
+  } else if (message.type === 'mate') {
+    // a mate search is a single call; engine.js replaces the worker to stop one early
+    running = null;
+    const { id } = message;
+    try {
+      self.postMessage({ type: 'result', id, result: EngineCore.findMate(message.fen, message.n, message.options) });
+    } catch (err) {
+      postError(id, err);
+    }
+  }
+};
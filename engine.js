@@ -1,17 +1,330 @@
-class ChessEngine {
+// Scripts concatenated into the worker; all are web_accessible_resources in the manifest
+const WORKER_SCRIPTS = ['lib/kpk.js', 'lib/engine-core.js', 'lib/polyglot.js', 'engine-worker.js'];
+// How long a cancelled search may take to reach the end of its iteration before the
+// worker is replaced
+const STOP_TIMEOUT_MS = 1000;
+
+function cancelledError() {
+  return new DOMException('Analysis cancelled', 'AbortError');
+}
+
+// Runs EngineCore searches in a dedicated worker. analyzePosition returns a promise and the
+// engine dispatches 'info' events (detail: the onInfo payload plus fen) after every depth
+// and a 'result' event when a search finishes. With a bookUrl (a Polyglot .bin inside the
+// extension) the book moves for each position are dispatched as a 'book' event (detail:
+// { moves, fen }) before the search starts. findMate runs the mate solver the same way and
+// dispatches a 'mate' event with its result. Starting a new analysis or mate search
+// cancels the running one, whose promise rejects with an AbortError.
+class ChessEngine extends EventTarget {
   constructor(options = {}) {
+    super();
+    // the depth when a call gives none, and the most a search on the page thread goes to
     this.depth = options.depth || 3;
+    this.multiPV = options.multiPV || 1;
+    this.hashSize = options.hashSize || 16;
+    this.bookUrl = options.bookUrl || null;
+    // evaluation weights for every search, partial like EngineCore.resolveWeights takes
+    this.weights = options.weights || null;
+    this.bookData = null;
+    this.book = null;
+    this.worker = null;
+    this.workerUrl = null;
+    // set when the page does not allow workers; searches then run on the page thread
+    this.inPage = false;
+    this.tt = null;
+    this.pending = null;
+    this.nextId = 1;
+    // id of the cancelled search the worker has not confirmed stopping yet
+    this.stopping = null;
+    this.stopTimer = null;
   }
 
+  // options: depth, movetime (ms), nodes, multiPV, signal (AbortSignal), onInfo(info) per
+  // iteration, history (earlier FENs) and moves (played from fen) for repetition detection,
+  // strict to reject an invalid FEN (see EngineCore.validateFEN), chess960 to read KQkq
+  // as X-FEN and write castling as king takes rook, weights to evaluate with instead of
+  // the engine's, onBook(moves) with the book moves before the search and book: false to
+  // skip the book for this call.
+  // With only a time or node limit the depth is left open.
   analyzePosition(fen, options = {}) {
-    const depth = options.depth || this.depth;
-    const result = EngineCore.analyzePosition(fen, { depth });
-    return {
-      bestMove: result.bestMove,
-      evaluation: result.evaluation,
-      depth: result.depth,
-      moveObject: result.moveObject
+    const timed = options.movetime || options.nodes;
+    return this.start({
+      type: 'analyze',
+      fen,
+      options: {
+        depth: options.depth || (timed ? undefined : this.depth),
+        movetime: options.movetime,
+        nodes: options.nodes,
+        multiPV: options.multiPV || this.multiPV,
+        history: options.history,
+        moves: options.moves,
+        strict: options.strict,
+        chess960: options.chess960,
+        weights: options.weights || this.weights,
+        useBook: options.book !== false
+      }
+    }, options);
+  }
+
+  // Proves or refutes a forced mate in n for the side to move (see EngineCore.findMate).
+  // Shares the worker with analyzePosition: each cancels the other. options: nodes,
+  // movetime, signal, strict, chess960.
+  findMate(fen, n, options = {}) {
+    return this.start({
+      type: 'mate',
+      fen,
+      n,
+      options: {
+        nodes: options.nodes,
+        movetime: options.movetime,
+        strict: options.strict,
+        chess960: options.chess960
+      }
+    }, options);
+  }
+
+  start(request, options) {
+    this.cancel();
+    request.id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(cancelledError());
+        return;
+      }
+      this.pending = {
+        id: request.id,
+        type: request.type,
+        fen: request.fen,
+        request,
+        resolve,
+        reject,
+        onInfo: options.onInfo,
+        onBook: options.onBook
+      };
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          if (this.pending && this.pending.id === request.id) this.cancel();
+        }, { once: true });
+      }
+      this.send(request);
+    });
+  }
+
+  send(request) {
+    this.getWorker().then(worker => {
+      if (!this.pending || this.pending.id !== request.id) return;
+      worker.postMessage(request);
+    }, () => this.runInPageFallback(request));
+  }
+
+  runInPageFallback(request) {
+    this.inPage = true;
+    this.getBookData().then(data => {
+      if (data && !this.book) this.book = new EnginePolyglot.PolyglotBook(data);
+      this.runInPage(request);
+    });
+  }
+
+  // Stops the running search. The worker stops an analysis between two iterations and
+  // keeps its transposition table; if it has not confirmed within STOP_TIMEOUT_MS (a long
+  // iteration, or a mate search, which runs as one call) it is replaced.
+  cancel() {
+    if (!this.pending) return;
+    const { id, reject } = this.pending;
+    this.pending = null;
+    if (this.worker) {
+      const worker = this.worker;
+      worker.postMessage({ type: 'stop', id });
+      this.stopping = id;
+      clearTimeout(this.stopTimer);
+      this.stopTimer = setTimeout(() => {
+        if (this.worker === worker && this.stopping === id) this.resetWorker();
+      }, STOP_TIMEOUT_MS);
+    }
+    reject(cancelledError());
+  }
+
+  // Replaces a stuck or failed worker; the search waiting for it goes to the new one
+  resetWorker() {
+    clearTimeout(this.stopTimer);
+    this.stopping = null;
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    if (this.pending) this.send(this.pending.request);
+  }
+
+  // An error event means the worker script failed or the page blocked it. One that never
+  // started is treated like a worker that could not be created; otherwise the search
+  // rejects and the next one gets a new worker.
+  handleWorkerError(worker, ready, event) {
+    if (this.worker !== worker) return;
+    clearTimeout(this.stopTimer);
+    this.stopping = null;
+    worker.terminate();
+    this.worker = null;
+    if (!this.pending) return;
+    if (!ready) {
+      this.runInPageFallback(this.pending.request);
+      return;
+    }
+    const { reject } = this.pending;
+    this.pending = null;
+    reject(new Error(event.message || 'Engine worker failed'));
+  }
+
+  getWorker() {
+    if (this.inPage) return Promise.reject(new Error('Workers unavailable'));
+    if (this.worker) return Promise.resolve(this.worker);
+    if (!this.workerUrl) {
+      this.workerUrl = Promise.all(WORKER_SCRIPTS.map(path =>
+        fetch(chrome.runtime.getURL(path)).then(response => response.text())
+      )).then(sources => URL.createObjectURL(new Blob(sources, { type: 'text/javascript' })));
+    }
+    return Promise.all([this.workerUrl, this.getBookData()]).then(([url, book]) => {
+      if (this.worker) return this.worker;
+      // the page's CSP may forbid blob: workers, in which case this throws
+      const worker = new Worker(url);
+      let ready = false;
+      worker.onmessage = event => {
+        if (event.data.type === 'ready') ready = true;
+        else this.handleMessage(event.data);
+      };
+      worker.onerror = event => {
+        event.preventDefault();
+        this.handleWorkerError(worker, ready, event);
+      };
+      worker.postMessage({ type: 'init', hashSize: this.hashSize, book });
+      this.worker = worker;
+      return worker;
+    });
+  }
+
+  // Fetched once and copied into every worker. A missing or unreadable book only means
+  // analysis runs without one.
+  getBookData() {
+    if (!this.bookUrl) return Promise.resolve(null);
+    if (!this.bookData) {
+      this.bookData = fetch(this.bookUrl)
+        .then(response => response.ok ? response.arrayBuffer() : null)
+        .catch(() => null);
+    }
+    return this.bookData;
+  }
+
+  handleMessage(message) {
+    // the worker reads messages in order, so anything about a later search also means
+    // the cancelled one has stopped
+    if (this.stopping !== null && (message.id > this.stopping || (message.type === 'stopped' && message.id === this.stopping))) {
+      clearTimeout(this.stopTimer);
+      this.stopping = null;
+    }
+    if (message.type === 'stopped') return;
+    if (!this.pending || this.pending.id !== message.id) return;
+    if (message.type === 'book') {
+      this.reportBook(message.moves);
+    } else if (message.type === 'info') {
+      this.reportInfo(message.info);
+    } else if (message.type === 'result' && this.pending.type === 'mate') {
+      this.finishMate(message.result);
+    } else if (message.type === 'result') {
+      this.finish(message.result);
+    } else if (message.type === 'error') {
+      const { reject } = this.pending;
+      this.pending = null;
+      // errors do not survive postMessage intact; keep what callers check
+      const err = new Error(message.message);
+      err.name = message.name;
+      if (message.errors) err.errors = message.errors;
+      reject(err);
+    }
+  }
+
+  reportInfo(info) {
+    const { fen, onInfo } = this.pending;
+    if (onInfo) onInfo(info);
+    this.dispatchEvent(new CustomEvent('info', { detail: { ...info, fen } }));
+  }
+
+  reportBook(moves) {
+    const { fen, onBook } = this.pending;
+    if (onBook) onBook(moves);
+    this.dispatchEvent(new CustomEvent('book', { detail: { moves, fen } }));
+  }
+
+  finish(raw) {
+    const { resolve } = this.pending;
+    this.pending = null;
+    const result = {
+      bestMove: raw.bestMove,
+      bestMoveSan: raw.bestMoveSan,
+      evaluation: raw.evaluation,
+      mate: raw.mate,
+      depth: raw.depth,
+      nodes: raw.nodes,
+      time: raw.time,
+      moveObject: raw.moveObject,
+      pv: raw.pv,
+      lines: raw.lines,
+      fen: raw.fen,
+      draw: raw.draw,
+      book: raw.book,
+      inBook: raw.inBook
     };
+    this.dispatchEvent(new CustomEvent('result', { detail: result }));
+    resolve(result);
+  }
+
+  finishMate(result) {
+    const { resolve } = this.pending;
+    this.pending = null;
+    this.dispatchEvent(new CustomEvent('mate', { detail: result }));
+    resolve(result);
+  }
+
+  // Fallback when no worker can be started: blocks the page for the length of the search,
+  // so analyses are held to this.depth whatever depth the caller asked for
+  runInPage(request) {
+    if (!this.tt) this.tt = EngineCore.createTranspositionTable(this.hashSize);
+    setTimeout(() => {
+      if (!this.pending || this.pending.id !== request.id) return;
+      const { useBook, ...options } = request.options;
+      if (request.type === 'analyze') options.depth = Math.min(options.depth || this.depth, this.depth);
+      try {
+        if (request.type === 'mate') {
+          this.finishMate(EngineCore.findMate(request.fen, request.n, options));
+          return;
+        }
+        const raw = EngineCore.analyzePosition(request.fen, {
+          ...options,
+          tt: this.tt,
+          book: useBook ? this.book : null,
+          onBook: moves => this.reportBook(moves),
+          onInfo: info => this.reportInfo(info)
+        });
+        this.finish(raw);
+      } catch (err) {
+        const { reject } = this.pending;
+        this.pending = null;
+        reject(err);
+      }
+    }, 0);
+  }
+
+  explainEvaluation(fen) {
+    return EngineCore.explainEvaluation(fen, this.weights);
+  }
+
+  newGame() {
+    if (this.worker) this.worker.postMessage({ type: 'clear' });
+    if (this.tt) this.tt.clear();
+  }
+
+  terminate() {
+    this.cancel();
+    clearTimeout(this.stopTimer);
+    this.stopping = null;
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
   }
 }
 
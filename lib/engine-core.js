@@ -1,29 +1,188 @@
 // Basic chess engine core with move generation and alpha-beta search
 (function() {
-  const PIECE_VALUES = {
-    'p': 100,
-    'n': 320,
-    'b': 330,
-    'r': 500,
-    'q': 900,
-    'k': 20000
-  };
+  // KPK bitbase (lib/kpk.js); loaded before this file in the extension. Without it king
+  // and pawn endings get the general evaluation.
+  const EngineKPK = typeof module !== 'undefined' && module.exports
+    ? require('./kpk.js')
+    : globalThis.EngineKPK;
+
+  // Pieces are small integers: the type in the low three bits, plus 8 for black
+  const PAWN = 1;
+  const KNIGHT = 2;
+  const BISHOP = 3;
+  const ROOK = 4;
+  const QUEEN = 5;
+  const KING = 6;
+  const BLACK = 8;
+  // piece code -> FEN letter
+  const PIECE_CHARS = '.PNBRQK..pnbrqk';
+
+  // indexed by piece type
+  const PIECE_VALUES = [0, 100, 320, 330, 500, 900, 20000];
 
   const FILES = ['a','b','c','d','e','f','g','h'];
 
-  const KNIGHT_DELTAS = [-17,-15,-10,-6,6,10,15,17];
-  const BISHOP_DELTAS = [-9,-7,7,9];
-  const ROOK_DELTAS = [-8,-1,1,8];
-  const QUEEN_DELTAS = [...BISHOP_DELTAS, ...ROOK_DELTAS];
+  // The board is 0x88: square = rank * 16 + file, and (square & 0x88) is non-zero exactly
+  // when a step has left the board. Move objects and the public API use 0..63 indices.
+  const KNIGHT_OFFSETS = [33, 31, 18, 14, -14, -18, -31, -33];
+  const BISHOP_OFFSETS = [17, 15, -15, -17];
+  const ROOK_OFFSETS = [16, 1, -1, -16];
+  const KING_OFFSETS = [...BISHOP_OFFSETS, ...ROOK_OFFSETS];
+
+  function to64(sq) {
+    return (sq + (sq & 7)) >> 1;
+  }
+
+  function to88(idx) {
+    return idx + (idx & ~7);
+  }
+
+  // Castling rights as a bit mask, in FEN order
+  const CASTLE_K = 1;
+  const CASTLE_Q = 2;
+  const CASTLE_k = 4;
+  const CASTLE_q = 8;
+  const CASTLING_RIGHTS = [['K', CASTLE_K], ['Q', CASTLE_Q], ['k', CASTLE_k], ['q', CASTLE_q]];
+
+  // Where each right's rook starts (0x88) in standard chess. Chess960 states carry their
+  // own in state.castlingRooks, -1 for a right the position never had.
+  const STANDARD_CASTLING_ROOKS = [0x07, 0x00, 0x77, 0x70];
+  // the same for move objects built by hand without a rook square (0..63)
+  const STANDARD_ROOK_INDEX = { K: 7, Q: 0, k: 63, q: 56 };
+
+  // Rights that survive a move from or to each square: a rook leaving or being captured
+  // on its starting square loses that side's right
+  function castlingKeepTable(rooks) {
+    const keep = new Uint8Array(128).fill(15);
+    rooks.forEach((sq, i) => {
+      if (sq !== -1) keep[sq] &= ~(1 << i);
+    });
+    return keep;
+  }
+  const STANDARD_CASTLING_KEEP = castlingKeepTable(STANDARD_CASTLING_ROOKS);
+
+  // Packed moves: from | to << 6 | promotion << 12 | flag << 15 | captured << 17 | piece << 21,
+  // squares 0..63 and pieces as codes. Castling is packed as the king taking its own rook,
+  // which keeps it distinct from a king move to the same square in Chess960. The low 15
+  // bits are what the transposition table, killers and MultiPV exclusions compare.
+  const FLAG_DOUBLE = 1;
+  const FLAG_EN_PASSANT = 2;
+  const FLAG_CASTLE = 3;
+  const MOVE_KEY_MASK = 0x7fff;
+  // bits that are non-zero for captures (including en passant) and promotions
+  const TACTICAL_MASK = (7 << 12) | (15 << 17);
+
+  function packMove(from, to, piece, captured, promotion, flag) {
+    return to64(from) | (to64(to) << 6) | (promotion << 12) | (flag << 15) | (captured << 17) | (piece << 21);
+  }
+
+  const moveFrom = move => move & 63;
+  const moveTo = move => (move >> 6) & 63;
+  const movePromotion = move => (move >> 12) & 7;
+  const moveFlag = move => (move >> 15) & 3;
+  const moveCaptured = move => (move >> 17) & 15;
+  const movePiece = move => (move >> 21) & 15;
+
+  const MATE_SCORE = 100000;
+  // scores beyond this are mates; leaves room for the ply distance
+  const MATE_BOUND = MATE_SCORE - 1000;
+
+  // Zobrist keys are kept as two 32-bit halves so hashing stays in integer arithmetic.
+  // Layout: 12 pieces x 64 squares, then 4 castling rights, 8 en-passant files, side to move.
+  const CASTLING_KEY = 768;
+  const EN_PASSANT_KEY = 772;
+  const SIDE_KEY = 780;
+  const ZOBRIST_LO = new Int32Array(781);
+  const ZOBRIST_HI = new Int32Array(781);
+  (function fillZobrist() {
+    // fixed-seed xorshift so keys (and therefore search behaviour) are reproducible
+    let x = 0x2545f491;
+    const next = () => {
+      x ^= x << 13;
+      x ^= x >>> 17;
+      x ^= x << 5;
+      return x | 0;
+    };
+    for (let i = 0; i < 781; i++) {
+      ZOBRIST_LO[i] = next();
+      ZOBRIST_HI[i] = next();
+    }
+  })();
+  // key offset per piece code: white P..K are 0..5, black p..k 6..11
+  const PIECE_KEY = new Int16Array(16);
+  for (let type = PAWN; type <= KING; type++) {
+    PIECE_KEY[type] = (type - 1) * 64;
+    PIECE_KEY[type | BLACK] = (type + 5) * 64;
+  }
+  // combined key for every castling-rights mask
+  const CASTLING_LO = new Int32Array(16);
+  const CASTLING_HI = new Int32Array(16);
+  for (let rights = 0; rights < 16; rights++) {
+    for (let bit = 0; bit < 4; bit++) {
+      if (rights & (1 << bit)) {
+        CASTLING_LO[rights] ^= ZOBRIST_LO[CASTLING_KEY + bit];
+        CASTLING_HI[rights] ^= ZOBRIST_HI[CASTLING_KEY + bit];
+      }
+    }
+  }
+
+  function toggleKey(state, key) {
+    state.hashLo ^= ZOBRIST_LO[key];
+    state.hashHi ^= ZOBRIST_HI[key];
+  }
+
+  function togglePiece(state, piece, sq) {
+    toggleKey(state, PIECE_KEY[piece] + to64(sq));
+  }
+
+  function toggleCastling(state) {
+    state.hashLo ^= CASTLING_LO[state.castling];
+    state.hashHi ^= CASTLING_HI[state.castling];
+  }
+
+  // The en-passant file only enters the hash when a pawn of the side to move can actually
+  // capture, so the same position reached with or without a double push hashes the same
+  function toggleEnPassant(state) {
+    const ep = state.enPassant;
+    if (ep === -1) return;
+    const pawnSq = state.whiteToMove ? ep - 16 : ep + 16;
+    const pawn = state.whiteToMove ? PAWN : PAWN | BLACK;
+    if ((!((pawnSq - 1) & 0x88) && state.board[pawnSq - 1] === pawn) ||
+        (!((pawnSq + 1) & 0x88) && state.board[pawnSq + 1] === pawn)) {
+      toggleKey(state, EN_PASSANT_KEY + (ep & 7));
+    }
+  }
+
+  function computeHash(state) {
+    state.hashLo = 0;
+    state.hashHi = 0;
+    for (let sq = 0; sq < 128; sq++) {
+      if (!(sq & 0x88) && state.board[sq]) togglePiece(state, state.board[sq], sq);
+    }
+    toggleCastling(state);
+    toggleEnPassant(state);
+    if (!state.whiteToMove) toggleKey(state, SIDE_KEY);
+    return state;
+  }
 
   function cloneState(state) {
     return {
       board: state.board.slice(),
+      kings: state.kings.slice(),
+      counts: state.counts.slice(),
       whiteToMove: state.whiteToMove,
-      castling: { ...state.castling },
+      castling: state.castling,
       enPassant: state.enPassant,
       halfmove: state.halfmove,
-      fullmove: state.fullmove
+      fullmove: state.fullmove,
+      hashLo: state.hashLo,
+      hashHi: state.hashHi,
+      history: state.history.slice(),
+      undoStack: state.undoStack.slice(),
+      chess960: state.chess960,
+      // fixed for the whole game, so shared rather than copied
+      castlingRooks: state.castlingRooks,
+      castlingKeep: state.castlingKeep
     };
   }
 
@@ -39,37 +198,231 @@
     return rank * 8 + file;
   }
 
-  function fenToState(fen) {
-    const [boardPart, turn, castlingPart, epPart, halfmove, fullmove] = fen.split(' ');
-    const board = new Array(64).fill(null);
+  // Reads a FEN castling field: KQkq, Shredder-FEN rook files (HAha) or X-FEN, where K and
+  // Q mean the outermost rook on that side and a file names any other. Without chess960
+  // K and Q need the king on e1/e8 and the rook in the corner. Rights the position cannot
+  // have are dropped. Returns { castling, rooks } with the rook squares (0x88) by right.
+  function readCastling(board, kings, field, chess960) {
+    let castling = 0;
+    const rooks = [-1, -1, -1, -1];
+    for (const letter of field === '-' ? '' : field) {
+      const white = letter !== letter.toLowerCase();
+      const rank = white ? 0 : 0x70;
+      const king = kings[white ? 0 : 1];
+      const rook = ROOK | (white ? 0 : BLACK);
+      if (king === -1 || (king & 0x70) !== rank) continue;
+      const lower = letter.toLowerCase();
+      let kingSide;
+      let sq = -1;
+      if (lower === 'k' || lower === 'q') {
+        kingSide = lower === 'k';
+        if (!chess960) {
+          if ((king & 7) === 4) sq = rank | (kingSide ? 7 : 0);
+        } else {
+          const step = kingSide ? -1 : 1;
+          for (let file = kingSide ? 7 : 0; file !== (king & 7); file += step) {
+            if (board[rank | file] === rook) {
+              sq = rank | file;
+              break;
+            }
+          }
+        }
+      } else if (lower >= 'a' && lower <= 'h') {
+        const file = lower.charCodeAt(0) - 97;
+        kingSide = file > (king & 7);
+        if (file !== (king & 7)) sq = rank | file;
+      }
+      if (sq === -1 || board[sq] !== rook) continue;
+      const right = (white ? 0 : 2) + (kingSide ? 0 : 1);
+      castling |= 1 << right;
+      rooks[right] = sq;
+    }
+    return { castling, rooks };
+  }
+
+  // An en-passant square (0x88) is only possible right after the double push that
+  // passed over it: on the right rank, empty, with the pushed pawn in front of it
+  function possibleEnPassant(board, sq, whiteToMove) {
+    if (sq >> 4 !== (whiteToMove ? 5 : 2)) return false;
+    const step = whiteToMove ? -16 : 16;
+    const pawn = whiteToMove ? PAWN | BLACK : PAWN;
+    return !board[sq] && !board[sq - step] && board[sq + step] === pawn;
+  }
+
+  // Parses a FEN without complaining: missing optional fields get their defaults, and
+  // castling rights or an en-passant square the position cannot have are dropped.
+  // validateFEN reports what was wrong. options.chess960 reads KQkq as X-FEN; rook files in
+  // the castling field (Shredder-FEN) switch it on by themselves.
+  function fenToState(fen, options = {}) {
+    const [boardPart = '', turn, castlingPart, epPart, halfmove, fullmove] = fen.trim().split(/\s+/);
+    const board = new Int8Array(128);
+    const counts = new Int8Array(16);
+    // king squares (0x88) by side, -1 when missing
+    const kings = [-1, -1];
     const ranks = boardPart.split('/');
     for (let r = 0; r < 8; r++) {
       let file = 0;
-      for (const char of ranks[7 - r]) {
+      for (const char of ranks[7 - r] || '') {
         if (!isNaN(char)) {
           file += parseInt(char, 10);
         } else {
-          const idx = r * 8 + file;
-          board[idx] = char;
+          const piece = PIECE_CHARS.indexOf(char);
+          if (piece > 0 && file < 8) {
+            const sq = r * 16 + file;
+            board[sq] = piece;
+            counts[piece]++;
+            if ((piece & 7) === KING) kings[piece & BLACK ? 1 : 0] = sq;
+          }
           file++;
         }
       }
     }
-    const castling = { K: false, Q: false, k: false, q: false };
-    if (castlingPart && castlingPart !== '-') {
-      for (const c of castlingPart) {
-        if (castling[c] !== undefined) castling[c] = true;
-      }
+    const whiteToMove = turn !== 'b';
+    const chess960 = Boolean(options.chess960) || /[a-h]/i.test(castlingPart || '');
+    const { castling, rooks } = readCastling(board, kings, castlingPart || '-', chess960);
+    let enPassant = -1;
+    if (epPart && /^[a-h][1-8]$/.test(epPart)) {
+      const sq = to88(squareToIndex(epPart));
+      if (possibleEnPassant(board, sq, whiteToMove)) enPassant = sq;
     }
-    const enPassant = epPart === '-' ? -1 : squareToIndex(epPart);
-    return {
+    return computeHash({
       board,
-      whiteToMove: turn === 'w',
+      kings,
+      // number of pieces of each code on the board
+      counts,
+      whiteToMove,
       castling,
       enPassant,
-      halfmove: parseInt(halfmove || '0', 10),
-      fullmove: parseInt(fullmove || '1', 10)
-    };
+      halfmove: Math.max(0, parseInt(halfmove, 10) || 0),
+      fullmove: Math.max(1, parseInt(fullmove, 10) || 1),
+      // hash keys (lo, hi pairs) of earlier positions in the game, for repetition detection
+      history: [],
+      // what makeMove cannot recover from the move itself, six numbers per move
+      undoStack: [],
+      // Chess960 rules for notation: castling is written as king takes rook in UCI and
+      // FENs get Shredder castling fields
+      chess960,
+      castlingRooks: chess960 ? Int8Array.from(rooks) : STANDARD_CASTLING_ROOKS,
+      castlingKeep: chess960 ? castlingKeepTable(rooks) : STANDARD_CASTLING_KEEP
+    });
+  }
+
+  const OPTIONAL_FIELDS = ['castling rights', 'en-passant square', 'halfmove clock', 'fullmove number'];
+
+  // Checks a FEN for anything that would make fenToState guess. Returns
+  // { valid, errors, warnings }, each entry { type, message }. Errors make the position
+  // unusable (bad syntax, missing kings, pawns on the back rank, castling rights or an
+  // en-passant square the position cannot have, the side not to move in check);
+  // warnings are for input fenToState can safely fill in, like missing optional fields.
+  // options.chess960 checks castling rights as fenToState({ chess960 }) reads them.
+  function validateFEN(fen, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (type, message) => errors.push({ type, message });
+    const warn = (type, message) => warnings.push({ type, message });
+    const result = () => ({ valid: errors.length === 0, errors, warnings });
+    if (typeof fen !== 'string' || !fen.trim()) {
+      error('empty', 'FEN is empty');
+      return result();
+    }
+    if (fen !== fen.trim() || /\s{2,}/.test(fen)) warn('whitespace', 'Extra whitespace between or around fields');
+    const fields = fen.trim().split(/\s+/);
+    if (fields.length > 6) error('too-many-fields', `Expected at most 6 fields, found ${fields.length}`);
+    const [boardPart, turn, castlingPart, epPart, halfmove, fullmove] = fields;
+
+    const ranks = boardPart.split('/');
+    let boardOk = ranks.length === 8;
+    if (!boardOk) error('rank-count', `Expected 8 ranks, found ${ranks.length}`);
+    ranks.forEach((rank, i) => {
+      const name = 8 - i;
+      const bad = rank.match(/[^pnbrqkPNBRQK1-8]/);
+      if (bad) {
+        error('invalid-piece', `Rank ${name} has an invalid character "${bad[0]}"`);
+        boardOk = false;
+        return;
+      }
+      if (/[1-8]{2}/.test(rank)) error('consecutive-digits', `Rank ${name} has two digits in a row`);
+      const squares = [...rank].reduce((sum, c) => sum + (isNaN(c) ? 1 : parseInt(c, 10)), 0);
+      if (squares !== 8) {
+        error('rank-length', `Rank ${name} describes ${squares} squares instead of 8`);
+        boardOk = false;
+      }
+    });
+
+    if (turn === undefined) {
+      error('missing-turn', 'The side to move is missing');
+    } else if (turn !== 'w' && turn !== 'b') {
+      error('invalid-turn', `Side to move must be "w" or "b", not "${turn}"`);
+    }
+    for (let i = Math.max(2, fields.length); i < 6; i++) {
+      warn('missing-field', `The ${OPTIONAL_FIELDS[i - 2]} is missing; using the default`);
+    }
+    if (castlingPart !== undefined && !/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(castlingPart)) {
+      error('invalid-castling', `Castling field "${castlingPart}" is not "-", KQkq or rook files, white's first`);
+    }
+    if (epPart !== undefined && !/^(-|[a-h][36])$/.test(epPart)) {
+      error('invalid-en-passant', `En-passant field "${epPart}" is not "-" or a square on the 3rd or 6th rank`);
+    }
+    if (halfmove !== undefined && !/^\d+$/.test(halfmove)) {
+      error('invalid-halfmove', `Halfmove clock "${halfmove}" is not a non-negative integer`);
+    }
+    if (fullmove !== undefined) {
+      if (!/^\d+$/.test(fullmove)) error('invalid-fullmove', `Fullmove number "${fullmove}" is not a positive integer`);
+      else if (parseInt(fullmove, 10) === 0) warn('fullmove-zero', 'Fullmove number 0 is read as 1');
+    }
+    if (!boardOk) return result();
+
+    const state = fenToState(fields.slice(0, 2).join(' '));
+    const { board, counts } = state;
+    const chess960 = Boolean(options.chess960) || /[a-h]/i.test(castlingPart || '');
+    for (const [color, name] of [[0, 'White'], [BLACK, 'Black']]) {
+      const kings = counts[KING | color];
+      if (kings === 0) error('missing-king', `${name} has no king`);
+      if (kings > 1) error('too-many-kings', `${name} has ${kings} kings`);
+      if (counts[PAWN | color] > 8) error('too-many-pawns', `${name} has ${counts[PAWN | color]} pawns`);
+      let pieces = 0;
+      for (let type = PAWN; type <= KING; type++) pieces += counts[type | color];
+      if (pieces > 16) error('too-many-pieces', `${name} has ${pieces} pieces`);
+    }
+    for (let file = 0; file < 8; file++) {
+      for (const sq of [file, 0x70 + file]) {
+        if ((board[sq] & 7) === PAWN) error('pawn-on-back-rank', `Pawn on ${indexToSquare(to64(sq))}`);
+      }
+    }
+    if (castlingPart && castlingPart !== '-' && !errors.some(e => e.type === 'invalid-castling')) {
+      let seen = 0;
+      for (const letter of castlingPart) {
+        const right = readCastling(board, state.kings, letter, chess960).castling;
+        if (!right) {
+          error('castling-rights-mismatch', `Castling right "${letter}" without the king and rook on their original squares`);
+        } else if (seen & right) {
+          error('invalid-castling', `Castling field "${castlingPart}" gives the same right twice`);
+        }
+        seen |= right;
+      }
+    }
+    if (epPart && epPart !== '-' && !errors.some(e => e.type === 'invalid-en-passant')) {
+      if (!possibleEnPassant(board, to88(squareToIndex(epPart)), turn !== 'b')) {
+        error('impossible-en-passant', `En-passant square ${epPart} does not follow a double pawn push by the side that just moved`);
+      }
+    }
+    if (counts[KING] === 1 && counts[KING | BLACK] === 1) {
+      const waiting = state.kings[state.whiteToMove ? 1 : 0];
+      if (attacked(board, waiting, state.whiteToMove ? 0 : BLACK)) {
+        error('opponent-in-check', `${state.whiteToMove ? 'Black' : 'White'} is in check but it is not their move`);
+      }
+    }
+    return result();
+  }
+
+  // Thrown by analyzePosition in strict mode; errors is validateFEN's list
+  class InvalidFENError extends Error {
+    constructor(fen, errors) {
+      super(`Invalid FEN "${fen}": ${errors.map(e => e.message).join('; ')}`);
+      this.name = 'InvalidFENError';
+      this.fen = fen;
+      this.errors = errors;
+    }
   }
 
   function generateFEN(state) {
@@ -77,13 +430,13 @@
     for (let r = 7; r >= 0; r--) {
       let empty = 0;
       for (let f = 0; f < 8; f++) {
-        const piece = state.board[r * 8 + f];
+        const piece = state.board[r * 16 + f];
         if (piece) {
           if (empty > 0) {
             boardPart += empty;
             empty = 0;
           }
-          boardPart += piece;
+          boardPart += PIECE_CHARS[piece];
         } else {
           empty++;
         }
@@ -92,448 +445,1824 @@
       if (r !== 0) boardPart += '/';
     }
     const turn = state.whiteToMove ? 'w' : 'b';
-    const castlingRights = ['K','Q','k','q'].filter(c => state.castling[c]).join('') || '-';
-    const ep = state.enPassant === -1 ? '-' : indexToSquare(state.enPassant);
+    const castlingRights = CASTLING_RIGHTS.map(([letter, bit], right) => {
+      if (!(state.castling & bit)) return '';
+      if (!state.chess960) return letter;
+      // Shredder-FEN: the rook's file, capital for white
+      const file = FILES[state.castlingRooks[right] & 7];
+      return right < 2 ? file.toUpperCase() : file;
+    }).join('') || '-';
+    const ep = state.enPassant === -1 ? '-' : indexToSquare(to64(state.enPassant));
     return `${boardPart} ${turn} ${castlingRights} ${ep} ${state.halfmove} ${state.fullmove}`;
   }
 
-  function pieceColor(piece) {
-    if (!piece) return null;
-    return piece === piece.toUpperCase() ? 'w' : 'b';
-  }
-
-  function inBounds(idx) {
-    return idx >= 0 && idx < 64;
-  }
-
-  function isSquareAttacked(state, squareIdx, byWhite) {
-    const dir = byWhite ? 1 : -1;
-    const file = squareIdx % 8;
-    const rank = Math.floor(squareIdx / 8);
-    // pawns
-    for (const df of [-1, 1]) {
-      const tFile = file + df;
-      const tRank = rank - dir;
-      if (tFile < 0 || tFile > 7 || tRank < 0 || tRank > 7) continue;
-      const target = tRank * 8 + tFile;
-      const piece = state.board[target];
-      if (piece && (byWhite ? piece === 'P' : piece === 'p')) return true;
-    }
-    // knights
-    for (const delta of KNIGHT_DELTAS) {
-      const target = squareIdx + delta;
-      if (!inBounds(target)) continue;
-      const fileDiff = Math.abs((target % 8) - file);
-      if (fileDiff > 2) continue;
-      const piece = state.board[target];
-      if (piece && (byWhite ? piece === 'N' : piece === 'n')) return true;
-    }
-    // bishops/queens
-    for (const delta of BISHOP_DELTAS) {
-      const stepFile = delta === 9 || delta === -7 ? 1 : -1;
-      const stepRank = delta > 0 ? 1 : -1;
-      let f = file + stepFile;
-      let r = rank + stepRank;
-      while (f >= 0 && f < 8 && r >= 0 && r < 8) {
-        const target = r * 8 + f;
-        const piece = state.board[target];
+  // Whether `sq` (0x88) is attacked by pieces of colour `them` (0 for white, BLACK for black)
+  function attacked(board, sq, them) {
+    if (them) {
+      if (!((sq + 15) & 0x88) && board[sq + 15] === (PAWN | BLACK)) return true;
+      if (!((sq + 17) & 0x88) && board[sq + 17] === (PAWN | BLACK)) return true;
+    } else {
+      if (!((sq - 15) & 0x88) && board[sq - 15] === PAWN) return true;
+      if (!((sq - 17) & 0x88) && board[sq - 17] === PAWN) return true;
+    }
+    const knight = KNIGHT | them;
+    for (let i = 0; i < 8; i++) {
+      const target = sq + KNIGHT_OFFSETS[i];
+      if (!(target & 0x88) && board[target] === knight) return true;
+    }
+    const king = KING | them;
+    for (let i = 0; i < 8; i++) {
+      const target = sq + KING_OFFSETS[i];
+      if (!(target & 0x88) && board[target] === king) return true;
+    }
+    const bishop = BISHOP | them;
+    const rook = ROOK | them;
+    const queen = QUEEN | them;
+    for (let i = 0; i < 4; i++) {
+      const offset = BISHOP_OFFSETS[i];
+      for (let target = sq + offset; !(target & 0x88); target += offset) {
+        const piece = board[target];
         if (piece) {
-          if (byWhite ? (piece === 'B' || piece === 'Q') : (piece === 'b' || piece === 'q')) return true;
+          if (piece === bishop || piece === queen) return true;
           break;
         }
-        f += stepFile;
-        r += stepRank;
-      }
-    }
-    // rooks/queens
-    for (const delta of ROOK_DELTAS) {
-      const stepFile = delta === 1 ? 1 : delta === -1 ? -1 : 0;
-      const stepRank = delta === 8 ? 1 : delta === -8 ? -1 : 0;
-      let f = file + stepFile;
-      let r = rank + stepRank;
-      while (f >= 0 && f < 8 && r >= 0 && r < 8) {
-        const target = r * 8 + f;
-        const piece = state.board[target];
+      }
+    }
+    for (let i = 0; i < 4; i++) {
+      const offset = ROOK_OFFSETS[i];
+      for (let target = sq + offset; !(target & 0x88); target += offset) {
+        const piece = board[target];
         if (piece) {
-          if (byWhite ? (piece === 'R' || piece === 'Q') : (piece === 'r' || piece === 'q')) return true;
+          if (piece === rook || piece === queen) return true;
           break;
         }
-        f += stepFile;
-        r += stepRank;
-      }
-    }
-    // kings
-    for (let dr = -1; dr <= 1; dr++) {
-      for (let df = -1; df <= 1; df++) {
-        if (dr === 0 && df === 0) continue;
-        const tFile = file + df;
-        const tRank = rank + dr;
-        if (tFile < 0 || tFile > 7 || tRank < 0 || tRank > 7) continue;
-        const target = tRank * 8 + tFile;
-        const piece = state.board[target];
-        if (piece && (byWhite ? piece === 'K' : piece === 'k')) return true;
       }
     }
     return false;
   }
 
-  function generateMoves(state) {
+  function isSquareAttacked(state, squareIdx, byWhite) {
+    return attacked(state.board, to88(squareIdx), byWhite ? 0 : BLACK);
+  }
+
+  function findKing(state, white) {
+    const sq = state.kings[white ? 0 : 1];
+    return sq === -1 ? -1 : to64(sq);
+  }
+
+  function inCheck(state) {
+    const kingSq = state.kings[state.whiteToMove ? 0 : 1];
+    return kingSq !== -1 && attacked(state.board, kingSq, state.whiteToMove ? BLACK : 0);
+  }
+
+  // Scratch marks for generate(): a square is pinned (along PIN_OFFSET) or blocks/captures
+  // the single checker when its mark equals the current generation stamp. Generation does
+  // not recurse, so one set of arrays is enough.
+  const PIN_MARK = new Int32Array(128);
+  const PIN_OFFSET = new Int8Array(128);
+  const CHECK_MARK = new Int32Array(128);
+  let stamp = 0;
+
+  // Legal moves for the side to move as packed integers. Pins and checks are worked out
+  // from the king first, so apart from en passant no move has to be tried on the board.
+  // With capturesOnly (and not in check) only captures and promotions are generated.
+  function generate(state, capturesOnly = false) {
+    const board = state.board;
+    const white = state.whiteToMove;
+    const us = white ? 0 : BLACK;
+    const them = us ^ BLACK;
+    const kingSq = state.kings[white ? 0 : 1];
     const moves = [];
-    const side = state.whiteToMove ? 'w' : 'b';
-    for (let i = 0; i < 64; i++) {
-      const piece = state.board[i];
-      if (!piece || pieceColor(piece) !== side) continue;
-      switch (piece.toLowerCase()) {
-        case 'p':
-          generatePawnMoves(state, i, piece, moves);
-          break;
-        case 'n':
-          generateJumpMoves(state, i, piece, moves, KNIGHT_DELTAS);
-          break;
-        case 'b':
-          generateSlideMoves(state, i, piece, moves, BISHOP_DELTAS);
-          break;
-        case 'r':
-          generateSlideMoves(state, i, piece, moves, ROOK_DELTAS);
-          break;
-        case 'q':
-          generateSlideMoves(state, i, piece, moves, QUEEN_DELTAS);
-          break;
-        case 'k':
-          generateKingMoves(state, i, piece, moves);
+    stamp++;
+    let checkers = 0;
+    if (kingSq !== -1) {
+      for (let i = 0; i < 8; i++) {
+        const offset = KING_OFFSETS[i];
+        const slider = i < 4 ? BISHOP : ROOK;
+        let blocker = -1;
+        for (let sq = kingSq + offset; !(sq & 0x88); sq += offset) {
+          const piece = board[sq];
+          if (!piece) continue;
+          if ((piece & BLACK) === us) {
+            if (blocker !== -1) break;
+            blocker = sq;
+            continue;
+          }
+          const type = piece & 7;
+          if (type === slider || type === QUEEN) {
+            if (blocker === -1) {
+              checkers++;
+              for (let s = kingSq + offset; s !== sq + offset; s += offset) CHECK_MARK[s] = stamp;
+            } else {
+              PIN_MARK[blocker] = stamp;
+              PIN_OFFSET[blocker] = offset;
+            }
+          }
           break;
+        }
+      }
+      for (let i = 0; i < 8; i++) {
+        const sq = kingSq + KNIGHT_OFFSETS[i];
+        if (!(sq & 0x88) && board[sq] === (KNIGHT | them)) {
+          checkers++;
+          CHECK_MARK[sq] = stamp;
+        }
       }
+      const pawnSteps = white ? [15, 17] : [-15, -17];
+      for (const step of pawnSteps) {
+        const sq = kingSq + step;
+        if (!(sq & 0x88) && board[sq] === (PAWN | them)) {
+          checkers++;
+          CHECK_MARK[sq] = stamp;
+        }
+      }
+      generateKingMoves(state, kingSq, us, them, checkers, capturesOnly && !checkers, moves);
     }
-    // filter illegal moves
-    const legal = [];
-    for (const move of moves) {
-      const undo = makeMove(state, move);
-      const kingIdx = findKing(state, side === 'w');
-      const inCheck = isSquareAttacked(state, kingIdx, !state.whiteToMove);
-      undoMove(state, undo);
-      if (!inCheck) legal.push(move);
+    // double check: only the king can move
+    if (checkers > 1) return moves;
+    const quietOk = !capturesOnly || checkers > 0;
+    const forward = white ? 16 : -16;
+    const startRank = white ? 1 : 6;
+    const lastRank = white ? 7 : 0;
+    for (let sq = 0; sq < 120; sq++) {
+      if (sq & 0x88) {
+        sq += 7;
+        continue;
+      }
+      const piece = board[sq];
+      if (!piece || (piece & BLACK) !== us) continue;
+      const type = piece & 7;
+      if (type === KING) continue;
+      const pin = PIN_MARK[sq] === stamp ? PIN_OFFSET[sq] : 0;
+      if (type === PAWN) {
+        const to = sq + forward;
+        if (to & 0x88) continue;
+        const promotes = to >> 4 === lastRank;
+        if (!board[to] && (!pin || pin === forward || pin === -forward)) {
+          if (!checkers || CHECK_MARK[to] === stamp) {
+            if (promotes) addPromotions(moves, sq, to, piece, 0);
+            else if (quietOk) moves.push(packMove(sq, to, piece, 0, 0, 0));
+          }
+          const double = to + forward;
+          if (quietOk && sq >> 4 === startRank && !board[double] && (!checkers || CHECK_MARK[double] === stamp)) {
+            moves.push(packMove(sq, double, piece, 0, 0, FLAG_DOUBLE));
+          }
+        }
+        for (const side of [-1, 1]) {
+          const step = forward + side;
+          const target = sq + step;
+          if (target & 0x88) continue;
+          if (pin && pin !== step && pin !== -step) continue;
+          const captured = board[target];
+          if (captured && (captured & BLACK) === them) {
+            if (checkers && CHECK_MARK[target] !== stamp) continue;
+            if (promotes) addPromotions(moves, sq, target, piece, captured);
+            else moves.push(packMove(sq, target, piece, captured, 0, 0));
+          } else if (target === state.enPassant) {
+            const move = packMove(sq, target, piece, PAWN | them, 0, FLAG_EN_PASSANT);
+            // two pawns leave the rank at once, which pin detection does not cover
+            if (enPassantIsLegal(state, move)) moves.push(move);
+          }
+        }
+      } else if (type === KNIGHT) {
+        if (pin) continue;
+        for (let i = 0; i < 8; i++) {
+          const target = sq + KNIGHT_OFFSETS[i];
+          if (target & 0x88) continue;
+          addPieceMove(board, moves, sq, target, piece, them, checkers, quietOk);
+        }
+      } else {
+        const offsets = type === BISHOP ? BISHOP_OFFSETS : type === ROOK ? ROOK_OFFSETS : KING_OFFSETS;
+        for (let i = 0; i < offsets.length; i++) {
+          const offset = offsets[i];
+          if (pin && pin !== offset && pin !== -offset) continue;
+          for (let target = sq + offset; !(target & 0x88); target += offset) {
+            if (!addPieceMove(board, moves, sq, target, piece, them, checkers, quietOk)) break;
+          }
+        }
+      }
+    }
+    return moves;
+  }
+
+  // Adds a knight or slider move to an empty or enemy square if it is allowed; returns
+  // false when the square is occupied, which ends a slide
+  function addPieceMove(board, moves, from, to, piece, them, checkers, quietOk) {
+    const captured = board[to];
+    if (captured && (captured & BLACK) !== them) return false;
+    if ((!checkers || CHECK_MARK[to] === stamp) && (captured || quietOk)) {
+      moves.push(packMove(from, to, piece, captured, 0, 0));
     }
+    return !captured;
+  }
+
+  function addPromotions(moves, from, to, piece, captured) {
+    for (let promotion = 4; promotion >= 1; promotion--) {
+      moves.push(packMove(from, to, piece, captured, promotion, 0));
+    }
+  }
+
+  function enPassantIsLegal(state, move) {
+    makeMoveFast(state, move);
+    const legal = !attacked(state.board, state.kings[state.whiteToMove ? 1 : 0], state.whiteToMove ? 0 : BLACK);
+    unmakeMoveFast(state, move);
     return legal;
   }
 
-  function findKing(state, white) {
-    const target = white ? 'K' : 'k';
-    for (let i = 0; i < 64; i++) if (state.board[i] === target) return i;
-    return -1;
+  function generateKingMoves(state, kingSq, us, them, checkers, capturesOnly, moves) {
+    const board = state.board;
+    const king = board[kingSq];
+    // lift the king so squares behind it along a checking line count as attacked
+    board[kingSq] = 0;
+    for (let i = 0; i < 8; i++) {
+      const target = kingSq + KING_OFFSETS[i];
+      if (target & 0x88) continue;
+      const captured = board[target];
+      if (captured && (captured & BLACK) === us) continue;
+      if (capturesOnly && !captured) continue;
+      if (!attacked(board, target, them)) moves.push(packMove(kingSq, target, king, captured, 0, 0));
+    }
+    board[kingSq] = king;
+    if (checkers || capturesOnly) return;
+    const rook = ROOK | us;
+    const rank = kingSq & 0x70;
+    // rights 0/1 are white's king and queen side, 2/3 black's
+    for (let right = us ? 2 : 0, last = right + 1; right <= last; right++) {
+      if (!(state.castling & (1 << right))) continue;
+      const rookSq = state.castlingRooks[right];
+      if (board[rookSq] !== rook) continue;
+      const kingTo = rank | (right & 1 ? 2 : 6);
+      const rookTo = rank | (right & 1 ? 3 : 5);
+      if (castlingIsClear(board, kingSq, kingTo, rookSq, rookTo, them)) {
+        moves.push(packMove(kingSq, rookSq, king, 0, 0, FLAG_CASTLE));
+      }
+    }
   }
 
-  function generatePawnMoves(state, idx, piece, moves) {
-    const white = piece === 'P';
-    const dir = white ? 8 : -8;
-    const startRank = white ? 1 : 6;
-    const promotionRank = white ? 7 : 0;
+  // Castling needs every square the king and rook cross or land on empty apart from the
+  // two of them, and no square from the king's start to its destination attacked. Both
+  // are lifted for the attack test: in Chess960 the rook can shield the king's square.
+  function castlingIsClear(board, kingSq, kingTo, rookSq, rookTo, them) {
+    const low = Math.min(kingSq, kingTo, rookSq, rookTo);
+    const high = Math.max(kingSq, kingTo, rookSq, rookTo);
+    for (let sq = low; sq <= high; sq++) {
+      if (board[sq] && sq !== kingSq && sq !== rookSq) return false;
+    }
+    const king = board[kingSq];
+    const rook = board[rookSq];
+    board[kingSq] = 0;
+    board[rookSq] = 0;
+    let safe = true;
+    const step = kingTo > kingSq ? 1 : -1;
+    for (let sq = kingSq; safe; sq += step) {
+      if (attacked(board, sq, them)) safe = false;
+      if (sq === kingTo) break;
+    }
+    board[kingSq] = king;
+    board[rookSq] = rook;
+    return safe;
+  }
+
+  function makeMoveFast(state, move) {
+    const from = to88(moveFrom(move));
+    const to = to88(moveTo(move));
+    const piece = movePiece(move);
+    const captured = moveCaptured(move);
+    const promotion = movePromotion(move);
+    const flag = moveFlag(move);
+    const white = !(piece & BLACK);
+    state.undoStack.push(state.castling, state.enPassant, state.halfmove, state.fullmove, state.hashLo, state.hashHi);
+    state.history.push(state.hashLo, state.hashHi);
+    // take the old castling rights and en-passant file out of the hash; re-added below
+    toggleCastling(state);
+    toggleEnPassant(state);
+    state.enPassant = -1;
+    state.halfmove++;
+    if (flag === FLAG_CASTLE) {
+      castle(state, from, to, piece);
+    } else {
+      placePiece(state, from, to, piece, captured, promotion, flag, white);
+    }
+    state.castling &= state.castlingKeep[from] & state.castlingKeep[to];
+    toggleCastling(state);
+    toggleKey(state, SIDE_KEY);
+    state.whiteToMove = !state.whiteToMove;
+    toggleEnPassant(state);
+    if (state.whiteToMove) state.fullmove++;
+  }
+
+  // The king and rook squares a castling move packed as king takes rook (0x88) ends on
+  function castlingTargets(kingSq, rookSq) {
+    const rank = kingSq & 0x70;
+    return rookSq > kingSq ? [rank | 6, rank | 5] : [rank | 2, rank | 3];
+  }
+
+  function castle(state, kingSq, rookSq, king) {
+    const board = state.board;
+    const rook = ROOK | (king & BLACK);
+    const [kingTo, rookTo] = castlingTargets(kingSq, rookSq);
+    // lift both first: in Chess960 either may land where the other stood
+    board[kingSq] = 0;
+    board[rookSq] = 0;
+    board[kingTo] = king;
+    board[rookTo] = rook;
+    togglePiece(state, king, kingSq);
+    togglePiece(state, king, kingTo);
+    togglePiece(state, rook, rookSq);
+    togglePiece(state, rook, rookTo);
+    state.kings[king & BLACK ? 1 : 0] = kingTo;
+    state.castling &= king & BLACK ? ~(CASTLE_k | CASTLE_q) : ~(CASTLE_K | CASTLE_Q);
+  }
+
+  // Every move but castling: captures, promotion, double pushes and king moves
+  function placePiece(state, from, to, piece, captured, promotion, flag, white) {
+    const board = state.board;
+    if (flag === FLAG_EN_PASSANT) {
+      const capSq = white ? to - 16 : to + 16;
+      board[capSq] = 0;
+      togglePiece(state, captured, capSq);
+    } else if (captured) {
+      togglePiece(state, captured, to);
+    }
+    if (captured) {
+      state.counts[captured]--;
+      state.halfmove = 0;
+    }
+    const placed = promotion ? (promotion + 1) | (piece & BLACK) : piece;
+    if (promotion) {
+      state.counts[piece]--;
+      state.counts[placed]++;
+    }
+    togglePiece(state, piece, from);
+    togglePiece(state, placed, to);
+    board[to] = placed;
+    board[from] = 0;
+    const type = piece & 7;
+    if (type === PAWN) {
+      state.halfmove = 0;
+      if (flag === FLAG_DOUBLE) state.enPassant = white ? to - 16 : to + 16;
+    } else if (type === KING) {
+      state.kings[white ? 0 : 1] = to;
+      state.castling &= white ? ~(CASTLE_K | CASTLE_Q) : ~(CASTLE_k | CASTLE_q);
+    }
+  }
+
+  function unmakeMoveFast(state, move) {
+    const board = state.board;
+    const from = to88(moveFrom(move));
+    const to = to88(moveTo(move));
+    const piece = movePiece(move);
+    const captured = moveCaptured(move);
+    const promotion = movePromotion(move);
+    const flag = moveFlag(move);
+    const white = !(piece & BLACK);
+    const stack = state.undoStack;
+    state.hashHi = stack.pop();
+    state.hashLo = stack.pop();
+    state.fullmove = stack.pop();
+    state.halfmove = stack.pop();
+    state.enPassant = stack.pop();
+    state.castling = stack.pop();
+    state.history.length -= 2;
+    state.whiteToMove = white;
+    if (flag === FLAG_CASTLE) {
+      const [kingTo, rookTo] = castlingTargets(from, to);
+      board[kingTo] = 0;
+      board[rookTo] = 0;
+      board[from] = piece;
+      board[to] = ROOK | (piece & BLACK);
+      state.kings[white ? 0 : 1] = from;
+      return;
+    }
+    if (promotion) {
+      state.counts[(promotion + 1) | (piece & BLACK)]--;
+      state.counts[piece]++;
+    }
+    board[from] = piece;
+    board[to] = 0;
+    if (captured) {
+      state.counts[captured]++;
+      board[flag === FLAG_EN_PASSANT ? (white ? to - 16 : to + 16) : to] = captured;
+    }
+    if ((piece & 7) === KING) state.kings[white ? 0 : 1] = from;
+  }
+
+  const PROMOTION_CODES = { n: 1, b: 2, r: 3, q: 4 };
+  const MOVE_FLAGS = { double: FLAG_DOUBLE, enpassant: FLAG_EN_PASSANT, castle: FLAG_CASTLE };
+
+  // Public move objects: { from, to, piece, capture, flag, promotion, castle, rook } with
+  // squares as 0..63 and pieces as FEN letters. A castling move goes `to` the king's
+  // destination (g1, c1, ...) and has the castling rook's square as `rook`.
+  function toMoveObject(move) {
+    const from = moveFrom(move);
+    const to = moveTo(move);
+    const piece = PIECE_CHARS[movePiece(move)];
+    const flag = moveFlag(move);
+    if (flag === FLAG_CASTLE) {
+      const side = to > from ? 'K' : 'Q';
+      const castle = piece === 'K' ? side : side.toLowerCase();
+      return { from, to: (from & 56) + (to > from ? 6 : 2), piece, flag: 'castle', castle, rook: to };
+    }
+    const captured = moveCaptured(move);
+    const object = { from, to, piece, capture: captured ? PIECE_CHARS[captured] : null };
+    const promotion = movePromotion(move);
+    if (promotion) {
+      object.promotion = PIECE_CHARS[(promotion + 1) | (movePiece(move) & BLACK)];
+      object.flag = 'promotion';
+    } else if (flag === FLAG_DOUBLE) {
+      object.flag = 'double';
+    } else if (flag === FLAG_EN_PASSANT) {
+      object.flag = 'enpassant';
+    }
+    return object;
+  }
+
+  // The square (0..63) a move is packed with: the rook's for castling, as the king takes it
+  function packedTarget(move) {
+    if (move.flag !== 'castle') return move.to;
+    return move.rook !== undefined ? move.rook : STANDARD_ROOK_INDEX[move.castle];
+  }
+
+  function fromMoveObject(move) {
+    const piece = PIECE_CHARS.indexOf(move.piece);
+    const captured = move.capture ? PIECE_CHARS.indexOf(move.capture) : 0;
+    const promotion = move.promotion ? PROMOTION_CODES[move.promotion.toLowerCase()] : 0;
+    return packMove(to88(move.from), to88(packedTarget(move)), piece, captured, promotion, MOVE_FLAGS[move.flag] || 0);
+  }
+
+  function generateMoves(state) {
+    return generate(state).map(toMoveObject);
+  }
+
+  // Plays a move object from generateMoves/parseMove; pass the result to undoMove
+  function makeMove(state, move) {
+    const packed = fromMoveObject(move);
+    makeMoveFast(state, packed);
+    return { move, packed };
+  }
+
+  function undoMove(state, undo) {
+    unmakeMoveFast(state, undo.packed);
+  }
+
+  const MOBILITY_BASELINE = { n: 4, b: 6, r: 7, q: 13 };
+  const PHASE_WEIGHTS = { p: 0, n: 1, b: 1, r: 2, q: 4, k: 0 };
+  const MAX_PHASE = 24;
+
+  // Piece-square tables from white's point of view, a8..h8 first so they read like a board
+  const PST_PAWN_MG = [
+      0,   0,   0,   0,   0,   0,   0,   0,
+     50,  50,  50,  50,  50,  50,  50,  50,
+     10,  10,  20,  30,  30,  20,  10,  10,
+      5,   5,  10,  25,  25,  10,   5,   5,
+      0,   0,   0,  20,  20,   0,   0,   0,
+      5,  -5, -10,   0,   0, -10,  -5,   5,
+      5,  10,  10, -20, -20,  10,  10,   5,
+      0,   0,   0,   0,   0,   0,   0,   0
+  ];
+  const PST_PAWN_EG = [
+      0,   0,   0,   0,   0,   0,   0,   0,
+     80,  80,  80,  80,  80,  80,  80,  80,
+     50,  50,  50,  50,  50,  50,  50,  50,
+     30,  30,  30,  30,  30,  30,  30,  30,
+     20,  20,  20,  20,  20,  20,  20,  20,
+     10,  10,  10,  10,  10,  10,  10,  10,
+      5,   5,   5,   5,   5,   5,   5,   5,
+      0,   0,   0,   0,   0,   0,   0,   0
+  ];
+  const PST_KNIGHT = [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20,   0,   0,   0,   0, -20, -40,
+    -30,   0,  10,  15,  15,  10,   0, -30,
+    -30,   5,  15,  20,  20,  15,   5, -30,
+    -30,   0,  15,  20,  20,  15,   0, -30,
+    -30,   5,  10,  15,  15,  10,   5, -30,
+    -40, -20,   0,   5,   5,   0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ];
+  const PST_BISHOP = [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10,   0,   0,   0,   0,   0,   0, -10,
+    -10,   0,   5,  10,  10,   5,   0, -10,
+    -10,   5,   5,  10,  10,   5,   5, -10,
+    -10,   0,  10,  10,  10,  10,   0, -10,
+    -10,  10,  10,  10,  10,  10,  10, -10,
+    -10,   5,   0,   0,   0,   0,   5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ];
+  const PST_ROOK_MG = [
+      0,   0,   0,   0,   0,   0,   0,   0,
+      5,  10,  10,  10,  10,  10,  10,   5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+     -5,   0,   0,   0,   0,   0,   0,  -5,
+      0,   0,   0,   5,   5,   0,   0,   0
+  ];
+  const PST_ROOK_EG = new Array(64).fill(0);
+  const PST_QUEEN = [
+    -20, -10, -10,  -5,  -5, -10, -10, -20,
+    -10,   0,   0,   0,   0,   0,   0, -10,
+    -10,   0,   5,   5,   5,   5,   0, -10,
+     -5,   0,   5,   5,   5,   5,   0,  -5,
+      0,   0,   5,   5,   5,   5,   0,  -5,
+    -10,   5,   5,   5,   5,   5,   0, -10,
+    -10,   0,   5,   0,   0,   0,   0, -10,
+    -20, -10, -10,  -5,  -5, -10, -10, -20
+  ];
+  const PST_KING_MG = [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+     20,  20,   0,   0,   0,   0,  20,  20,
+     20,  30,  10,   0,   0,  10,  30,  20
+  ];
+  const PST_KING_EG = [
+    -50, -40, -30, -20, -20, -30, -40, -50,
+    -30, -20, -10,   0,   0, -10, -20, -30,
+    -30, -10,  20,  30,  30,  20, -10, -30,
+    -30, -10,  30,  40,  40,  30, -10, -30,
+    -30, -10,  30,  40,  40,  30, -10, -30,
+    -30, -10,  20,  30,  30,  20, -10, -30,
+    -30, -30,   0,   0,   0,   0, -30, -30,
+    -50, -30, -30, -30, -30, -30, -30, -50
+  ];
+  const PST = {
+    p: [PST_PAWN_MG, PST_PAWN_EG],
+    n: [PST_KNIGHT, PST_KNIGHT],
+    b: [PST_BISHOP, PST_BISHOP],
+    r: [PST_ROOK_MG, PST_ROOK_EG],
+    q: [PST_QUEEN, PST_QUEEN],
+    k: [PST_KING_MG, PST_KING_EG]
+  };
+
+  // Evaluation weights as [middlegame, endgame] pairs; the two are blended by game phase.
+  // These are the defaults; analyzePosition takes a weights object with any of them
+  // replaced (see resolveWeights).
+  const EVAL_WEIGHTS = {
+    material: {
+      p: [100, 120],
+      n: [320, 300],
+      b: [330, 320],
+      r: [500, 540],
+      q: [900, 950],
+      k: [0, 0]
+    },
+    doubledPawn: [-10, -20],
+    isolatedPawn: [-10, -15],
+    // indexed by relative rank (0 = own back rank)
+    passedPawn: [[0, 0], [5, 10], [10, 20], [15, 35], [25, 60], [40, 90], [60, 130], [0, 0]],
+    bishopPair: [30, 50],
+    rookOpenFile: [25, 10],
+    rookSemiOpenFile: [12, 6],
+    // per missing pawn in front of the king, on its file and the two next to it
+    kingShelterMissing: [-15, 0],
+    kingOpenFile: [-10, 0],
+    // per square reachable beyond the typical count for that piece
+    mobility: {
+      n: [4, 4],
+      b: [5, 5],
+      r: [2, 4],
+      q: [1, 2]
+    },
+    // [middlegame, endgame] tables by piece letter, laid out as PST above
+    pieceSquares: PST
+  };
+
+  // Copies `overrides` over `defaults` key by key; arrays and numbers are replaced whole
+  function mergeWeights(defaults, overrides) {
+    if (overrides === undefined || overrides === null) return defaults;
+    if (typeof defaults !== 'object' || Array.isArray(defaults)) return overrides;
+    const merged = {};
+    for (const key of Object.keys(defaults)) merged[key] = mergeWeights(defaults[key], overrides[key]);
+    return merged;
+  }
+
+  // A complete weights object for evaluate() from a partial one, e.g.
+  // { material: { n: [300, 300] } }; missing entries keep their defaults
+  function resolveWeights(weights) {
+    return weights ? mergeWeights(EVAL_WEIGHTS, weights) : EVAL_WEIGHTS;
+  }
+
+  // A deep copy of the default weights, as a starting point for tuning
+  function defaultWeights() {
+    return JSON.parse(JSON.stringify(EVAL_WEIGHTS));
+  }
+
+  // piece type -> key in EVAL_WEIGHTS and the other per-type tables
+  const TYPE_LETTERS = '.pnbrqk';
+
+  const EVAL_TERMS = ['material', 'pieceSquares', 'pawnStructure', 'bishopPair', 'rooks', 'kingSafety', 'mobility'];
+
+  function pstIndex(idx, white) {
     const rank = Math.floor(idx / 8);
-    const forward = idx + dir;
-    if (inBounds(forward) && !state.board[forward]) {
-      addPawnMove(idx, forward, piece, moves, rank + 1 === promotionRank);
-      const doubleForward = idx + dir * 2;
-      if (rank === startRank && !state.board[doubleForward]) {
-        moves.push({ from: idx, to: doubleForward, piece, capture: null, flag: 'double' });
+    return white ? (7 - rank) * 8 + (idx % 8) : idx;
+  }
+
+  // Squares a knight or slider can move to (empty or occupied by colour `them`)
+  function countMobility(board, sq, offsets, slide, them) {
+    let count = 0;
+    for (let i = 0; i < offsets.length; i++) {
+      const offset = offsets[i];
+      for (let target = sq + offset; !(target & 0x88); target += offset) {
+        const piece = board[target];
+        if (piece) {
+          if ((piece & BLACK) === them) count++;
+          break;
+        }
+        count++;
+        if (!slide) break;
       }
     }
-    for (const df of [-1, 1]) {
-      const file = (idx % 8) + df;
-      if (file < 0 || file > 7) continue;
-      const target = idx + dir + df;
-      const targetPiece = state.board[target];
-      if (targetPiece && pieceColor(targetPiece) !== pieceColor(piece)) {
-        addPawnMove(idx, target, piece, moves, rank + 1 === promotionRank, targetPiece);
-      }
-      if (target === state.enPassant) {
-        moves.push({ from: idx, to: target, piece, capture: white ? 'p' : 'P', flag: 'enpassant' });
+    return count;
+  }
+
+  // Won endgames score above any material count but far below mates, so the search still
+  // prefers a mate it can see
+  const KNOWN_WIN = 10000;
+  // drawScale factors are out of this
+  const SCALE_NORMAL = 64;
+
+  function kingDistance(a, b) {
+    return Math.max(Math.abs((a & 7) - (b & 7)), Math.abs((a >> 3) - (b >> 3)));
+  }
+
+  // 0..63 index -> bonus for the defending king being near the edge, most in the corners
+  function edgePush(idx) {
+    return (Math.abs(2 * (idx & 7) - 7) + Math.abs(2 * (idx >> 3) - 7)) * 10;
+  }
+
+  function nonPawnMaterial(counts, color) {
+    let total = 0;
+    for (let type = KNIGHT; type <= QUEEN; type++) total += counts[type | color] * PIECE_VALUES[type];
+    return total;
+  }
+
+  // 0..63 index of the first piece of this code
+  function findPiece(state, piece) {
+    for (let sq = 0; sq < 120; sq++) {
+      if (sq & 0x88) {
+        sq += 7;
+        continue;
       }
+      if (state.board[sq] === piece) return to64(sq);
     }
+    return -1;
   }
 
-  function addPawnMove(from, to, piece, moves, promotion, capture) {
-    if (promotion) {
-      for (const promo of ['q','r','b','n']) {
-        const promoPiece = piece === 'P' ? promo.toUpperCase() : promo;
-        moves.push({ from, to, piece, capture: capture || null, promotion: promoPiece, flag: 'promotion' });
+  // Bit 0 set for a bishop of this colour on a dark square, bit 1 for a light one
+  function bishopSquareColors(state, color) {
+    let colors = 0;
+    for (let sq = 0; sq < 120; sq++) {
+      if (sq & 0x88) {
+        sq += 7;
+        continue;
       }
-    } else {
-      moves.push({ from, to, piece, capture: capture || null });
+      if (state.board[sq] === (BISHOP | color)) colors |= 1 << (((sq & 7) + (sq >> 4)) % 2);
     }
+    return colors;
   }
 
-  function generateJumpMoves(state, idx, piece, moves, deltas) {
-    for (const delta of deltas) {
-      const target = idx + delta;
-      if (!inBounds(target)) continue;
-      const fileDiff = Math.abs((target % 8) - (idx % 8));
-      if (fileDiff > 2) continue; // ensure within board edges
-      const targetPiece = state.board[target];
-      if (!targetPiece || pieceColor(targetPiece) !== pieceColor(piece)) {
-        moves.push({ from: idx, to: target, piece, capture: targetPiece || null });
+  // Endgames against a lone king, recognised by material: KPK from the bitbase, and
+  // mating material (KQK, KRK, two bishops, KBNK) scored by how far the defending king is
+  // driven to the edge, or for KBNK the corner of the bishop's colour. Returns
+  // { name, score } from white's point of view, or null for the general evaluation.
+  function endgameScore(state) {
+    const counts = state.counts;
+    // the usual case, and neither king can be alone
+    if (counts[PAWN] && counts[PAWN | BLACK]) return null;
+    if (state.kings[0] === -1 || state.kings[1] === -1) return null;
+    for (let side = 0; side < 2; side++) {
+      const color = side ? BLACK : 0;
+      const weak = color ^ BLACK;
+      if (counts[PAWN | weak] + nonPawnMaterial(counts, weak) > 0) continue;
+      const sign = side ? -1 : 1;
+      const strongKing = to64(state.kings[side]);
+      const weakKing = to64(state.kings[1 - side]);
+      const pawns = counts[PAWN | color];
+      const npm = nonPawnMaterial(counts, color);
+      if (npm === 0 && pawns === 1) {
+        if (!EngineKPK) return null;
+        // the bitbase is for a white pawn; flip black's position onto it
+        const flip = side ? 56 : 0;
+        const pawn = findPiece(state, PAWN | color) ^ flip;
+        const won = EngineKPK.probe(strongKing ^ flip, pawn, weakKing ^ flip, state.whiteToMove === !side);
+        return { name: 'KPK', score: won ? sign * (KNOWN_WIN + PIECE_VALUES[PAWN] + 20 * (pawn >> 3)) : 0 };
+      }
+      const close = (7 - kingDistance(strongKing, weakKing)) * 20;
+      if (pawns === 0 && npm === PIECE_VALUES[BISHOP] + PIECE_VALUES[KNIGHT] && counts[BISHOP | color] === 1) {
+        // mate is only possible in a corner the bishop covers: a1/h8 for a dark bishop
+        const light = bishopSquareColors(state, color) === 2;
+        const corners = light ? [7, 56] : [0, 63];
+        const toCorner = Math.min(...corners.map(c => Math.abs((c & 7) - (weakKing & 7)) + Math.abs((c >> 3) - (weakKing >> 3))));
+        return { name: 'KBNK', score: sign * (KNOWN_WIN + npm + (14 - toCorner) * 80 + close) };
+      }
+      if (counts[QUEEN | color] || counts[ROOK | color] ||
+          (counts[BISHOP | color] >= 2 && bishopSquareColors(state, color) === 3)) {
+        const material = npm + pawns * PIECE_VALUES[PAWN];
+        return { name: 'KXK', score: sign * (KNOWN_WIN + material + edgePush(weakKing) + close) };
       }
     }
+    return null;
   }
 
-  function generateSlideMoves(state, idx, piece, moves, deltas) {
-    const startFile = idx % 8;
-    const startRank = Math.floor(idx / 8);
-    for (const delta of deltas) {
-      const stepFile = delta === 1 ? 1 : delta === -1 ? -1 : delta === 9 || delta === -7 ? 1 : delta === -9 || delta === 7 ? -1 : 0;
-      const stepRank = delta === 8 || delta === 9 || delta === 7 ? 1 : delta === -8 || delta === -9 || delta === -7 ? -1 : 0;
-      let f = startFile + stepFile;
-      let r = startRank + stepRank;
-      while (f >= 0 && f < 8 && r >= 0 && r < 8) {
-        const target = r * 8 + f;
-        const targetPiece = state.board[target];
-        if (!targetPiece) {
-          moves.push({ from: idx, to: target, piece, capture: null });
-        } else {
-          if (pieceColor(targetPiece) !== pieceColor(piece)) {
-            moves.push({ from: idx, to: target, piece, capture: targetPiece });
-          }
-          break;
-        }
-        f += stepFile;
-        r += stepRank;
-      }
+  // Pawnless balances that are drawn with correct defence: a lead of at most a bishop, or
+  // two knights. Returns a factor out of SCALE_NORMAL for evaluate() to apply.
+  function drawScale(counts) {
+    if (counts[PAWN] || counts[PAWN | BLACK]) return SCALE_NORMAL;
+    const white = nonPawnMaterial(counts, 0);
+    const black = nonPawnMaterial(counts, BLACK);
+    const strong = Math.max(white, black);
+    const weak = Math.min(white, black);
+    if (strong - weak <= PIECE_VALUES[BISHOP]) {
+      if (strong < PIECE_VALUES[ROOK]) return 0;
+      return weak <= PIECE_VALUES[BISHOP] ? 4 : 14;
     }
+    if (weak === 0 && strong === 2 * PIECE_VALUES[KNIGHT]) return 0;
+    return SCALE_NORMAL;
   }
 
-  function generateKingMoves(state, idx, piece, moves) {
-    for (let dr = -1; dr <= 1; dr++) {
-      for (let df = -1; df <= 1; df++) {
-        if (dr === 0 && df === 0) continue;
-        const file = (idx % 8) + df;
-        const rank = Math.floor(idx / 8) + dr;
-        if (file < 0 || file > 7 || rank < 0 || rank > 7) continue;
-        const target = rank * 8 + file;
-        const targetPiece = state.board[target];
-        if (!targetPiece || pieceColor(targetPiece) !== pieceColor(piece)) {
-          moves.push({ from: idx, to: target, piece, capture: targetPiece || null });
-        }
+  // Tapered evaluation from white's point of view. When a trace object is passed, each
+  // term's middlegame/endgame contribution per side is recorded into it. Known endgames
+  // (endgameScore) replace the terms, and drawn material balances are scaled towards 0.
+  // weights must be complete, as resolveWeights returns them.
+  function evaluate(state, trace = null, weights = EVAL_WEIGHTS) {
+    const known = endgameScore(state);
+    if (known) {
+      if (trace) trace.endgame = known.name;
+      return known.score;
+    }
+    const w = weights;
+    const board = state.board;
+    const mg = [0, 0];
+    const eg = [0, 0];
+    const add = (term, side, pair, times = 1) => {
+      mg[side] += pair[0] * times;
+      eg[side] += pair[1] * times;
+      if (trace) {
+        trace[term].mg[side] += pair[0] * times;
+        trace[term].eg[side] += pair[1] * times;
       }
+    };
+    if (trace) {
+      for (const term of EVAL_TERMS) trace[term] = { mg: [0, 0], eg: [0, 0] };
     }
-    // castling
-    const white = piece === 'K';
-    if (white && idx === squareToIndex('e1')) {
-      if (state.castling.K && !state.board[squareToIndex('f1')] && !state.board[squareToIndex('g1')]) {
-        if (!isSquareAttacked(state, idx, false) && !isSquareAttacked(state, squareToIndex('f1'), false) && !isSquareAttacked(state, squareToIndex('g1'), false)) {
-          moves.push({ from: idx, to: squareToIndex('g1'), piece, flag: 'castle', castle: 'K' });
-        }
+    // pawnFiles[side][file] = number of that side's pawns on the file
+    const pawnFiles = [new Array(8).fill(0), new Array(8).fill(0)];
+    const pawns = [[], []];
+    const rooks = [[], []];
+    const bishops = [0, 0];
+    let phase = 0;
+    for (let sq = 0; sq < 120; sq++) {
+      if (sq & 0x88) {
+        sq += 7;
+        continue;
       }
-      if (state.castling.Q && !state.board[squareToIndex('d1')] && !state.board[squareToIndex('c1')] && !state.board[squareToIndex('b1')]) {
-        if (!isSquareAttacked(state, idx, false) && !isSquareAttacked(state, squareToIndex('d1'), false) && !isSquareAttacked(state, squareToIndex('c1'), false)) {
-          moves.push({ from: idx, to: squareToIndex('c1'), piece, flag: 'castle', castle: 'Q' });
-        }
+      const piece = board[sq];
+      if (!piece) continue;
+      const type = piece & 7;
+      const letter = TYPE_LETTERS[type];
+      const white = !(piece & BLACK);
+      const side = white ? 0 : 1;
+      phase += PHASE_WEIGHTS[letter];
+      add('material', side, w.material[letter]);
+      const pstIdx = pstIndex(to64(sq), white);
+      const pst = w.pieceSquares[letter];
+      mg[side] += pst[0][pstIdx];
+      eg[side] += pst[1][pstIdx];
+      if (trace) {
+        trace.pieceSquares.mg[side] += pst[0][pstIdx];
+        trace.pieceSquares.eg[side] += pst[1][pstIdx];
+      }
+      if (type === PAWN) {
+        pawnFiles[side][sq & 7]++;
+        pawns[side].push(sq);
+      } else if (type !== KING) {
+        if (type === BISHOP) bishops[side]++;
+        if (type === ROOK) rooks[side].push(sq);
+        const offsets = type === KNIGHT ? KNIGHT_OFFSETS : type === BISHOP ? BISHOP_OFFSETS : type === ROOK ? ROOK_OFFSETS : KING_OFFSETS;
+        const moves = countMobility(board, sq, offsets, type !== KNIGHT, white ? BLACK : 0);
+        add('mobility', side, w.mobility[letter], moves - MOBILITY_BASELINE[letter]);
       }
     }
-    if (!white && idx === squareToIndex('e8')) {
-      if (state.castling.k && !state.board[squareToIndex('f8')] && !state.board[squareToIndex('g8')]) {
-        if (!isSquareAttacked(state, idx, true) && !isSquareAttacked(state, squareToIndex('f8'), true) && !isSquareAttacked(state, squareToIndex('g8'), true)) {
-          moves.push({ from: idx, to: squareToIndex('g8'), piece, flag: 'castle', castle: 'k' });
+    for (let side = 0; side < 2; side++) {
+      const own = pawnFiles[side];
+      const enemy = pawnFiles[1 - side];
+      for (let file = 0; file < 8; file++) {
+        if (own[file] > 1) add('pawnStructure', side, w.doubledPawn, own[file] - 1);
+        if (own[file] && !(file > 0 && own[file - 1]) && !(file < 7 && own[file + 1])) {
+          add('pawnStructure', side, w.isolatedPawn, own[file]);
         }
       }
-      if (state.castling.q && !state.board[squareToIndex('d8')] && !state.board[squareToIndex('c8')] && !state.board[squareToIndex('b8')]) {
-        if (!isSquareAttacked(state, idx, true) && !isSquareAttacked(state, squareToIndex('d8'), true) && !isSquareAttacked(state, squareToIndex('c8'), true)) {
-          moves.push({ from: idx, to: squareToIndex('c8'), piece, flag: 'castle', castle: 'q' });
+      for (const sq of pawns[side]) {
+        if (isPassedPawn(board, sq, side === 0)) {
+          const rank = sq >> 4;
+          add('pawnStructure', side, w.passedPawn[side === 0 ? rank : 7 - rank]);
         }
       }
+      if (bishops[side] >= 2) add('bishopPair', side, w.bishopPair);
+      for (const sq of rooks[side]) {
+        const file = sq & 7;
+        if (!own[file]) add('rooks', side, enemy[file] ? w.rookSemiOpenFile : w.rookOpenFile);
+      }
+      if (state.kings[side] !== -1) evaluateKingShelter(board, state.kings[side], side, own, add, w);
+    }
+    phase = Math.min(phase, MAX_PHASE);
+    if (!pawns[0].length && !pawns[1].length && phase <= 2 && isInsufficientMaterial(state)) {
+      if (trace) trace.insufficientMaterial = true;
+      return 0;
+    }
+    const taper = (m, e) => Math.round((m * phase + e * (MAX_PHASE - phase)) / MAX_PHASE);
+    if (trace) {
+      trace.phase = phase;
+      for (const term of EVAL_TERMS) {
+        const t = trace[term];
+        t.white = taper(t.mg[0], t.eg[0]);
+        t.black = taper(t.mg[1], t.eg[1]);
+        t.total = t.white - t.black;
+      }
     }
+    const scale = drawScale(state.counts);
+    if (trace) trace.scale = scale;
+    return Math.round((taper(mg[0] - mg[1], eg[0] - eg[1]) * scale) / SCALE_NORMAL);
   }
 
-  function makeMove(state, move) {
-    const undo = {
-      move,
-      captured: move.capture || null,
-      enPassant: state.enPassant,
-      castling: { ...state.castling },
-      halfmove: state.halfmove,
-      fullmove: state.fullmove
-    };
-    state.enPassant = -1;
-    state.halfmove++;
-    const movingPiece = move.promotion ? move.promotion : move.piece;
-    if (move.flag === 'enpassant') {
-      const capIdx = state.whiteToMove ? move.to - 8 : move.to + 8;
-      state.board[capIdx] = null;
-    }
-    state.board[move.to] = movingPiece;
-    state.board[move.from] = null;
-    if (movingPiece.toLowerCase() === 'p') state.halfmove = 0;
-    if (move.capture) state.halfmove = 0;
-    if (move.flag === 'double') {
-      state.enPassant = state.whiteToMove ? move.to - 8 : move.to + 8;
-    }
-    // castling rights updates
-    if (move.piece === 'K') { state.castling.K = false; state.castling.Q = false; }
-    if (move.piece === 'k') { state.castling.k = false; state.castling.q = false; }
-    if (move.from === squareToIndex('a1') || move.to === squareToIndex('a1')) state.castling.Q = false;
-    if (move.from === squareToIndex('h1') || move.to === squareToIndex('h1')) state.castling.K = false;
-    if (move.from === squareToIndex('a8') || move.to === squareToIndex('a8')) state.castling.q = false;
-    if (move.from === squareToIndex('h8') || move.to === squareToIndex('h8')) state.castling.k = false;
-
-    if (move.flag === 'castle') {
-      if (move.castle === 'K') {
-        state.board[squareToIndex('f1')] = 'R';
-        state.board[squareToIndex('h1')] = null;
-      }
-      if (move.castle === 'Q') {
-        state.board[squareToIndex('d1')] = 'R';
-        state.board[squareToIndex('a1')] = null;
+  function isPassedPawn(board, sq, white) {
+    const enemy = white ? PAWN | BLACK : PAWN;
+    const file = sq & 7;
+    const dir = white ? 1 : -1;
+    for (let r = (sq >> 4) + dir; r > 0 && r < 7; r += dir) {
+      for (let f = Math.max(0, file - 1); f <= Math.min(7, file + 1); f++) {
+        if (board[r * 16 + f] === enemy) return false;
       }
-      if (move.castle === 'k') {
-        state.board[squareToIndex('f8')] = 'r';
-        state.board[squareToIndex('h8')] = null;
+    }
+    return true;
+  }
+
+  // Own pawns on the two ranks in front of the king, on its file and both neighbours
+  function evaluateKingShelter(board, kingSq, side, ownPawnFiles, add, w) {
+    const white = side === 0;
+    const pawn = white ? PAWN : PAWN | BLACK;
+    const kingFile = kingSq & 7;
+    const kingRank = kingSq >> 4;
+    const dir = white ? 1 : -1;
+    for (let f = Math.max(0, kingFile - 1); f <= Math.min(7, kingFile + 1); f++) {
+      let sheltered = false;
+      for (let step = 1; step <= 2; step++) {
+        const r = kingRank + dir * step;
+        if (r >= 0 && r < 8 && board[r * 16 + f] === pawn) sheltered = true;
       }
-      if (move.castle === 'q') {
-        state.board[squareToIndex('d8')] = 'r';
-        state.board[squareToIndex('a8')] = null;
+      if (!sheltered) add('kingSafety', side, w.kingShelterMissing);
+      if (!ownPawnFiles[f]) add('kingSafety', side, w.kingOpenFile);
+    }
+  }
+
+  // Breaks evaluate() down by term, for seeing why the engine likes a position.
+  // All values are centipawns from white's point of view after tapering. weights may be
+  // partial, as for analyzePosition.
+  function explainEvaluation(fen, weights) {
+    const state = typeof fen === 'string' ? fenToState(fen) : fen;
+    const trace = {};
+    const total = evaluate(state, trace, resolveWeights(weights));
+    if (trace.insufficientMaterial) {
+      return { total: 0, evaluation: 0, phase: 0, maxPhase: MAX_PHASE, insufficientMaterial: true, terms: {} };
+    }
+    if (trace.endgame) {
+      return { total, evaluation: total / 100, phase: 0, maxPhase: MAX_PHASE, endgame: trace.endgame, terms: {} };
+    }
+    const terms = {};
+    for (const term of EVAL_TERMS) {
+      const t = trace[term];
+      terms[term] = {
+        white: t.white,
+        black: t.black,
+        total: t.total,
+        mg: t.mg[0] - t.mg[1],
+        eg: t.eg[0] - t.eg[1]
+      };
+    }
+    return { total, evaluation: total / 100, phase: trace.phase, maxPhase: MAX_PHASE, scale: trace.scale, terms };
+  }
+
+  // Dead positions: no pawns, rooks or queens, and at most one minor piece in total or
+  // only bishops that all stand on the same square colour
+  function isInsufficientMaterial(state) {
+    const counts = state.counts;
+    if (counts[PAWN] || counts[ROOK] || counts[QUEEN] ||
+        counts[PAWN | BLACK] || counts[ROOK | BLACK] || counts[QUEEN | BLACK]) return false;
+    const knights = counts[KNIGHT] + counts[KNIGHT | BLACK];
+    const bishops = counts[BISHOP] + counts[BISHOP | BLACK];
+    if (knights + bishops <= 1) return true;
+    if (knights) return false;
+    let colors = 0;
+    for (let sq = 0; sq < 120; sq++) {
+      if (sq & 0x88) {
+        sq += 7;
+        continue;
       }
+      if ((state.board[sq] & 7) === BISHOP) colors |= 1 << (((sq & 7) + (sq >> 4)) % 2);
     }
+    return colors !== 3;
+  }
+
+  // How many times the current position occurred earlier in state.history. Repetitions
+  // can't span an irreversible move, but the hash already differs across those anyway.
+  function repetitionCount(state, since = 0) {
+    const history = state.history;
+    let count = 0;
+    for (let i = history.length - 2; i >= since * 2; i -= 2) {
+      if (history[i] === state.hashLo && history[i + 1] === state.hashHi) count++;
+    }
+    return count;
+  }
+
+  function isCheckmate(state) {
+    return inCheck(state) && generate(state).length === 0;
+  }
+
+  // Draw by rule for the current position, or null: 'threefold', 'fifty-move',
+  // 'insufficient-material' or 'stalemate'
+  function drawReason(state) {
+    if (isInsufficientMaterial(state)) return 'insufficient-material';
+    if (repetitionCount(state) >= 2) return 'threefold';
+    if (state.halfmove >= 100 && !isCheckmate(state)) return 'fifty-move';
+    if (!inCheck(state) && generate(state).length === 0) return 'stalemate';
+    return null;
+  }
+
+  // Inside the search a single repetition of a position from the search path is scored
+  // as a draw (the side that could avoid it would have); positions from the game before
+  // the root need to have occurred twice, as for a real threefold claim.
+  function isSearchDraw(state, ctx) {
+    if (state.halfmove >= 100 && !isCheckmate(state)) return true;
+    if (isInsufficientMaterial(state)) return true;
+    if (repetitionCount(state, ctx.rootHistory) > 0) return true;
+    return repetitionCount(state) >= 2;
+  }
+
+  const TT_EXACT = 0;
+  const TT_LOWER = 1;
+  const TT_UPPER = 2;
+
+  // Moves are stored in the table as from | to << 6 | promotion << 12, the low bits of a
+  // packed move; this gives the same key for a move object
+  function encodeMove(move) {
+    if (!move) return 0;
+    const promo = move.promotion ? PROMOTION_CODES[move.promotion.toLowerCase()] : 0;
+    return move.from | (packedTarget(move) << 6) | (promo << 12);
+  }
+
+  // Fixed-size, always-indexed table; entries live in parallel typed arrays so the
+  // memory footprint is decided up front by sizeMB.
+  class TranspositionTable {
+    constructor(sizeMB = 16) {
+      const bytesPerEntry = 13;
+      let entries = 1;
+      while (entries * 2 * bytesPerEntry <= sizeMB * 1024 * 1024) entries *= 2;
+      this.mask = entries - 1;
+      this.checks = new Int32Array(entries);
+      this.scores = new Int32Array(entries);
+      this.moves = new Uint16Array(entries);
+      this.depths = new Int8Array(entries);
+      this.flags = new Uint8Array(entries);
+      this.ages = new Uint8Array(entries);
+      this.age = 1;
+    }
+
+    get size() {
+      return this.mask + 1;
+    }
+
+    clear() {
+      this.ages.fill(0);
+      this.age = 1;
+    }
+
+    // called once per analysis so entries from older searches are replaced first
+    newSearch() {
+      this.age = this.age === 255 ? 1 : this.age + 1;
+    }
+
+    probe(state) {
+      const i = state.hashLo & this.mask;
+      if (this.ages[i] === 0 || this.checks[i] !== state.hashHi) return null;
+      return {
+        depth: this.depths[i],
+        score: this.scores[i],
+        flag: this.flags[i],
+        move: this.moves[i]
+      };
+    }
+
+    store(state, depth, score, flag, move) {
+      const i = state.hashLo & this.mask;
+      const sameKey = this.ages[i] !== 0 && this.checks[i] === state.hashHi;
+      if (this.ages[i] === this.age && !sameKey && depth < this.depths[i]) return;
+      if (sameKey && !move) move = this.moves[i];
+      this.checks[i] = state.hashHi;
+      this.scores[i] = score;
+      this.moves[i] = move;
+      this.depths[i] = depth;
+      this.flags[i] = flag;
+      this.ages[i] = this.age;
+    }
+
+    // permille of entries written by the current search, as UCI reports hashfull
+    hashfull() {
+      const sample = Math.min(1000, this.size);
+      let used = 0;
+      for (let i = 0; i < sample; i++) if (this.ages[i] === this.age) used++;
+      return Math.round((used * 1000) / sample);
+    }
+  }
+
+  function createTranspositionTable(sizeMB) {
+    return new TranspositionTable(sizeMB);
+  }
+
+  // Mate scores are stored relative to the node rather than the root
+  function scoreToTT(score, ply) {
+    if (score > MATE_BOUND) return score + ply;
+    if (score < -MATE_BOUND) return score - ply;
+    return score;
+  }
+
+  function scoreFromTT(score, ply) {
+    if (score > MATE_BOUND) return score - ply;
+    if (score < -MATE_BOUND) return score + ply;
+    return score;
+  }
+
+  const MAX_PLY = 128;
+
+  // Search context shared by every node of one analysis: the optional transposition
+  // table, move-ordering heuristics and the limits that can stop the search early.
+  function createSearchContext(options = {}) {
+    return {
+      tt: options.tt || null,
+      killers: Array.from({ length: MAX_PLY }, () => [0, 0]),
+      // triangular PV table: pv[ply] is the best line found from that ply
+      pv: Array.from({ length: MAX_PLY + 1 }, () => []),
+      // root moves to skip, for finding the 2nd, 3rd... best lines in MultiPV mode
+      excluded: [],
+      // indexed by piece code * 64 + destination
+      history: new Int32Array(16 * 64),
+      // best move of the node that returned last; search() reads it for its caller
+      bestMove: 0,
+      nodes: 0,
+      maxNodes: options.nodes || Infinity,
+      deadline: options.movetime ? Date.now() + options.movetime : Infinity,
+      signal: options.signal || null,
+      weights: resolveWeights(options.weights),
+      // positions in state.history before the root; set by analyzePosition
+      rootHistory: 0,
+      stopped: false
+    };
+  }
+
+  function checkLimits(ctx) {
+    if (ctx.nodes >= ctx.maxNodes || (ctx.signal && ctx.signal.aborted)) {
+      ctx.stopped = true;
+    } else if ((ctx.nodes & 1023) === 0 && Date.now() >= ctx.deadline) {
+      ctx.stopped = true;
+    }
+    return ctx.stopped;
+  }
+
+  // Null move pruning is unsound in pawn endings (zugzwang), so require a piece
+  function hasNonPawnMaterial(state, white) {
+    const color = white ? 0 : BLACK;
+    const counts = state.counts;
+    return counts[KNIGHT | color] + counts[BISHOP | color] + counts[ROOK | color] + counts[QUEEN | color] > 0;
+  }
+
+  function makeNullMove(state) {
+    // not added to the history: a repetition across a null move is not a real one
+    const undo = { enPassant: state.enPassant, hashLo: state.hashLo, hashHi: state.hashHi };
+    toggleEnPassant(state);
+    state.enPassant = -1;
+    toggleKey(state, SIDE_KEY);
     state.whiteToMove = !state.whiteToMove;
-    if (!state.whiteToMove) state.fullmove++;
     return undo;
   }
 
-  function undoMove(state, undo) {
-    const { move } = undo;
+  function undoNullMove(state, undo) {
     state.whiteToMove = !state.whiteToMove;
-    if (state.whiteToMove) state.fullmove--;
     state.enPassant = undo.enPassant;
-    state.castling = { ...undo.castling };
-    state.halfmove = undo.halfmove;
-    state.board[move.from] = move.piece;
-    state.board[move.to] = null;
-    if (move.promotion) {
-      state.board[move.from] = move.piece;
+    state.hashLo = undo.hashLo;
+    state.hashHi = undo.hashHi;
+  }
+
+  // Ordering: TT move, captures and promotions by MVV-LVA, killers, then history
+  function scoreMoves(moves, ttMove, ply, ctx) {
+    const killers = ctx.killers[ply] || [0, 0];
+    const scores = new Array(moves.length);
+    for (let i = 0; i < moves.length; i++) {
+      const move = moves[i];
+      const key = move & MOVE_KEY_MASK;
+      if (key === ttMove) {
+        scores[i] = 1000000;
+      } else if (move & TACTICAL_MASK) {
+        const victim = PIECE_VALUES[moveCaptured(move) & 7];
+        const promotion = movePromotion(move);
+        const promo = promotion ? PIECE_VALUES[promotion + 1] : 0;
+        scores[i] = 500000 + (victim + promo) * 10 - PIECE_VALUES[movePiece(move) & 7] / 100;
+      } else if (key === killers[0]) {
+        scores[i] = 400000;
+      } else if (key === killers[1]) {
+        scores[i] = 390000;
+      } else {
+        scores[i] = ctx.history[movePiece(move) * 64 + moveTo(move)];
+      }
     }
-    if (move.flag === 'enpassant') {
-      const capIdx = state.whiteToMove ? move.to + 8 : move.to - 8;
-      state.board[capIdx] = undo.captured;
-    } else if (move.flag === 'castle') {
-      if (move.castle === 'K') {
-        state.board[squareToIndex('h1')] = 'R';
-        state.board[squareToIndex('f1')] = null;
+    return scores;
+  }
+
+  // Selection sort one step at a time: cheap when a cutoff comes early
+  function pickMove(moves, scores, start) {
+    let bestIdx = start;
+    for (let i = start + 1; i < moves.length; i++) {
+      if (scores[i] > scores[bestIdx]) bestIdx = i;
+    }
+    if (bestIdx !== start) {
+      const move = moves[bestIdx];
+      moves[bestIdx] = moves[start];
+      moves[start] = move;
+      const score = scores[bestIdx];
+      scores[bestIdx] = scores[start];
+      scores[start] = score;
+    }
+    return moves[start];
+  }
+
+  function recordQuietCutoff(move, depth, ply, ctx) {
+    const key = move & MOVE_KEY_MASK;
+    const killers = ctx.killers[ply];
+    if (killers && killers[0] !== key) {
+      killers[1] = killers[0];
+      killers[0] = key;
+    }
+    const idx = movePiece(move) * 64 + moveTo(move);
+    ctx.history[idx] += depth * depth;
+    // keep history below the killer/capture ranges
+    if (ctx.history[idx] > 300000) {
+      for (let i = 0; i < ctx.history.length; i++) ctx.history[i] >>= 1;
+    }
+  }
+
+  // Negamax principal variation search. Scores are from the side to move's point of view.
+  // Returns { score, move } with the move as a move object.
+  function search(state, depth, alpha, beta, ply = 0, ctx = createSearchContext(), allowNull = true) {
+    const score = negamax(state, depth, alpha, beta, ply, ctx, allowNull);
+    return { score, move: ctx.bestMove ? toMoveObject(ctx.bestMove) : null };
+  }
+
+  // search() on packed moves; leaves the node's best move in ctx.bestMove
+  function negamax(state, depth, alpha, beta, ply, ctx, allowNull = true) {
+    ctx.nodes++;
+    ctx.pv[ply] = [];
+    ctx.bestMove = 0;
+    if (ctx.stopped || checkLimits(ctx)) return 0;
+    if (ply > 0 && isSearchDraw(state, ctx)) return 0;
+    const checked = inCheck(state);
+    // check extension: never drop into quiescence while in check
+    if (checked && ply < MAX_PLY / 2) depth++;
+    if (depth <= 0 || ply >= MAX_PLY - 1) {
+      return quiesce(state, alpha, beta, ply, 0, ctx);
+    }
+    const tt = ctx.tt;
+    const pvNode = beta - alpha > 1;
+    const alphaOrig = alpha;
+    let ttMove = 0;
+    if (tt) {
+      const entry = tt.probe(state);
+      if (entry) {
+        ttMove = entry.move;
+        // no cutoffs at PV nodes, so the root gets a move and a complete line
+        if (!pvNode && entry.depth >= depth) {
+          const score = scoreFromTT(entry.score, ply);
+          if (entry.flag === TT_EXACT) return score;
+          if (entry.flag === TT_LOWER && score >= beta) return score;
+          if (entry.flag === TT_UPPER && score <= alpha) return score;
+        }
       }
-      if (move.castle === 'Q') {
-        state.board[squareToIndex('a1')] = 'R';
-        state.board[squareToIndex('d1')] = null;
+    }
+    // null move pruning: if passing still fails high, a real move will too
+    if (allowNull && !pvNode && !checked && ply > 0 && depth >= 3 &&
+        Math.abs(beta) < MATE_BOUND && hasNonPawnMaterial(state, state.whiteToMove)) {
+      const reduction = depth > 6 ? 3 : 2;
+      const undo = makeNullMove(state);
+      const score = negamax(state, depth - 1 - reduction, -beta, -beta + 1, ply + 1, ctx, false);
+      undoNullMove(state, undo);
+      ctx.bestMove = 0;
+      if (ctx.stopped) return 0;
+      if (-score >= beta) return beta;
+    }
+    const moves = generate(state);
+    if (moves.length === 0) {
+      return checked ? -MATE_SCORE + ply : 0; // mate or stalemate
+    }
+    const scores = scoreMoves(moves, ttMove, ply, ctx);
+    const excluded = ply === 0 ? ctx.excluded : [];
+    let bestMove = 0;
+    let bestScore = -Infinity;
+    let searched = 0;
+    for (let i = 0; i < moves.length; i++) {
+      const move = pickMove(moves, scores, i);
+      if (excluded.length && excluded.includes(move & MOVE_KEY_MASK)) continue;
+      const quiet = !(move & TACTICAL_MASK);
+      makeMoveFast(state, move);
+      let score;
+      if (searched++ === 0) {
+        score = -negamax(state, depth - 1, -beta, -alpha, ply + 1, ctx);
+      } else {
+        // late move reductions for quiet moves that ordering ranks low
+        let reduction = 0;
+        if (quiet && searched > 3 && depth >= 3 && !checked && scores[i] < 390000 && !inCheck(state)) {
+          reduction = searched > 8 ? 2 : 1;
+        }
+        score = -negamax(state, depth - 1 - reduction, -alpha - 1, -alpha, ply + 1, ctx);
+        if (score > alpha && reduction > 0) {
+          score = -negamax(state, depth - 1, -alpha - 1, -alpha, ply + 1, ctx);
+        }
+        if (score > alpha && score < beta) {
+          score = -negamax(state, depth - 1, -beta, -alpha, ply + 1, ctx);
+        }
       }
-      if (move.castle === 'k') {
-        state.board[squareToIndex('h8')] = 'r';
-        state.board[squareToIndex('f8')] = null;
+      unmakeMoveFast(state, move);
+      if (ctx.stopped) break;
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
       }
-      if (move.castle === 'q') {
-        state.board[squareToIndex('a8')] = 'r';
-        state.board[squareToIndex('d8')] = null;
+      if (score > alpha) {
+        alpha = score;
+        ctx.pv[ply] = [move, ...ctx.pv[ply + 1]];
+      }
+      if (alpha >= beta) {
+        if (quiet) recordQuietCutoff(move, depth, ply, ctx);
+        break;
       }
     }
-    if (move.capture && move.flag !== 'enpassant') {
-      state.board[move.to] = undo.captured;
+    ctx.bestMove = bestMove;
+    // an interrupted subtree's score is meaningless; keep it out of the table
+    if (ctx.stopped) return 0;
+    // with root moves excluded this is not the position's real best move
+    if (tt && !excluded.length) {
+      const flag = bestScore <= alphaOrig ? TT_UPPER : bestScore >= beta ? TT_LOWER : TT_EXACT;
+      tt.store(state, depth, scoreToTT(bestScore, ply), flag, bestMove & MOVE_KEY_MASK);
     }
+    return bestScore;
   }
 
-  function evaluate(state) {
-    let score = 0;
-    for (let i = 0; i < 64; i++) {
-      const piece = state.board[i];
-      if (!piece) continue;
-      const value = PIECE_VALUES[piece.toLowerCase()] || 0;
-      const positional = positionalBonus(piece, i);
-      score += (piece === piece.toUpperCase() ? 1 : -1) * (value + positional);
+  // Captures worth less than this on top of the static eval cannot raise alpha
+  const DELTA_MARGIN = 200;
+  // Check evasions are only searched this many plies into quiescence, to keep
+  // long checking sequences from blowing up the tree
+  const QUIESCENCE_CHECK_PLIES = 4;
+
+  // Quiescence search: at the horizon only captures and promotions are played (all
+  // evasions when in check) until the position is quiet, so hanging pieces just past
+  // the search depth are seen. Negamax like search(). Out of check only tactical moves
+  // are generated, so a stalemate is not recognised here.
+  function quiesce(state, alpha, beta, ply, qply, ctx) {
+    ctx.nodes++;
+    if (ctx.stopped || checkLimits(ctx)) return 0;
+    const checked = inCheck(state);
+    const moves = generate(state, !checked);
+    if (checked && moves.length === 0) return -MATE_SCORE + ply;
+    const evasions = checked && qply < QUIESCENCE_CHECK_PLIES;
+    let best = -Infinity;
+    let standPat = 0;
+    if (!evasions) {
+      // the side to move can usually do at least as well as the static eval by not capturing
+      standPat = evaluate(state, null, ctx.weights) * (state.whiteToMove ? 1 : -1);
+      if (standPat >= beta || ply >= MAX_PLY - 1) return standPat;
+      if (standPat > alpha) alpha = standPat;
+      best = standPat;
     }
-    return score;
+    const scores = scoreMoves(moves, 0, ply, ctx);
+    for (let i = 0; i < moves.length; i++) {
+      const move = pickMove(moves, scores, i);
+      if (!evasions && !(move & TACTICAL_MASK)) continue;
+      if (!evasions && !movePromotion(move)) {
+        // delta pruning: even winning this piece with a margin cannot reach alpha
+        if (standPat + PIECE_VALUES[moveCaptured(move) & 7] + DELTA_MARGIN <= alpha) continue;
+      }
+      makeMoveFast(state, move);
+      const score = -quiesce(state, -beta, -alpha, ply + 1, qply + 1, ctx);
+      unmakeMoveFast(state, move);
+      if (ctx.stopped) return 0;
+      if (score > best) best = score;
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break;
+    }
+    return best;
   }
 
-  function positionalBonus(piece, idx) {
-    const rank = Math.floor(idx / 8);
-    const file = idx % 8;
-    let bonus = 0;
-    if (piece.toLowerCase() === 'p') {
-      bonus += piece === 'P' ? rank * 2 : (7 - rank) * 2;
-      if (file === 3 || file === 4) bonus += 2;
+  const MAX_DEPTH = 64;
+
+  // Moves to mate from a mate score (positive when white mates), or null
+  function mateDistance(whiteScore) {
+    if (Math.abs(whiteScore) <= MATE_BOUND) return null;
+    const plies = MATE_SCORE - Math.abs(whiteScore);
+    return Math.sign(whiteScore) * Math.ceil(plies / 2);
+  }
+
+  function describeLine(state, whiteScore, pv) {
+    const walk = cloneState(state);
+    const moves = pv.map(toMoveObject);
+    const notation = { chess960: state.chess960 };
+    const pvSan = [];
+    for (const move of moves) {
+      pvSan.push(toSAN(walk, move));
+      makeMove(walk, move);
     }
-    if (piece.toLowerCase() === 'n') {
-      if (file >= 2 && file <= 5 && rank >= 2 && rank <= 5) bonus += 10;
+    return {
+      move: toUCI(moves[0], notation),
+      san: pvSan[0],
+      score: whiteScore,
+      evaluation: whiteScore / 100,
+      mate: mateDistance(whiteScore),
+      pv: moves.map(move => toUCI(move, notation)),
+      pvSan,
+      moveObject: moves[0]
+    };
+  }
+
+  // Builds the state to analyse: options.history holds FENs of the positions before
+  // `fen` (oldest first) and options.moves are played from `fen`, so that repetitions of
+  // earlier positions are known to the search. options.chess960 is passed to fenToState.
+  function stateWithHistory(fen, options = {}) {
+    const state = fenToState(fen, options);
+    for (const earlier of options.history || []) {
+      const previous = fenToState(earlier, options);
+      state.history.push(previous.hashLo, previous.hashHi);
     }
-    if (piece.toLowerCase() === 'b') {
-      if ((file + rank) % 2 === 0) bonus += 1;
+    for (const move of options.moves || []) {
+      const legal = parseMove(state, move);
+      if (!legal) throw new Error(`Illegal move ${typeof move === 'string' ? move : toUCI(move, { chess960: state.chess960 })} in ${generateFEN(state)}`);
+      makeMove(state, legal);
     }
-    return bonus;
+    return state;
+  }
+
+  // Iterative deepening: search depth 1, 2, ... until a depth, time or node limit is hit
+  // or options.signal is aborted. The last fully completed iteration gives the result.
+  // options.multiPV asks for that many best root moves, each with its own line, and
+  // options.searchMoves restricts the root to the given moves (SAN, UCI or move objects).
+  // options.history / options.moves give the game so far (see stateWithHistory).
+  // options.onInfo is called after every completed iteration. Reported scores are from
+  // white's point of view. With options.strict an invalid FEN throws InvalidFENError
+  // instead of being analysed as fenToState reads it. options.book is an opening book
+  // (anything with lookup(fen), such as EnginePolyglot.PolyglotBook); its moves are
+  // looked up before the search, passed to options.onBook and returned as book/inBook.
+  // options.weights replaces evaluation weights (see resolveWeights).
+  function analyzePosition(fen, options = {}) {
+    const analysis = createAnalysis(fen, options);
+    while (analysis.step());
+    return analysis.result();
   }
 
-  function search(state, depth, alpha, beta) {
-    if (depth === 0) {
-      return { score: evaluate(state) };
+  // analyzePosition one iteration at a time, for callers that must stay responsive while
+  // it runs (engine-worker.js handles messages between iterations). step() searches the
+  // next depth and returns whether another one is due; result() is the result so far.
+  // Limits, onBook and onInfo work as in analyzePosition, and movetime counts from here.
+  function createAnalysis(fen, options = {}) {
+    if (options.strict) {
+      const { errors } = validateFEN(fen, options);
+      if (errors.length) throw new InvalidFENError(fen, errors);
     }
-    const moves = generateMoves(state);
-    if (moves.length === 0) {
-      const kingIdx = findKing(state, state.whiteToMove);
-      const inCheck = isSquareAttacked(state, kingIdx, !state.whiteToMove);
-      if (inCheck) {
-        return { score: state.whiteToMove ? -100000 + depth : 100000 - depth };
-      }
-      return { score: 0 }; // stalemate
-    }
-    let bestMove = null;
-    if (state.whiteToMove) {
-      let bestScore = -Infinity;
-      for (const move of moves) {
-        const undo = makeMove(state, move);
-        const { score } = search(state, depth - 1, alpha, beta);
-        undoMove(state, undo);
-        if (score > bestScore) {
-          bestScore = score;
-          bestMove = move;
+    const timed = options.movetime || options.nodes;
+    const maxDepth = Math.min(options.depth || (timed ? MAX_DEPTH : 3), MAX_DEPTH);
+    const cloned = stateWithHistory(fen, options);
+    const notation = { chess960: cloned.chess960 };
+    const sign = cloned.whiteToMove ? 1 : -1;
+    const rootMoves = generateMoves(cloned);
+    let skipped = [];
+    if (options.searchMoves && options.searchMoves.length) {
+      const allowed = options.searchMoves.map(m => parseMove(cloned, m)).filter(Boolean).map(encodeMove);
+      // none of them legal: search everything rather than nothing
+      if (allowed.length) skipped = rootMoves.map(encodeMove).filter(code => !allowed.includes(code));
+    }
+    const multiPV = Math.max(1, Math.min(options.multiPV || 1, rootMoves.length - skipped.length));
+    const draw = drawReason(cloned);
+    const book = options.book ? options.book.lookup(generateFEN(cloned)) : [];
+    if (options.onBook) options.onBook(book);
+    const ctx = createSearchContext(options);
+    ctx.rootHistory = cloned.history.length / 2;
+    if (ctx.tt) ctx.tt.newSearch();
+    const started = Date.now();
+    let best = null;
+    let completedDepth = 0;
+    let done = false;
+
+    function step() {
+      if (done) return false;
+      const depth = completedDepth + 1;
+      const lines = [];
+      let terminalScore = 0;
+      ctx.excluded = skipped.slice();
+      for (let k = 0; k < multiPV; k++) {
+        const score = negamax(cloned, depth, -Infinity, Infinity, 0, ctx);
+        if (ctx.stopped) break;
+        if (!ctx.bestMove) {
+          terminalScore = score * sign || 0;
+          break;
         }
-        alpha = Math.max(alpha, score);
-        if (beta <= alpha) break;
+        lines.push(describeLine(cloned, score * sign || 0, ctx.pv[0]));
+        ctx.excluded.push(ctx.bestMove & MOVE_KEY_MASK);
       }
-      return { score: bestScore, move: bestMove };
-    } else {
-      let bestScore = Infinity;
-      for (const move of moves) {
-        const undo = makeMove(state, move);
-        const { score } = search(state, depth - 1, alpha, beta);
-        undoMove(state, undo);
-        if (score < bestScore) {
-          bestScore = score;
-          bestMove = move;
+      if (ctx.stopped) {
+        done = true;
+        return false;
+      }
+      lines.sort((a, b) => (b.score - a.score) * sign);
+      best = lines.length ? { score: lines[0].score, move: lines[0].moveObject, lines } : { score: terminalScore, move: null, lines };
+      completedDepth = depth;
+      if (options.onInfo) {
+        const time = Date.now() - started;
+        options.onInfo({
+          depth,
+          score: best.score,
+          evaluation: best.score / 100,
+          mate: mateDistance(best.score),
+          nodes: ctx.nodes,
+          nps: time > 0 ? Math.round((ctx.nodes * 1000) / time) : ctx.nodes * 1000,
+          time,
+          bestMove: best.move ? toUCI(best.move, notation) : null,
+          bestMoveSan: lines.length ? lines[0].san : null,
+          moveObject: best.move,
+          pv: lines.length ? lines[0].pv : [],
+          lines
+        });
+      }
+      // a forced mate found within this depth will not get any shorter
+      const mated = multiPV === 1 && Math.abs(best.score) > MATE_BOUND && MATE_SCORE - Math.abs(best.score) <= depth;
+      if (!best.move || mated || depth >= maxDepth) done = true;
+      return !done;
+    }
+
+    function result() {
+      // stopped before depth 1 finished: fall back to any legal move and the static eval
+      const final = best || {
+        score: evaluate(cloned, null, ctx.weights),
+        move: rootMoves.find(m => !skipped.includes(encodeMove(m))) || null,
+        lines: []
+      };
+      const bestMove = final.move;
+      return {
+        bestMove: bestMove ? toUCI(bestMove, notation) : null,
+        bestMoveSan: bestMove ? toSAN(cloned, bestMove) : null,
+        evaluation: final.score / 100,
+        mate: mateDistance(final.score),
+        depth: completedDepth,
+        nodes: ctx.nodes,
+        time: Date.now() - started,
+        moveObject: bestMove,
+        pv: final.lines.length ? final.lines[0].pv : [],
+        lines: final.lines,
+        fen: generateFEN(cloned),
+        draw,
+        book,
+        inBook: book.length > 0
+      };
+    }
+
+    return { step, result };
+  }
+
+  // Mate solver: depth-first proof that the side to move mates in at most n moves. The
+  // attacker tries checks first (and only checks on its last move); the defender tries
+  // captures and king moves first, the replies most likely to refute. Results per position
+  // and remaining moves are cached, so trying n = 1, 2, ... in turn is cheap.
+  function mateKey(state) {
+    return state.hashLo + ':' + state.hashHi;
+  }
+
+  // Checks first, then captures by victim; with checksOnly everything else is dropped
+  function attackerMoves(state, checksOnly) {
+    const scored = [];
+    for (const move of generate(state)) {
+      makeMoveFast(state, move);
+      const check = inCheck(state);
+      unmakeMoveFast(state, move);
+      if (checksOnly && !check) continue;
+      scored.push({ move, order: (check ? 10000 : 0) + PIECE_VALUES[moveCaptured(move) & 7] + movePromotion(move) * 100 });
+    }
+    return scored.sort((a, b) => b.order - a.order).map(s => s.move);
+  }
+
+  function defenderMoves(state) {
+    const order = move => (moveCaptured(move) ? 2 : 0) + ((movePiece(move) & 7) === KING ? 1 : 0);
+    return generate(state).sort((a, b) => order(b) - order(a));
+  }
+
+  // Attacker to move: can it mate within k moves?
+  function mateIn(state, k, ctx) {
+    ctx.nodes++;
+    if (ctx.stopped || checkLimits(ctx)) return false;
+    const key = mateKey(state);
+    const known = ctx.mates.get(key);
+    if (known && known.proven <= k) return true;
+    if (known && known.disproven >= k) return false;
+    let found = false;
+    for (const move of attackerMoves(state, k === 1)) {
+      makeMoveFast(state, move);
+      found = defenderLoses(state, k, ctx);
+      unmakeMoveFast(state, move);
+      if (found) break;
+    }
+    if (ctx.stopped) return false;
+    const entry = known || { proven: Infinity, disproven: 0 };
+    if (found) entry.proven = Math.min(entry.proven, k);
+    else entry.disproven = Math.max(entry.disproven, k);
+    ctx.mates.set(key, entry);
+    return found;
+  }
+
+  // Defender to move after the attacker's k-th from last move: mated now, or mated within
+  // k - 1 more attacker moves whatever it plays
+  function defenderLoses(state, k, ctx) {
+    ctx.nodes++;
+    const replies = defenderMoves(state);
+    if (!replies.length) return inCheck(state);
+    if (k === 1) return false;
+    for (const reply of replies) {
+      makeMoveFast(state, reply);
+      const lost = mateIn(state, k - 1, ctx);
+      unmakeMoveFast(state, reply);
+      if (!lost) return false;
+    }
+    return true;
+  }
+
+  // Fewest moves, up to max, in which the attacker (to move) mates; null if it cannot
+  function shortestMate(state, max, ctx) {
+    for (let k = 1; k <= max; k++) {
+      if (mateIn(state, k, ctx)) return k;
+    }
+    return null;
+  }
+
+  // Main line of a proven mate: the attacker takes the quickest mate, the defender the
+  // reply that holds out longest
+  function mateLine(state, first, k, ctx) {
+    const walk = cloneState(state);
+    const line = [first];
+    makeMoveFast(walk, first);
+    for (;;) {
+      let longest = -1;
+      let reply = 0;
+      for (const move of defenderMoves(walk)) {
+        makeMoveFast(walk, move);
+        const length = shortestMate(walk, k - 1, ctx);
+        unmakeMoveFast(walk, move);
+        if (length !== null && length > longest) {
+          longest = length;
+          reply = move;
+        }
+      }
+      if (!reply) break;
+      line.push(reply);
+      makeMoveFast(walk, reply);
+      k = longest;
+      let quickest = 0;
+      for (let j = 1; j <= k && !quickest; j++) {
+        for (const move of attackerMoves(walk, j === 1)) {
+          makeMoveFast(walk, move);
+          const lost = defenderLoses(walk, j, ctx);
+          unmakeMoveFast(walk, move);
+          if (lost) {
+            quickest = move;
+            k = j;
+            break;
+          }
         }
-        beta = Math.min(beta, score);
-        if (beta <= alpha) break;
       }
-      return { score: bestScore, move: bestMove };
+      if (!quickest) break;
+      line.push(quickest);
+      makeMoveFast(walk, quickest);
     }
+    return line;
   }
 
-  function analyzePosition(fen, options = {}) {
-    const depth = options.depth || 3;
-    const state = fenToState(fen);
-    const cloned = cloneState(state);
-    const result = search(cloned, depth, -Infinity, Infinity);
-    const bestMove = result.move;
-    const evaluation = result.score / 100;
+  // Proves or refutes a forced mate in n moves for the side to move. Returns every key
+  // (first move forcing mate within n, with its own shortest length), the main line of
+  // the quickest mate and mate: false for "no mate in n". options.nodes, movetime and
+  // signal bound the work; a search cut short reports aborted and only what it proved.
+  function findMate(fen, n, options = {}) {
+    if (options.strict) {
+      const { errors } = validateFEN(fen, options);
+      if (errors.length) throw new InvalidFENError(fen, errors);
+    }
+    const state = typeof fen === 'string' ? fenToState(fen, options) : cloneState(fen);
+    const notation = { chess960: state.chess960 };
+    const ctx = createSearchContext(options);
+    ctx.mates = new Map();
+    const started = Date.now();
+    const pending = attackerMoves(state, false);
+    const keys = [];
+    for (let k = 1; k <= n && pending.length && !ctx.stopped; k++) {
+      for (let i = 0; i < pending.length; i++) {
+        const move = pending[i];
+        makeMoveFast(state, move);
+        const lost = defenderLoses(state, k, ctx);
+        unmakeMoveFast(state, move);
+        if (ctx.stopped) break;
+        if (lost) {
+          keys.push({ move, mateIn: k });
+          pending.splice(i--, 1);
+        }
+      }
+    }
+    const line = keys.length && !ctx.stopped ? mateLine(state, keys[0].move, keys[0].mateIn, ctx) : [];
+    const walk = cloneState(state);
+    const lineSan = line.map(move => {
+      const moveObject = toMoveObject(move);
+      const san = toSAN(walk, moveObject);
+      makeMoveFast(walk, move);
+      return san;
+    });
     return {
-      bestMove: bestMove ? moveToAlgebraic(bestMove) : null,
-      evaluation,
-      depth,
-      moveObject: bestMove
+      fen: generateFEN(state),
+      n,
+      mate: keys.length > 0,
+      mateIn: keys.length ? keys[0].mateIn : null,
+      keys: keys.map(({ move, mateIn }) => {
+        const moveObject = toMoveObject(move);
+        return { move: toUCI(moveObject, notation), san: toSAN(state, moveObject), mateIn, moveObject };
+      }),
+      line: line.map(move => toUCI(toMoveObject(move), notation)),
+      lineSan,
+      nodes: ctx.nodes,
+      time: Date.now() - started,
+      aborted: ctx.stopped
     };
   }
 
-  function moveToAlgebraic(move) {
-    const from = indexToSquare(move.from);
-    const to = indexToSquare(move.to);
-    const promotion = move.promotion ? '=' + move.promotion.toUpperCase() : '';
-    return `${from}${to}${promotion}`;
+  // Standard algebraic notation for a legal move in this position, with +/# suffixes
+  function toSAN(state, move) {
+    let san;
+    if (move.flag === 'castle') {
+      san = move.castle.toLowerCase() === 'k' ? 'O-O' : 'O-O-O';
+    } else {
+      const type = move.piece.toUpperCase();
+      const capture = move.capture ? 'x' : '';
+      const to = indexToSquare(move.to);
+      if (type === 'P') {
+        san = (capture ? FILES[move.from % 8] + capture : '') + to;
+        if (move.promotion) san += '=' + move.promotion.toUpperCase();
+      } else {
+        // disambiguate by file, then rank, then both, only when another piece of
+        // the same type can legally reach the same square
+        const others = generateMoves(state).filter(m => m.piece === move.piece && m.to === move.to && m.from !== move.from);
+        let from = '';
+        if (others.length) {
+          const square = indexToSquare(move.from);
+          if (!others.some(m => m.from % 8 === move.from % 8)) from = square[0];
+          else if (!others.some(m => Math.floor(m.from / 8) === Math.floor(move.from / 8))) from = square[1];
+          else from = square;
+        }
+        san = type + from + capture + to;
+      }
+    }
+    const undo = makeMove(state, move);
+    if (inCheck(state)) san += generateMoves(state).length ? '+' : '#';
+    undoMove(state, undo);
+    return san;
+  }
+
+  // UCI long algebraic notation: e2e4, e7e8q, e1g1 for castling. With options.chess960
+  // castling is written as the king taking its rook (e1h1), as Chess960 GUIs expect.
+  function toUCI(move, options = {}) {
+    if (move.flag === 'castle' && options.chess960) {
+      return indexToSquare(move.from) + indexToSquare(packedTarget(move));
+    }
+    const promotion = move.promotion ? move.promotion.toLowerCase() : '';
+    return indexToSquare(move.from) + indexToSquare(move.to) + promotion;
+  }
+
+  const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])=?([qrbn])?$/i;
+  const SAN_PATTERN = /^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/;
+
+  // Finds the legal move meant by a SAN (Nf3, exd5, e8=Q+, O-O) or UCI (g1f3, e7e8q) string,
+  // or matching a move object. Returns null for illegal or ambiguous input. Castling in UCI
+  // is accepted as king takes rook (e1h1), and as e1g1 unless the state is Chess960, where
+  // that could also be a plain king move.
+  function parseMove(state, input) {
+    const legal = generateMoves(state);
+    if (typeof input !== 'string') {
+      const code = encodeMove(input);
+      return legal.find(m => encodeMove(m) === code) || null;
+    }
+    // annotations, check marks and an "e.p." suffix carry no information for matching
+    const text = input.trim().replace(/[+#!?]+$/, '').replace(/\s*e\.p\.$/, '');
+    const uci = text.match(UCI_PATTERN);
+    if (uci) {
+      const from = squareToIndex(uci[1]);
+      const to = squareToIndex(uci[2]);
+      const promo = uci[3] ? uci[3].toLowerCase() : null;
+      return legal.find(m => m.from === from &&
+        (m.flag === 'castle' ? m.rook === to || (m.to === to && !state.chess960) : m.to === to) &&
+        (m.promotion ? m.promotion.toLowerCase() === promo : !promo)) || null;
+    }
+    const castle = text.replace(/0/g, 'O');
+    if (castle === 'O-O' || castle === 'O-O-O') {
+      const side = castle === 'O-O' ? 'k' : 'q';
+      return legal.find(m => m.flag === 'castle' && m.castle.toLowerCase() === side) || null;
+    }
+    const san = text.match(SAN_PATTERN);
+    if (!san) return null;
+    const [, pieceLetter, fromFile, fromRank, toSquare, promo] = san;
+    const type = (pieceLetter || 'P').toLowerCase();
+    const to = squareToIndex(toSquare);
+    const candidates = legal.filter(m =>
+      m.piece.toLowerCase() === type &&
+      m.to === to &&
+      m.flag !== 'castle' &&
+      (!fromFile || FILES[m.from % 8] === fromFile) &&
+      (!fromRank || Math.floor(m.from / 8) + 1 === parseInt(fromRank, 10)) &&
+      (m.promotion ? m.promotion.toLowerCase() === (promo || '').toLowerCase() : !promo));
+    return candidates.length === 1 ? candidates[0] : null;
   }
 
-  window.EngineCore = {
+  // Counts leaf nodes of the legal move tree; used to validate the move generator
+  function perft(fen, depth) {
+    const state = typeof fen === 'string' ? fenToState(fen) : cloneState(fen);
+    return perftNodes(state, depth);
+  }
+
+  function perftNodes(state, depth) {
+    if (depth === 0) return 1;
+    const moves = generate(state);
+    if (depth === 1) return moves.length;
+    let nodes = 0;
+    for (let i = 0; i < moves.length; i++) {
+      makeMoveFast(state, moves[i]);
+      nodes += perftNodes(state, depth - 1);
+      unmakeMoveFast(state, moves[i]);
+    }
+    return nodes;
+  }
+
+  // Per-root-move perft counts, for narrowing down where a count goes wrong
+  function divide(fen, depth) {
+    const state = typeof fen === 'string' ? fenToState(fen) : cloneState(fen);
+    const moves = {};
+    let total = 0;
+    for (const move of generateMoves(state)) {
+      const undo = makeMove(state, move);
+      const nodes = depth > 1 ? perftNodes(state, depth - 1) : 1;
+      undoMove(state, undo);
+      moves[toUCI(move, { chess960: state.chess960 })] = nodes;
+      total += nodes;
+    }
+    return { moves, total };
+  }
+
+  const EngineCore = {
     analyzePosition,
+    createAnalysis,
+    findMate,
     fenToState,
+    validateFEN,
+    InvalidFENError,
     generateFEN,
     cloneState,
-    moveToAlgebraic
+    // older name, kept for callers from before toUCI existed
+    moveToAlgebraic: toUCI,
+    toUCI,
+    toSAN,
+    parseMove,
+    generateMoves,
+    makeMove,
+    undoMove,
+    isSquareAttacked,
+    findKing,
+    evaluate,
+    explainEvaluation,
+    resolveWeights,
+    defaultWeights,
+    isInsufficientMaterial,
+    drawReason,
+    search,
+    createTranspositionTable,
+    computeHash,
+    perft,
+    divide,
+    indexToSquare,
+    squareToIndex
   };
+
+  // CommonJS for Node (lib/engine-core.mjs re-exports this for ESM); a global for content scripts
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineCore;
+  } else {
+    globalThis.EngineCore = EngineCore;
+  }
 })();
@@ -0,0 +1,37 @@
+// ESM entry point; the core itself is a CommonJS/content-script module
+import EngineCore from './engine-core.js';
+
+export const {
+  analyzePosition,
+  createAnalysis,
+  findMate,
+  fenToState,
+  validateFEN,
+  InvalidFENError,
+  generateFEN,
+  cloneState,
+  moveToAlgebraic,
+  toUCI,
+  toSAN,
+  parseMove,
+  generateMoves,
+  makeMove,
+  undoMove,
+  isSquareAttacked,
+  findKing,
+  evaluate,
+  explainEvaluation,
+  resolveWeights,
+  defaultWeights,
+  isInsufficientMaterial,
+  drawReason,
+  search,
+  createTranspositionTable,
+  computeHash,
+  perft,
+  divide,
+  indexToSquare,
+  squareToIndex
+} = EngineCore;
+
+export default EngineCore;
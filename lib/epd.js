@@ -0,0 +1,137 @@
+// EPD test suites on top of EngineCore: each line is the first four FEN fields followed by
+// operations such as bm Qg6; id "WAC.001"; which checkSolution judges a search result by
+(function() {
+  const EngineCore = typeof module !== 'undefined' && module.exports
+    ? require('./engine-core.js')
+    : globalThis.EngineCore;
+
+  const OPCODE = /^[A-Za-z][A-Za-z0-9_]{0,14}$/;
+
+  // Splits the text after the position into quoted-string, ';' and bare word tokens
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === ';') {
+        tokens.push({ type: 'end' });
+        i++;
+      } else if (ch === '"') {
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) throw new Error(`Unterminated string at offset ${i}`);
+        tokens.push({ type: 'string', value: text.slice(i + 1, close) });
+        i = close + 1;
+      } else {
+        const match = text.slice(i).match(/^[^\s;"]+/);
+        tokens.push({ type: 'word', value: match[0] });
+        i += match[0].length;
+      }
+    }
+    return tokens;
+  }
+
+  // { opcode: [operand, ...] } for operations like bm Nf3 Nc3; or id "name"; the last
+  // operation on a line may leave out its semicolon
+  function parseOperations(text) {
+    const operations = {};
+    let current = null;
+    for (const token of tokenize(text)) {
+      if (token.type === 'end') {
+        current = null;
+      } else if (current) {
+        current.push(token.value);
+      } else if (token.type === 'word' && OPCODE.test(token.value)) {
+        current = operations[token.value] = [];
+      } else {
+        throw new Error(`Expected an opcode, found ${token.value}`);
+      }
+    }
+    return operations;
+  }
+
+  // One EPD record, or null for a blank or # comment line. hmvc and fmvn fill in the
+  // clocks of fen; bm and am are left as written (usually SAN).
+  function parseEPDLine(line) {
+    const text = line.trim();
+    if (!text || text[0] === '#') return null;
+    const match = text.match(/^(\S+)\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+(.*))?$/);
+    if (!match) throw new Error('Expected board, side to move, castling and en passant fields');
+    const operations = parseOperations(match[5] || '');
+    const first = opcode => (operations[opcode] ? operations[opcode][0] : undefined);
+    const dm = first('dm');
+    return {
+      fen: `${match.slice(1, 5).join(' ')} ${first('hmvc') || 0} ${first('fmvn') || 1}`,
+      id: first('id') || null,
+      bm: operations.bm || [],
+      am: operations.am || [],
+      dm: dm === undefined ? null : parseInt(dm, 10),
+      comment: first('c0') || null,
+      operations
+    };
+  }
+
+  function parseEPD(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      let record;
+      try {
+        record = parseEPDLine(line);
+      } catch (err) {
+        throw new Error(`Line ${i + 1}: ${err.message}`);
+      }
+      if (record) records.push(record);
+    });
+    return records;
+  }
+
+  // bm or am moves as UCI, whatever notation the suite wrote them in
+  function movesToUCI(state, moves) {
+    return moves.map(text => {
+      const move = EngineCore.parseMove(state, text);
+      if (!move) throw new Error(`Illegal move ${text} in ${EngineCore.generateFEN(state)}`);
+      return EngineCore.toUCI(move, { chess960: state.chess960 });
+    });
+  }
+
+  // Whether an analyzePosition result solves a record: its best move must be one of bm
+  // and none of am, and with dm it must have found a mate for the side to move in at most
+  // that many moves. Returns { solved, bm, am } with the expected moves as UCI, or
+  // { solved: false, bm: [], am: [], error } when the record's moves are not legal there.
+  function checkSolution(record, result) {
+    const state = EngineCore.fenToState(record.fen);
+    let bm;
+    let am;
+    try {
+      bm = movesToUCI(state, record.bm);
+      am = movesToUCI(state, record.am);
+    } catch (err) {
+      return { solved: false, bm: [], am: [], error: err.message };
+    }
+    let solved = !!result.bestMove;
+    if (bm.length && !bm.includes(result.bestMove)) solved = false;
+    if (am.includes(result.bestMove)) solved = false;
+    if (record.dm !== null) {
+      // result.mate is from white's side, like every score of the core
+      const mate = result.mate === null || result.mate === undefined
+        ? null
+        : result.mate * (state.whiteToMove ? 1 : -1);
+      if (mate === null || mate <= 0 || mate > record.dm) solved = false;
+    }
+    return { solved, bm, am };
+  }
+
+  const EngineEPD = {
+    parseEPD,
+    parseEPDLine,
+    parseOperations,
+    checkSolution
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineEPD;
+  } else {
+    globalThis.EngineEPD = EngineEPD;
+  }
+})();
@@ -0,0 +1,374 @@
+// KPK bitbase: whether king and pawn beat a lone king. Generated by tools/make-kpk.js
+// (retrograde analysis); do not edit by hand, run the tool again instead.
+(function() {
+  const DATA = [
+    '8P9Q1QDQANAA0ADQANAA0MD/QNUA0ADQANAA0ADQANAB/wDVANAA0ADQANAA0ADQBfwE1ADQANAA0ADQANAA0DXwFNAA0ADQ',
+    'ANAA0ADQAND1wFTAANAA0ADQANAA0ADQ9QNUAQDQANAA0ADQANAA0PUPVAUA0ADQANAA0ADQANAAAAAAAAAAAAAAAAAAAAAA',
+    'wP/A/0DVANAA0ADQANAA0AH/AP8A1QDQANAA0ADQANAF/AT8ANQA0ADQANAA0ADQNfAU8ADQANAA0ADQANAA0PXAVMAAwADQ',
+    'ANAA0ADQAND1A1QBAAAA0ADQANAA0ADQ9Q9UBQAAANAA0ADQANAA0P//UP9A/0DVANAA0ADQAND//8D/wP9A1QDQANAA0ADQ',
+    '9f8A/wD/ANUA0ADQANAA0PX/BPwA/ADUANAA0ADQAND1/xTwAPAA0ADQANAA0ADQ9f9UwADAAMAA0ADQANAA0PX/VAEAAAAA',
+    'ANAA0ADQAND1/1QFAAAAAADQANAA0ADQ9f/0/1D/QP9A9QD0APQA9PX/9P/A/8D/QPUA9AD0APT1//T/AP8A/wD1APQA9AD0',
+    '9f/0/wD8APwA9AD0APQA9PX/VP8A8ADwAPAA9AD0APT1/1T9AMAAwADAANAA0ADQ9f9U9QAAAAAAAADQANAA0PX/VNUAAAAA',
+    'AAAA0ADQAND1//T/UP9A/0D/QP0A/QD99f/0//D/wP/A/0D9AP0A/fX/9P/w/wD/AP8A/QD9AP31//T/0P8A/AD8APwA/QD9',
+    '9f9U/0D/APAA8ADwAPQA9PX/VP0A/QDAAMAAwADQAND1/1T1APQAAAAAAAAA0ADQ9f9U1QDQAAAAAAAAANAA0PX/9P9Q/0D/',
+    'QP9A/0D/QP/1//T/0P/Q/8D/wP9A/0D/9f/0/1D/QP8A/wD/AP9A//X/9P9Q/QD9APwA/AD8AP31/1T/QPUA9ADwAPAA8AD0',
+    '9f9U/QDVANAAwADAAMAA0PX/VPUA1ADQAAAAAAAAAND1/1TVANAA0AAAAAAAAADQ9f9U/0D/QP9A/0D/QP9A//X/VP9A/0D/',
+    'QP9A/8D/wP/1/1T/QP9A/0D/AP8A/wD/9f9U/QD9AP0A/QD8APwA/PX/VPUA9AD0APQA8ADwAPD1/1TVANAA0ADQAMAAwADA',
+    '9f9U1QDQANAA0AAAAAAAAPX/VNUA0ADQANAAAAAAAAD1/1T9AP0A/QD9AP1A/UD/9f9U/QD9AP0A/QD9QP3A//X/VP0A/QD9',
+    'AP0A/QD9AP/1/1T9AP0A/QD9AP0A/AD89f9U9QD0APQA9AD0APAA8PX/VNUA0ADQANAA0ADAAMD1/1TVANAA0ADQANAAAAAA',
+    '9f9U1QDQANAA0ADQAAAAAPD/0P9A/0D/QP9A/0D/Vf/A/8D/QP9A/0D/QP9A/1X/A/8B/QD9AP0A/QD9AP1V/QX8AfwA/QD9',
+    'AP0A/QD9Vf0V8BHwAPQA9AD0APQA9FX11cBRwADQANAA0ADQANBV1dUDUQEAQABAAEAAQABAAFTVD1EFAEAAQABAAEAAQABQ',
+    '8P/w/8D/0P/V/9D/1f///wAAAAAAAAAAAAAAAAAAAAAD/wP/AP9B/1X/Qf9V////BfwB/AD8Af1R/QH9Vf3//xXwEfAA8AD0',
+    'QPUA9FX1///VwFHAAMAA0ADVANAA1VX91QNRAQAAAEAAVABAAFQA9NUPUQUAAABAAFAAQABQAND///D/4P/w//b/9f//////',
+    '///A/8D/wP/Z/9X/////////A/8C/wP/Z/9X///////V/wH8APwB/JH9Vf3/////1f8R8ADwAPBA9kD1Vf///9X/UcAAwADA',
+    'ANkA1QD9Vf3V/1EBAAAAAABkAFQA9AD01f9RBQAAAAAA0ADQANAA0NX/0f/A//D/8P/////////V/9H/wP/A/8D/////////',
+    '1f/R/wD/A/8D/////////9X/0f8A/AH8AfzV///////V/9H/APAA8ADwQP9V////1f9R/QDAAMAAwAD9AP1V/dX/UfUAAAAA',
+    'AAAA9AD0APTV/1HVAAAAAAAAANAA0ADQ1f/R/8D/0P/w//D//////9X/0f/A/8D/wP/A///////V/9H/wP8B/wP/A///////',
+    '1f/R/8D/AfwB/AX8/////9X/0f9A/wDwAPAA8FX////V/1H9AP0AwADAAMAA/VX91f9R9QD0AAAAAAAAAPQA9NX/UdUA0AAA',
+    'AAAAAADQANDV/9H/QP9A/1D/8P/w////1f/R/0D/QP9A/8D/wP///9X/0f9A/0D/Af8D/wP////V/9H/QP0A/QH8AfwF/P//',
+    '1f/R/0D1APQA8ADwFfD//9X/Uf0A1QDQAMAAwADAVf3V/1H1AFQAQAAAAAAAAAD01f9R1QBQAEAAAAAAAAAA0NX/Uf0A/QD9',
+    'AP1Q/fD/8P/V/1H9AP0A/QD9QP3A/8D/1f9R/QD9AP0A/QH9A/8D/9X/Uf0A/QD9AP0B/AH8BfzV/1H1APQA9AD0APAA8BXw',
+    '1f9R1QDQANAA0ADAAMBVwNX/UVUAQABAAEAAAAAAAADV/1FVAEAAQABAAAAAAAAA1f9R9QD0APQA9AD0UPXw/9X/UfUA9AD0',
+    'APQA9ED1wP/V/1H1APQA9AD0APQB9QP/1f9R9QD0APQA9AD0AfQB/NX/UfUA9AD0APQA9ADwAPDV/1HVANAA0ADQANAAwADA',
+    '1f9RVQBAAEAAQABAAAAAANX/UVUAQABAAEAAQAAAAABQ/0D/AP0A/QD9AP0A/VX9wP9A/wD9AP0A/QD9AP1V/QP/A/8B/QH9',
+    'Af0B/QH9Vf0P/Af0AfQB9AH0AfQB9FX1F/AH8AH0AfQB9AH0AfRV9VfAR8AB0AHQAdAB0AHQVdVXA0UBAEAAQABAAEAAQFVV',
+    'Vw9FBQAAAAAAAAAAAAAAUFD/QP8A/0D/Rf9A/1X////A/8D/AP9B/1X/Qf9V////AAAAAAAAAAAAAAAAAAAAAA/8D/wD/Af9',
+    'V/0H/Vf9//8X8AfwA/AH9Ef1B/RX9f//V8BHwAHAAdAB1QHQVdX//1cDRQEAAABAAFQAQABUVfVXD0UFAAAAAABQAAAAUADQ',
+    'V/9A/wD/QP9G/1X/////////wP+A/8D/2f/V/////////wP/A/8D/2f/V/////////8P/Av8D/yf/V/9/////1f/B/AD8Afw',
+    'R/ZX9f////9X/0fAAcABwAHZAdVV/f//V/9FAQAAAAAAZABUAPRV9Vf/RQUAAAAAAJAAUADQANBX/0f/AP9A/0D/V///////',
+    'V/9H/wD/wP/A/////////1f/R/8D/wP/A/////////9X/0f/A/wP/A/8////////V/9H/wPwB/AH8Ff//////1f/R/8BwAHA',
+    'AcAB/VX9//9X/0X1AAAAAAAAAPQA9FX1V/9F1QAAAAAAAADQANAA0Ff/R/8D/0D/QP9Q//////9X/0f/A/9A/8D/wP//////',
+    'V/9H/wP/A/8D/wP//////1f/R/8D/wf8D/wP/P////9X/0f/A/8H8AfwF/D/////V/9H/wH9AcABwAHAVf3//1f/RfUA9AAA',
+    'AAAAAAD0VfVX/0XVANAAAAAAAAAA0ADQV/9H/wH9AP1A/UD/UP///1f/R/8B/QH9QP3A/8D///9X/0f/Af0B/QH9A/8D////',
+    'V/9H/wH9Af0F/A/8D/z//1f/R/8B9QH0BfAH8Bfw//9X/0f/AdUB0AHAAcBVwP//V/9F9QBUAEAAAAAAAABV9Vf/RdUAUAAA',
+    'AAAAAAAAANBX/0X1APQA9AD0QPVA/1D/V/9F9QD0APQA9ED1wP/A/1f/RfUA9AD0APQB9QP/A/9X/0X1APQA9AD0BfQP/A/8',
+    'V/9F9QD0APQA9AXwB/AX8Ff/RdUA0ADQANABwAHAVcBX/0VVAEAAQABAAAAAAFUBV/9FVQAAAAAAAAAAAAAAAFf/RdUA0ADQ',
+    'ANAA0EDVQP9X/0XVANAA0ADQANBA1cD/V/9F1QDQANAA0ADQAdUD/1f/RdUA0ADQANAA0AXUD/xX/0XVANAA0ADQANAF0Afw',
+    'V/9F1QDQANAA0ADQAcABwFf/RVUAQABAAEAAQAAAAABX/0VVAAAAAAAAAAAAAAAAUP0Q/QD0APQA9AD0APRV9UD9AP0B9AH0',
+    'AfQB9AH0VfUD/wH9AfQB9AH0AfQB9FX1D/wP/Af0B/QH9Af0B/RX9T/wH9AH0AfQB9AH0AfQV9VfwB/AB9AH0AfQB9AH0FfV',
+    'XwEfAQdAB0AHQAdAB0BXVV8NFQUBAAEAAQABAAEAVVVQ/RD9APQA9AX0APRV9f//QP0A/QD8Af0V/QH9Vf3//wP/A/8D/Af9',
+    'V/0H/Vf9//8AAAAAAAAAAAAAAAAAAAAAP/A/8A/wH/Rf9R/0X/X//1/AH8APwB/QH9Uf0F/V//9fAR8BBwAHQAdUB0BXVf//',
+    'Xw0VBQEAAQABUAEAAVBV1V/9EP0A9AD0BvQF9Ff1//9f/QD9APwA/Rn9Vf3///////8D/wP+A/9n/1f/////////D/wP/A/8',
+    'n/1f/f///////z/wL/A/8H/2f/X/////X/0fwA/AH8Af2V/V/////1/9HwEHAAcAB2QHVFf1//9f/RUFAQABAAGQAVAB0FXV',
+    'X/0f/QD0APQA9Af0V/X//1/9H/0A/AD9AP1f/f////9f/R/9A/wD/wP/////////X/0f/Q/8D/wP/P///////1/9H/0P8D/w',
+    'P/D///////9f/R/9D8AfwB/AX/3/////X/0f/QcABwAHAAf0V/X//1/9FdUBAAEAAQAB0AHQVdVf/R/9B/QA9AD0APRX9f//',
+    'X/0f/Q/8AP0A/UD9/////1/9H/0P/AP9A/8D//////9f/R/9D/wP/A/8D/z/////X/0f/Q/8H/A/8D/w/////1/9H/0P/B/A',
+    'H8BfwP////9f/R/9B/QHAAcABwBX9f//X/0V1QHQAQABAAEAAdBV1V/9H/0F9AD0APQA9FD1//9f/R/9BfQB9AD1AP1A/f//',
+    'X/0f/Qf0B/QD9QP/A////1/9H/0H9Af0B/QP/A/8//9f/R/9B/QH9BfwP/A/8P//X/0f/QfUB9AXwB/AX8D//1/9H/0HVAdA',
+    'BwAHAFcB//9f/RXVAVABAAEAAQABAFXVX/0V1QDQANAA0ADUAPRQ9V/9FdUB0AHQAdAA1QD9QP1f/RXVAdAB0AHQAdUD/wP/',
+    'X/0V1QHQAdAB0AXUD/wP/F/9FdUB0AHQAdAV0D/wP/Bf/RXVAdAB0AHQFcAfwF/AX/0VVQFAAUABQAUABwBXAV/9FVUBAAEA',
+    'AQABAAEAVQVf/RVVAEAAQABAAEAAVAD0X/0VVQBAAEAAQABAAFUA/V/9FVUAQABAAEAAQAFVA/9f/RVVAEAAQABAAEAFVA/8',
+    'X/0VVQBAAEAAQABAFVA/8F/9FVUAQABAAEAAQBVAH8Bf/RVVAEAAQABAAEAFAAcAX/0VVQAAAAAAAAAAAQABAPD/UNUA0ADQ',
+    'ANAA0ADQANDA/0DVANAA0ADQANAA0ADQA/8B1QDQANAA0ADQANAA0A/8BdQA0ADQANAA0ADQANA/8BXQANAA0ADQANAA0ADQ',
+    '/8BVwADQANAA0ADQANAA0P8DVQEA0ADQANAA0ADQAND/D1UFANAA0ADQANAA0ADQ8P9Q/0DVANAA0ADQANAA0MD/wP9A1QDQ',
+    'ANAA0ADQANAD/wH/ANUA0ADQANAA0ADQD/wF/ADUANAA0ADQANAA0D/wFfAA0ADQANAA0ADQAND/wFXAAMAA0ADQANAA0ADQ',
+    '/wNVAQAAANAA0ADQANAA0P8PVQUAAADQANAA0ADQANAAAAAAAAAAAAAAAAAAAAAA///A/8D/QNUA0ADQANAA0P//Af8A/wDV',
+    'ANAA0ADQAND//wX8APwA1ADQANAA0ADQ//8V8ADwANAA0ADQANAA0P//VcAAwADAANAA0ADQAND//1UBAAAAAADQANAA0ADQ',
+    '//9VBQAAAAAA0ADQANAA0P////9Q/0D/QPUA9AD0APT/////wP/A/0D1APQA9AD0///1/wD/AP8A9QD0APQA9P//1f8A/AD8',
+    'APQA9AD0APT//1X/APAA8ADwAPQA9AD0//9V/QDAAMAAwADQANAA0P//VfUAAAAAAAAA0ADQAND//1XVAAAAAAAAANAA0ADQ',
+    '///1/1T/QP9A/0D9AP0A/f//9f/0/8D/wP9A/QD9AP3//9X/0P8A/wD/AP0A/QD9//9V/0D/APwA/AD8AP0A/f//Vf0A/QDw',
+    'APAA8AD0APT//1X1APQAwADAAMAA0ADQ//9V1QDQAAAAAAAAANAA0P//VdUA0AAAAAAAAADQAND//9X/UP9A/0D/QP9A/0D/',
+    '///V/9D/0P/A/8D/QP9A////1f9Q/0D/AP8A/wD/QP///1X/QP0A/QD8APwA/AD9//9V/QD1APQA8ADwAPAA9P//VfUA1ADQ',
+    'AMAAwADAAND//1XVANAA0AAAAAAAAADQ//9V1QDQANAAAAAAAAAA0P//Vf9A/0D/QP9A/0D/QP///1X/QP9A/0D/QP/A/8D/',
+    '//9V/0D/QP9A/wD/AP8A////Vf0A/QD9AP0A/AD8APz//1X1APQA9AD0APAA8ADw//9V1QDQANAA0ADAAMAAwP//VdUA0ADQ',
+    'ANAAAAAAAAD//1XVANAA0ADQAAAAAAAA//9V/QD9AP0A/QD9QP1A////Vf0A/QD9AP0A/UD9wP///1X9AP0A/QD9AP0A/QD/',
+    '//9V/QD9AP0A/QD9APwA/P//VfUA9AD0APQA9ADwAPD//1XVANAA0ADQANAAwADA//9V1QDQANAA0ADQAAAAAP//VdUA0ADQ',
+    'ANAA0AAAAADw/1D/QP0A/QD9AP0A/QD9wP9A/0D9AP0A/QD9AP0A/QP/Af9A/QD9AP0A/QD9AP0P/AX0APQA9AD0APQA9AD0',
+    'P/AV8AD0APQA9AD0APQA9P/AVcAA0ADQANAA0ADQAND/A1UBAEAAQABAAEAAQABA/w9VBQBAAEAAQABAAEAAQPD/8P/Q/0D/',
+    'QP9A/0D/QP/A/8D/wP9A/0D/QP9A/0D/A/8D/wH9AP0A/QD9AP0A/Q/8BfwB/AD9AP0A/QD9AP0/8BXwAPAA9AD0APQA9AD0',
+    '/8BVwADAANAA0ADQANAA0P8DVQEAAABAAEAAQABAAED/D1UFAAAAQABAAEAAQABA///w//D/wP/Q/9X/0P/V/wAAAAAAAAAA',
+    'AAAAAAAAAAD//wP/A/8A/0H/Vf9B/1X///8F/AH8APwB/VH9Af1V/f//FfAA8ADwAPRA9QD0VfX//1XAAMAAwADQANUA0ADV',
+    '//9VAQAAAAAAQABUAEAAVP//VQUAAAAAAEAAUABAAFD/////8P/g//D/9v/1/////////8D/wP/A/9n/1f////////8D/wL/',
+    'A/9n/1f//////9X/AfwA/AH8kf1V/f////9V/wDwAPAA8ED2QPVV////Vf0AwADAAMAA2QDVAP3//1X1AAAAAAAAAGQAVAD0',
+    '//9V1QAAAAAAAADQANAA0P//1f/R/8D/8P/w/////////9X/0f/A/8D/wP/////////V/9H/AP8D/wP/////////Vf9B/wD8',
+    'AfwB/NX//////1X9AP0A8ADwAPBA/1X///9V9QD0AMAAwADAAP0A/f//VdUA0AAAAAAAAAD0APT//1VVAEAAAAAAAAAA0ADQ',
+    '//9V/0D/QP/Q//D/8P//////Vf9A/0D/wP/A/8D//////1X/QP9A/wH/A/8D//////9V/0D9AP0B/AH8Bfz/////Vf0A9QD0',
+    'APAA8ADwVf///1X1ANQA0ADAAMAAwAD9//9V1QBQAEAAAAAAAAAA9P//VVUAQABAAAAAAAAAAND//1X9AP0A/UD9UP/w//D/',
+    '//9V/QD9AP1A/UD/wP/A////Vf0A/QD9QP0B/wP/A////1X9AP0A/QD9AfwB/AX8//9V9QD0APQA9ADwAPAV8P//VdUA0ADQ',
+    'ANAAwADAAMD//1VVAEAAQABAAAAAAAAA//9VVQBAAEAAQAAAAAAAAP//VfUA9AD0APQA9VD98P///1X1APQA9AD0APVA/cD/',
+    '//9V9QD0APQA9AD1Af0D////VfUA9AD0APQA9QH8Afz//1X1APQA9AD0APQA8ADw//9V1QDQANAA0ADQAMAAwP//VVUAQABA',
+    'AEAAQAAAAAD//1VVAEAAQABAAEAAAAAA8P9Q/QD1APQA9AD0APQA9MD/QP0B9QD0APQA9AD0APQD/wH9AfUA9AD0APQA9AD0',
+    'D/wF/AH1APQA9AD0APQA9D/wFdAB0ADQANAA0ADQAND/wFXAAdAA0ADQANAA0ADQ/wNVAQBAAEAAQABAAEAAQP8PVQUAAAAA',
+    'AAAAAAAAAADw/1D/QP8A/QD9AP0A/QD9wP/A/0D/AP0A/QD9AP0A/QP/A/8D/wH9Af0B/QH9Af0P/A/8B/QB9AH0AfQB9AH0',
+    'P/AX8AfwAfQB9AH0AfQB9P/AVcABwAHQAdAB0AHQAdD/A1UBAAAAQABAAEAAQABA/w9VBQAAAAAAAAAAAAAAAP//UP9A/wD/',
+    'QP9F/0D/Vf///8D/wP8A/0H/Vf9B/1X/AAAAAAAAAAAAAAAAAAAAAP//D/wP/AP8B/1X/Qf9V/3//xfwB/AD8Af0R/UH9Ff1',
+    '//9VwAHAAcAB0AHVAdBV1f//VQEAAAAAAEAAVABAAFT//1UFAAAAAAAAAFAAAABQ//9X/0D/AP9A/0b/Vf/////////A/4D/',
+    'wP/Z/9X/////////A/8D/wP/Z/9X/////////w/8C/wP/J/9X/3/////V/8H8APwB/BH9lf1/////1X9AcABwAHAAdkB1VX9',
+    '//9V9QAAAAAAAABkAFQA9P//VdUAAAAAAAAAkABQAND//1X/Qf8A/0D/QP9X//////9X/0f/AP/A/8D/////////V/9H/wP/',
+    'A/8D/////////1f/R/8D/A/8D/z///////9X/Qf9A/AH8AfwV///////VfUB9AHAAcABwAH9Vf3//1XVANAAAAAAAAAA9AD0',
+    '//9VVQBAAAAAAAAAANAA0P//Vf0B/QD9QP9A/1D//////1X9Af0B/UD/wP/A//////9V/QH9Af0D/wP/A///////Vf0B/QH9',
+    'B/wP/A/8/////1X9AfUB9AfwB/AX8P////9V9QHUAdABwAHAAcBV/f//VdUAUABAAAAAAAAAAPT//1VVAEAAAAAAAAAAAADQ',
+    '//9V9QD0APQA9UD9QP9Q////VfUA9AD0AfVA/cD/wP///1X1APQA9AH1Af0D/wP///9V9QD0APQB9QX8D/wP/P//VfUA9AD0',
+    'AfQF8AfwF/D//1XVANAA0AHQAcABwFXA//9VVQBAAEAAQAAAAAAAAP//VVUAAAAAAAAAAAAAAAD//1XVANAA0ADQANRA9UD/',
+    '//9V1QDQANAA0ADUQPXA////VdUA0ADQANAA1AH1A////1XVANAA0ADQANQF9A/8//9V1QDQANAA0ADUBfAH8P//VdUA0ADQ',
+    'ANAA0AHAAcD//1VVAEAAQABAAEAAAAAA//9VVQAAAAAAAAAAAAAAAPD/UPUA1ADQANAA0ADQANDA/0D1ANQA0ADQANAA0ADQ',
+    'A/8D9QXUAdAB0AHQAdAB0A/8B/QF1AHQAdAB0AHQAdA/8BfwBdQB0AHQAdAB0AHQ/8BXQAVAAUABQAFAAUABQP8DVwEFQAFA',
+    'AUABQAFAAUD/D1UFAQABAAEAAQABAAEA8P9Q9QD0APQA9AD0APQA9MD/QP0A/QH0AfQB9AH0AfQD/wP/Af0B9AH0AfQB9AH0',
+    'D/wP/A/8B/QH9Af0B/QH9D/wP/Af0AfQB9AH0AfQB9D/wF/AH8AH0AfQB9AH0AfQ/wNXAQcAB0AHQAdAB0AHQP8PVQUBAAEA',
+    'AQABAAEAAQD//1D1APQA9AD0BfQA9FX1//9A/QD9APwB/RX9Af1V/f//A/8D/wP8B/1X/Qf9V/0AAAAAAAAAAAAAAAAAAAAA',
+    '//8/8D/wD/Af9F/1H/Rf9f//X8AfwA/AH9Af1R/QX9X//1cBBwAHAAdAB1QHQFdV//9VBQEAAQABAAFQAQABUP//V/UA9AD0',
+    'APQG9AX0V/X//1/9AP0A/AD9Gf1V/f///////wP/A/4D/2f/V/////////8P/A/8D/yf/V/9////////P/Av8D/wf/Z/9f//',
+    '//9f/R/AD8AfwB/ZX9X/////V/UHAAcABwAHZAdUV/X//1XVAQABAAEAAZABUAHQ//9V9QH0APQA9AD0B/RX9f//V/0H/QD8',
+    'AP0A/V/9/////1/9H/0D/AP/A/////////9f/R/9D/wP/A/8////////X/0f/Q/wP/A/8P///////1/1H/QPwB/AH8Bf/f//',
+    '//9X1QfQBwAHAAcAB/RX9f//VVUBQAEAAQABAAHQAdD//1X1AfQA9AD0APQA9Ff1//9X9QX0AfQA/QD9QP3/////V/UH9Af0',
+    'A/0D/wP//////1f1B/QH9A/8D/wP/P////9X9Qf0B/Qf8D/wP/D/////V/UH1AfQH8AfwF/A/////1fVB1AHQAcABwAHAFf1',
+    '//9VVQFAAQABAAEAAQAB0P//VdUA0ADQANQA9AD0UPX//1XVAdAB0AHUAPUA/UD9//9V1QHQAdAF1AP1A/8D////VdUB0AHQ',
+    'BdQH9A/8D/z//1XVAdAB0AXUF/A/8D/w//9V1QHQAdAF0BfAH8BfwP//VVUBQAFABUAHAAcAVwH//1VVAQABAAEAAQABAAEA',
+    '//9VVQBAAEAAQABQANQA9P//VVUAQABAAEABUADVAP3//1VVAEAAQABAAVAB1QP///9VVQBAAEAAQAFQBdQP/P//VVUAQABA',
+    'AEABUBXQP/D//1VVAEAAQABAAVAVwB/A//9VVQBAAEAAQAFABQAHAP//VVUAAAAAAAABAAEAAQDw//D/VfUA9AD0APQA9AD0',
+    'wP/A/1X1APQA9AD0APQA9AP/A/9V9QD0APQA9AD0APQP/A/8VfUA9AD0APQA9AD0P/A/8FX1APQA9AD0APQA9P/A/8BV9QD0',
+    'APQA9AD0APT/A/8DVfUA9AD0APQA9AD0/w//D1X1APQA9AD0APQA9PD/8P9Q9QD0APQA9AD0APTA/8D/QPUA9AD0APQA9AD0',
+    'A/8D/wH1APQA9AD0APQA9A/8D/wF9AD0APQA9AD0APQ/8D/wFfAA9AD0APQA9AD0/8D/wFXAAPQA9AD0APQA9P8D/wNVAQD0',
+    'APQA9AD0APT/D/8PVQUA9AD0APQA9AD0///w/1D/QPUA9AD0APQA9P//wP/A/0D1APQA9AD0APT//wP/Af8A9QD0APQA9AD0',
+    '//8P/AX8APQA9AD0APQA9P//P/AV8ADwAPQA9AD0APT////AVcAAwAD0APQA9AD0////A1UBAAAA9AD0APQA9P///w9VBQAE',
+    'APQA9AD0APQAAAAAAAAAAAAAAAAAAAAA/////8D/wP9A9QD0APQA9P////8B/wD/APUA9AD0APT/////BfwA/AD0APQA9AD0',
+    '/////xXwAPAA8AD0APQA9P////9VwADAAMAA9AD0APT/////VQEAAAAAAPQA9AD0/////1UFAAQABAD0APQA9P///////1D/',
+    'QP9A/QD9AP3////////A/8D/QP0A/QD9//////X/AP8A/wD9AP0A/f/////V/wD8APwA/AD9AP3/////Vf8A8ADwAPAA9AD0',
+    '/////1X9AMAAwADAAPQA9P////9V9QAAAAAAAAD0APT/////VfUABAAEAAQA9AD0//////X/VP9A/0D/QP9A///////1//T/',
+    'wP/A/0D/QP//////1f/Q/wD/AP8A/0D//////1X/QP8A/AD8APwA/f////9V/QD9APAA8ADwAPT/////VfUA9ADAAMAAwAD0',
+    '/////1X1APQAAAAAAAAA9P////9V9QD0AAQABAAEAPT/////1f9Q/0D/QP9A/0D//////9X/0P/Q/8D/wP/A///////V/1D/',
+    'QP8A/wD/AP//////Vf9A/QD9APwA/AD8/////1X9APUA9ADwAPAA8P////9V9QD0APQAwADAAMD/////VfUA9AD0AAAAAAAA',
+    '/////1X1APQA9AAEAAQABP////9V/0D/QP9A/0D/QP//////Vf9A/0D/QP9A/8D//////1X/QP9A/0D/AP8A//////9V/QD9',
+    'AP0A/QD8APz/////VfUA9AD0APQA8ADw/////1X1APQA9AD0AMAAwP////9V9QD0APQA9AAAAAD/////VfUA9AD0APQABAAE',
+    '8P/w/1X1APQA9AD0APQA9MD/wP9V9QD0APQA9AD0APQD/wP/VfUA9AD0APQA9AD0D/wP/FX1APQA9AD0APQA9D/wP/BV1QDQ',
+    'ANAA0ADQAND/wP/AVdUA0ADQANAA0ADQ/wP/A1XVANAA0ADQANAA0P8P/w9V1QDQANAA0ADQANDw//D/UP9A/QD9AP0A/QD9',
+    'wP/A/0D/QP0A/QD9AP0A/QP/A/8B/0D9AP0A/QD9AP0P/A/8BfQA9AD0APQA9AD0P/A/8BXwAPQA9AD0APQA9P/A/8BVwADQ',
+    'ANAA0ADQAND/A/8DVQEA0ADQANAA0ADQ/w//D1UFANAA0ADQANAA0P//8P/w/9D/QP9A/0D/QP///8D/wP/A/0D/QP9A/0D/',
+    '//8D/wP/Af0A/QD9AP0A/f//D/wF/AH8AP0A/QD9AP3//z/wFfAA8AD0APQA9AD0////wFXAAMAA0ADQANAA0P///wNVAQAA',
+    'ANAA0ADQAND///8PVQUAAADQANAA0ADQ//////D/8P/A/9D/1f/Q/wAAAAAAAAAAAAAAAAAAAAD/////A/8D/wD/Qf9V/0H/',
+    '/////wX8AfwA/AH9Uf0B/f////8V8ADwAPAA9ED1APT/////VcAAwADAANAA1QDQ/////1UBAAAAAADQANQA0P////9VBQAA',
+    'AAAA0ADQAND////////w/+D/8P/2//X/////////wP/A/8D/2f/V/////////wP/Av8D/2f/V///////1f8B/AD8AfyR/VX9',
+    '/////1X/APAA8ADwQPZA9f////9V/QDAAMAAwADZANX/////VfUAAAAAAAAA9AD0/////1XVAAAAAAAAANAA0P/////V/9H/',
+    'wP/w//D/////////1f/R/8D/wP/A/////////9X/0f8A/wP/A/////////9V/0H/APwB/AH81f//////Vf0A/QDwAPAA8ED/',
+    '/////1X1APQAwADAAMAA/f////9V1QDQAAAAAAAAAPT/////VdUA0AAAAAAAAADQ/////1X/QP9A/9D/8P/w//////9V/0D/',
+    'QP/A/8D/wP//////Vf9A/0D/Af8D/wP//////1X/QP0A/QH8AfwF/P////9V/QD1APQA8ADwAPD/////VfUA1ADQAMAAwADA',
+    '/////1XVANAA0AAAAAAAAP////9V1QDQANAAAAAAAAD/////Vf0A/QD9QP1Q//D//////1X9AP0A/UD9QP/A//////9V/QD9',
+    'AP1A/QH/A///////Vf0A/QD9AP0B/AH8/////1X1APQA9AD0APAA8P////9V1QDQANAA0ADAAMD/////VdUA0ADQANAAAAAA',
+    '/////1XVANAA0ADQAAAAAPD/8P9V1QDQANAA0ADQANDA/8D/VdUA0ADQANAA0ADQA/8D/1XVANAA0ADQANAA0A/8D/xV1QDQ',
+    'ANAA0ADQANA/8D/wVdUA0ADQANAA0ADQ/8D/wFVVAEAAQABAAEAAQP8D/wNVVQBAAEAAQABAAED/D/8PVVUAQABAAEAAQABA',
+    '8P/w/1D9APUA9AD0APQA9MD/wP9A/QH1APQA9AD0APQD/wP/Af0B9QD0APQA9AD0D/wP/AX8AfUA9AD0APQA9D/wP/AV0AHQ',
+    'ANAA0ADQAND/wP/AVcAB0ADQANAA0ADQ/wP/A1UBAEAAQABAAEAAQP8P/w9VBQBAAEAAQABAAED///D/UP9A/wD9AP0A/QD9',
+    '///A/8D/QP8A/QD9AP0A/f//A/8D/wP/Af0B/QH9Af3//w/8D/wH9AH0AfQB9AH0//8/8BfwB/AB9AH0AfQB9P///8BVwAHA',
+    'AdAB0AHQAdD///8DVQEAAABAAEAAQABA////D1UFAAAAQABAAEAAQP////9Q/0D/AP9A/0X/QP//////wP/A/wD/Qf9V/0H/',
+    'AAAAAAAAAAAAAAAAAAAAAP////8P/A/8A/wH/Vf9B/3/////F/AH8APwB/RH9Qf0/////1XAAcABwAHQAdUB0P////9VAQAA',
+    'AAAAQABUAED/////VQUAAAAAAEAAUABA/////1f/QP8A/0D/Rv9V/////////8D/gP/A/9n/1f////////8D/wP/A/9n/1f/',
+    '////////D/wL/A/8n/1f/f////9X/wfwA/AH8Ef2V/X/////Vf0BwAHAAcAB2QHV/////1X1AAAAAAAAAGQAVP////9V1QAA',
+    'AAAAAADQAND/////Vf9B/wD/QP9A/1f//////1f/R/8A/8D/wP////////9X/0f/A/8D/wP/////////V/9H/wP8D/wP/P//',
+    '/////1f9B/0D8AfwB/BX//////9V9QH0AcABwAHAAf3/////VdUA0AAAAAAAAAD0/////1VVAEAAAAAAAAAA0P////9V/QH9',
+    'AP1A/0D/UP//////Vf0B/QH9QP/A/8D//////1X9Af0B/QP/A/8D//////9V/QH9Af0H/A/8D/z/////Vf0B9QH0B/AH8Bfw',
+    '/////1X1AdQB0AHAAcABwP////9V1QBQAEAAAAAAAAD/////VVUAQABAAAAAAAAA/////1X1APQA9AD1QP1A//////9V9QD0',
+    'APQB9UD9wP//////VfUA9AD0AfUB/QP//////1X1APQA9AH1BfwP/P////9V9QD0APQB9AXwB/D/////VdUA0ADQAdABwAHA',
+    '/////1VVAEAAQABAAAAAAP////9VVQBAAEAAQAAAAADw//D/VVUAQABAAEAAQABAwP/A/1VVAEAAQABAAEAAQAP/A/9VVQBA',
+    'AEAAQABAAEAP/A/8VVUAQABAAEAAQABAP/A/8FVVAEAAQABAAEAAQP/A/8BVVQBAAEAAQABAAED/A/8DVVUAAAAAAAAAAAAA',
+    '/w//D1VVAAAAAAAAAAAAAPD/8P9Q9QDUANAA0ADQANDA/8D/QPUA1ADQANAA0ADQA/8D/wP1BdQB0AHQAdAB0A/8D/wH9AXU',
+    'AdAB0AHQAdA/8D/wF/AF1AHQAdAB0AHQ/8D/wFdABUABQAFAAUABQP8D/wNXAQVAAUABQAFAAUD/D/8PVQUBAAEAAQABAAEA',
+    '///w/1D1APQA9AD0APQA9P//wP9A/QD9AfQB9AH0AfT//wP/A/8B/QH0AfQB9AH0//8P/A/8D/wH9Af0B/QH9P//P/A/8B/Q',
+    'B9AH0AfQB9D////AX8AfwAfQB9AH0AfQ////A1cBBwAHQAdAB0AHQP///w9VBQEAAQABAAEAAQD/////UPUA9AD0APQF9AD0',
+    '/////0D9AP0A/AH9Ff0B/f////8D/wP/A/wH/Vf9B/0AAAAAAAAAAAAAAAAAAAAA/////z/wP/AP8B/0X/Uf9P////9fwB/A',
+    'D8Af0B/VH9D/////VwEHAAcAB0AHVAdA/////1UFAQABAAEAAVABAP////9X9QD0APQA9Ab0BfT/////X/0A/QD8AP0Z/VX9',
+    '////////A/8D/gP/Z/9X/////////w/8D/wP/J/9X/3///////8/8C/wP/B/9n/1/////1/9H8APwB/AH9lf1f////9X9QcA',
+    'BwAHAAdkB1T/////VdUBAAEAAQABkAFQ/////1X1AfQA9AD0APQH9P////9X/Qf9APwA/QD9X/3/////X/0f/QP8A/8D////',
+    '/////1/9H/0P/A/8D/z///////9f/R/9D/A/8D/w////////X/Uf9A/AH8AfwF/9/////1fVB9AHAAcABwAH9P////9VVQFA',
+    'AQABAAEAAdD/////VfUB9AD0APQA9AD0/////1f1BfQB9AD9AP1A/f////9X9Qf0B/QD/QP/A///////V/UH9Af0D/wP/A/8',
+    '/////1f1B/QH9B/wP/A/8P////9X9QfUB9AfwB/AX8D/////V9UHUAdABwAHAAcA/////1VVAUABAAEAAQABAP////9V1QDQ',
+    'ANAA1AD0APT/////VdUB0AHQAdQA9QD9/////1XVAdAB0AXUA/UD//////9V1QHQAdAF1Af0D/z/////VdUB0AHQBdQX8D/w',
+    '/////1XVAdAB0AXQF8AfwP////9VVQFAAUAFQAcABwD/////VVUBAAEAAQABAAEA8P/w////Vf0A/QD9AP0A/cD/wP///1X9',
+    'AP0A/QD9AP0D/wP///9V/QD9AP0A/QD9D/wP/P//Vf0A/QD9AP0A/T/wP/D//1X9AP0A/QD9AP3/wP/A//9V/QD9AP0A/QD9',
+    '/wP/A///Vf0A/QD9AP0A/f8P/w///1X9AP0A/QD9AP3w//D/8P9V/QD9AP0A/QD9wP/A/8D/Vf0A/QD9AP0A/QP/A/8D/1X9',
+    'AP0A/QD9AP0P/A/8D/xV/QD9AP0A/QD9P/A/8D/wVf0A/QD9AP0A/f/A/8D/wFX9AP0A/QD9AP3/A/8D/wNV/QD9AP0A/QD9',
+    '/w//D/8PVf0A/QD9AP0A/f//8P/w/1D9AP0A/QD9AP3//8D/wP9A/QD9AP0A/QD9//8D/wP/Af0A/QD9AP0A/f//D/wP/AX8',
+    'AP0A/QD9AP3//z/wP/AV8AD9AP0A/QD9////wP/AVcAA/QD9AP0A/f///wP/A1UBAP0A/QD9AP3///8P/w9VDQD9AP0A/QD9',
+    '//////D/UP9A/QD9AP0A/f/////A/8D/QP0A/QD9AP3/////A/8B/wD9AP0A/QD9/////w/8BfwA/AD9AP0A/f////8/8BXw',
+    'APAA/QD9AP3//////8BVwADAAP0A/QD9//////8DVQEAAQD9AP0A/f//////D1UNAA0A/QD9AP0AAAAAAAAAAAAAAAAAAAAA',
+    '////////wP/A/0D9AP0A/f///////wH/AP8A/QD9AP3///////8F/AD8APwA/QD9////////FfAA8ADwAP0A/f///////1XA',
+    'AMAAwAD9AP3///////9VAQABAAEA/QD9////////VQ0ADQANAP0A/f//////////UP9A/0D/QP///////////8D/wP9A/0D/',
+    '////////9f8A/wD/AP9A/////////9X/APwA/AD8AP3///////9V/wDwAPAA8AD9////////Vf0AwADAAMAA/f///////1X9',
+    'AAEAAQABAP3///////9V/QANAA0ADQD9////////9f9U/0D/QP9A//////////X/9P/A/8D/wP/////////V/9D/AP8A/wD/',
+    '////////Vf9A/wD8APwA/P///////1X9AP0A8ADwAPD///////9V/QD9AMAAwADA////////Vf0A/QABAAEAAf///////1X9',
+    'AP0ADQANAA3////////V/1D/QP9A/0D/////////1f/Q/9D/wP/A/////////9X/UP9A/wD/AP////////9V/0D9AP0A/AD8',
+    '////////Vf0A/QD9APAA8P///////1X9AP0A/QDAAMD///////9V/QD9AP0AAQAB////////Vf0A/QD9AA0ADfD/8P///1X1',
+    'APQA9AD0APTA/8D///9V9QD0APQA9AD0A/8D////VfUA9AD0APQA9A/8D/z//1X1APQA9AD0APQ/8D/w//9V9QD0APQA9AD0',
+    '/8D/wP//VfUA9AD0APQA9P8D/wP//1X1APQA9AD0APT/D/8P//9V9QD0APQA9AD08P/w//D/VfUA9AD0APQA9MD/wP/A/1X1',
+    'APQA9AD0APQD/wP/A/9V9QD0APQA9AD0D/wP/A/8VfUA9AD0APQA9D/wP/A/8FX1APQA9AD0APT/wP/A/8BV9QD0APQA9AD0',
+    '/wP/A/8DVfUA9AD0APQA9P8P/w//D1X1APQA9AD0APT///D/8P9Q/0D9AP0A/QD9///A/8D/QP9A/QD9AP0A/f//A/8D/wH/',
+    'QP0A/QD9AP3//w/8D/wF9AD0APQA9AD0//8/8D/wFfAA9AD0APQA9P///8D/wFXAAPQA9AD0APT///8D/wNVAQD0APQA9AD0',
+    '////D/8PVQUA9AD0APQA9P/////w//D/0P9A/0D/QP//////wP/A/8D/QP9A/0D//////wP/A/8B/QD9AP0A/f////8P/AX8',
+    'AfwA/QD9AP3/////P/AV8ADwAPQA9QD9///////AVcAAwAD0APQA9P//////A1UBAAAA9AD0APT//////w9VBQAEAPQA9AD0',
+    '////////8P/w/8D/0P/V/wAAAAAAAAAAAAAAAAAAAAD///////8D/wP/AP9B/1X/////////BfwB/AD8Qf9V/////////xXw',
+    'APAA8AD9QP3///////9VwADAAMAA9AD1////////VQEAAAAAAPQA9P///////1UFAAQABAD0APT///////////D/4P/w////',
+    '///////////A/8D/wP//////////////A/8C/wP////////////V/wH8APwB/NX/////////Vf8A8ADwAPBA/////////1X9',
+    'AMAAwADAAP3///////9V9QAAAAAAAAD0////////VfUABAAEAAQA9P///////9X/0f/A//D/8P/////////V/9H/wP/A/8D/',
+    '////////1f/R/wD/A/8D/////////1X/Qf8A/AH8Bfz///////9V/QD9APAA8ADw////////VfUA9ADAAMAAwP///////1X1',
+    'APQAAAAAAAD///////9V9QD0AAQABAAE////////Vf9A/0D/0P/w/////////1X/QP9A/8D/wP////////9V/0D/QP8B/wP/',
+    '////////Vf9A/QD9AfwB/P///////1X9APUA9ADwAPD///////9V9QD0APQAwADA////////VfUA9AD0AAAAAP///////1X1',
+    'APQA9AAEAATw//D///9V1QDQANAA0ADQwP/A////VdUA0ADQANAA0AP/A////1XVANAA0ADQANAP/A/8//9V1QDQANAA0ADQ',
+    'P/A/8P//VdUA0ADQANAA0P/A/8D//1XVANAA0ADQAND/A/8D//9V1QDQANAA0ADQ/w//D///VdUA0ADQANAA0PD/8P/w/1XV',
+    'ANAA0ADQANDA/8D/wP9V1QDQANAA0ADQA/8D/wP/VdUA0ADQANAA0A/8D/wP/FXVANAA0ADQANA/8D/wP/BV1QDQANAA0ADQ',
+    '/8D/wP/AVdUA0ADQANAA0P8D/wP/A1XVANAA0ADQAND/D/8P/w9V1QDQANAA0ADQ///w//D/UP0A9QD0APQA9P//wP/A/0D9',
+    'AfUA9AD0APT//wP/A/8B/QH1APQA9AD0//8P/A/8BfwB9QD0APQA9P//P/A/8BXQAdAA0ADQAND////A/8BVwAHQANAA0ADQ',
+    '////A/8DVQEA0ADQANAA0P///w//D1UFANAA0ADQAND/////8P9Q/0D/AP0A/QD9/////8D/wP9A/wD9AP0A/f////8D/wP/',
+    'A/8B/QH9Af3/////D/wP/Af0AfQB9AH0/////z/wF/AH8AH0AfQB9P//////wFXAAcAB0AHUAfT//////wNVAQAAANAA0ADQ',
+    '//////8PVQUAAADQANAA0P///////1D/QP8A/0H/Vf/////////A/8D/AP9B/1X/AAAAAAAAAAAAAAAAAAAAAP///////w/8',
+    'D/wD/Af9V/3///////8X8AfwA/AH/Vf9////////VcABwAHAAfQB9f///////1UBAAAAAADQANT///////9VBQAAAAAA0ADQ',
+    '////////V/9A/wD/QP9X////////////wP+A/8D//////////////wP/A/8D//////////////8P/Av8D/z//////////1f/',
+    'B/AD8AfwV/////////9V/QHAAcABwAH9////////VfUAAAAAAAAA9P///////1XVAAAAAAAAAND///////9V/0H/AP9A/1D/',
+    '////////V/9H/wD/wP/A/////////1f/R/8D/wP/A/////////9X/0f/A/wP/A/8////////V/0H/QPwB/AX8P///////1X1',
+    'AfQBwAHAAcD///////9V1QDQAAAAAAAA////////VdUA0AAAAAAAAP///////1X9Af0A/UD/QP////////9V/QH9Af1A/8D/',
+    '////////Vf0B/QH9A/8D/////////1X9Af0B/Qf8D/z///////9V/QH1AfQH8Afw////////VfUB1AHQAcABwP///////1XV',
+    'ANAA0AAAAAD///////9V1QDQANAAAAAA8P/w////VVUAQABAAEAAQMD/wP///1VVAEAAQABAAEAD/wP///9VVQBAAEAAQABA',
+    'D/wP/P//VVUAQABAAEAAQD/wP/D//1VVAEAAQABAAED/wP/A//9VVQBAAEAAQABA/wP/A///VVUAQABAAEAAQP8P/w///1VV',
+    'AEAAQABAAEDw//D/8P9VVQBAAEAAQABAwP/A/8D/VVUAQABAAEAAQAP/A/8D/1VVAEAAQABAAEAP/A/8D/xVVQBAAEAAQABA',
+    'P/A/8D/wVVUAQABAAEAAQP/A/8D/wFVVAEAAQABAAED/A/8D/wNVVQBAAEAAQABA/w//D/8PVVUAQABAAEAAQP//8P/w/1D1',
+    'ANQA0ADQAND//8D/wP9A9QDUANAA0ADQ//8D/wP/A/UF1AHQAdAB0P//D/wP/Af0BdQB0AHQAdD//z/wP/AX8AXUAdAB0AHQ',
+    '////wP/AV0AFQAFAAUABQP///wP/A1cBBUABQAFAAUD///8P/w9VBQFAAUABQAFA//////D/UPUA9AD0AfQB9P/////A/0D9',
+    'AP0B9AH0AfT/////A/8D/wH9AfQB9AH0/////w/8D/wP/Af0B/QH9P////8/8D/wH9AH0AfQB9D//////8BfwB/AB9AH0AfQ',
+    '//////8DVwEHAAdAB1AH0P//////D1UFAQABQAFAAUD///////9Q9QD0APQB9AX0////////QP0A/QD8B/1X/f///////wP/',
+    'A/8D/Af9V/0AAAAAAAAAAAAAAAAAAAAA////////P/A/8A/wH/Rf9f///////1/AH8APwB/0X/X///////9XAQcABwAH0AfU',
+    '////////VQUBAAEAAUABUP///////1f1APQA9AD0B/T///////9f/QD9APwA/V/9//////////8D/wP+A///////////////',
+    'D/wP/A/8/////////////z/wL/A/8P//////////X/0fwA/AH8Bf/f///////1f1BwAHAAcAB/T///////9V1QEAAQABAAHQ',
+    '////////VfUB9AD0APQA9P///////1f9B/0A/AD9QP3///////9f/R/9A/wD/wP/////////X/0f/Q/8D/wP/P///////1/9',
+    'H/0P8D/wP/D///////9f9R/0D8AfwF/A////////V9UH0AcABwAHAP///////1VVAUABAAEAAQD///////9V9QH0APQA9AD0',
+    '////////V/UF9AH0AP0A/f///////1f1B/QH9AP9A/////////9X9Qf0B/QP/A/8////////V/UH9Af0H/A/8P///////1f1',
+    'B9QH0B/AH8D///////9X1QdQB0AHAAcA////////VVUBQAFAAQABAPD/8P//////Vf9A/0D/QP/A/8D//////1X/QP9A/0D/',
+    'A/8D//////9V/0D/QP9A/w/8D/z/////Vf9A/0D/QP8/8D/w/////1X/QP9A/0D//8D/wP////9V/0D/QP9A//8D/wP/////',
+    'Vf9A/0D/QP//D/8P/////1X/QP9A/0D/8P/w//D///9V/0D/QP9A/8D/wP/A////Vf9A/0D/QP8D/wP/A////1X/QP9A/0D/',
+    'D/wP/A/8//9V/0D/QP9A/z/wP/A/8P//Vf9A/0D/QP//wP/A/8D//1X/QP9A/0D//wP/A/8D//9V/0D/QP9A//8P/w//D///',
+    'Vf9A/0D/QP////D/8P/w/1X/QP9A/0D////A/8D/wP9V/0D/QP9A////A/8D/wP/Vf9A/0D/QP///w/8D/wP/FX/QP9A/0D/',
+    '//8/8D/wP/BV/0D/QP9A/////8D/wP/AVf9A/0D/QP////8D/wP/A1X/QP9A/0D/////D/8P/w9V/0D/QP9A///////w//D/',
+    'UP9A/0D/QP//////wP/A/0D/QP9A/0D//////wP/A/8B/0D/QP9A//////8P/A/8BfxA/0D/QP//////P/A/8BXwQP9A/0D/',
+    '///////A/8BVwED/QP9A////////A/8DVQNA/0D/QP///////w//D1UPQP9A/0D/////////8P9Q/0D/QP9A/////////8D/',
+    'wP9A/0D/QP////////8D/wH/AP9A/0D/////////D/wF/AD8QP9A/////////z/wFfAA8ED/QP//////////wFXAQMBA/0D/',
+    '/////////wNVA0ADQP9A//////////8PVQ9AD0D/QP8AAAAAAAAAAAAAAAAAAAAA///////////A/8D/wP/Q////////////',
+    'Af8A/wD/0P///////////wX8APwA/ED///////////8V8ADwAPBA////////////VcBAwEDAQP///////////1UDQANAA0D/',
+    '//////////9VD0APQA9A//////////////9Q/0D/QP//////////////wP/A/8D////////////1/wD/AP8A////////////',
+    '1f8A/AD8APz//////////1X/APAA8ADw//////////9V/0DAQMBAwP//////////Vf9AA0ADQAP//////////1X/QA9AD0AP',
+    '///////////V/1D/QP9A////////////9f/0/8D/wP///////////9X/0P8A/wD///////////9V/0D/APwA/P//////////',
+    'Vf9A/wDwAPD//////////1X/QP9AwEDA//////////9V/0D/QANAA///////////Vf9A/0APQA/w//D//////1X9AP0A/QD9',
+    'wP/A//////9V/QD9AP0A/QP/A///////Vf0A/QD9AP0P/A/8/////1X9AP0A/QD9P/A/8P////9V/QD9AP0A/f/A/8D/////',
+    'Vf0A/QD9AP3/A/8D/////1X9AP0A/QD9/w//D/////9V/QD9AP0A/fD/8P/w////Vf0A/QD9AP3A/8D/wP///1X9AP0A/QD9',
+    'A/8D/wP///9V/QD9AP0A/Q/8D/wP/P//Vf0A/QD9AP0/8D/wP/D//1X9AP0A/QD9/8D/wP/A//9V/QD9AP0A/f8D/wP/A///',
+    'Vf0A/QD9AP3/D/8P/w///1X9AP0A/QD9///w//D/8P9V/QD9AP0A/f//wP/A/8D/Vf0A/QD9AP3//wP/A/8D/1X9AP0A/QD9',
+    '//8P/A/8D/xV/QD9AP0A/f//P/A/8D/wVf0A/QD9AP3////A/8D/wFX9AP0A/QD9////A/8D/wNV/QD9AP0A/f///w//D/8P',
+    'Vf0A/QD9AP3/////8P/w/1D/QP9A/0D//////8D/wP9A/0D/QP9A//////8D/wP/Af9A/0D/QP//////D/wP/AX8AP1A/UD/',
+    '/////z/wP/AV8AD9QP1A////////wP/AVcAA/QD9AP3//////wP/A1UBAP0A/QD9//////8P/w9VDQD9AP0A/f////////D/',
+    '8P/Q/8D/0f/////////A/8D/wP/A/9H/////////A/8D/wH/wP/R/////////w/8BfwB/MD/0f////////8/8BXwAPBA/0D/',
+    '/////////8BVwADAAP0A/f////////8DVQEAAQD9AP3/////////D1UNAA0A/QD9///////////w//D/4P/2/wAAAAAAAAAA',
+    'AAAAAAAAAAD//////////wP/A/8A/2b///////////8F/AH8APzR////////////FfAA8ADwQP///////////1XAAMAAwAD9',
+    '//////////9VAQABAAEA/f//////////VQ0ADQANAP3/////////////8P/g//D//////////////8D/wP/A////////////',
+    '//8D/wL/Af///////////9X/AfwA/AH8//////////9V/wDwAPAA8P//////////Vf0AwADAAMD//////////1X9AAEAAQAB',
+    '//////////9V/QANAA0ADf//////////1f/R/8D/8P///////////9X/0f/A/8D////////////V/9H/AP8B////////////',
+    'Vf9B/wD8APz//////////1X9AP0A8ADw//////////9V/QD9AMAAwP//////////Vf0A/QABAAH//////////1X9AP0ADQAN',
+    '8P/w//////9V9QD0APQA9MD/wP//////VfUA9AD0APQD/wP//////1X1APQA9AD0D/wP/P////9V9QD0APQA9D/wP/D/////',
+    'VfUA9AD0APT/wP/A/////1X1APQA9AD0/wP/A/////9V9QD0APQA9P8P/w//////VfUA9AD0APTw//D/8P///1X1APQA9AD0',
+    'wP/A/8D///9V9QD0APQA9AP/A/8D////VfUA9AD0APQP/A/8D/z//1X1APQA9AD0P/A/8D/w//9V9QD0APQA9P/A/8D/wP//',
+    'VfUA9AD0APT/A/8D/wP//1X1APQA9AD0/w//D/8P//9V9QD0APQA9P//8P/w//D/VfUA9AD0APT//8D/wP/A/1X1APQA9AD0',
+    '//8D/wP/A/9V9QD0APQA9P//D/wP/A/8VfUA9AD0APT//z/wP/A/8FX1APQA9AD0////wP/A/8BV9QD0APQA9P///wP/A/8D',
+    'VfUA9AD0APT///8P/w//D1X1APQA9AD0//////D/8P9Q/QD9Af0B/f/////A/8D/QP0B/QH9Af3/////A/8D/wH9Af0B/QH9',
+    '/////w/8D/wF/AH9Af0B/f////8/8D/wFfAB9AH1Af3//////8D/wFXAAfQB9QH9//////8D/wNVAQD0APQA9P//////D/8P',
+    'VQUA9AD0APT////////w/1D/QP8D/0f/////////wP/A/0D/A/9H/////////wP/A/8D/wP/R/////////8P/A/8B/wD/0f/',
+    '////////P/AX8AfwA/9H///////////AVcABwAH9Af3/////////A1UBAAAA9AD0/////////w9VBQAEAPQA9P//////////',
+    'UP9A/wD/R////////////8D/wP+A/9n/AAAAAAAAAAAAAAAAAAAAAP//////////D/wP/Av8n/3//////////xfwB/AD8Ef/',
+    '//////////9VwAHAAcAB/f//////////VQEAAAAAAPT//////////1UFAAQABAD0//////////9X/0D/AP9A////////////',
+    '///A/4D/wP//////////////A/8D/wP//////////////w/8C/wP/P//////////V/8H8APwB/D//////////1X9AcABwAHA',
+    '//////////9V9QAAAAAAAP//////////VfUABAAEAAT//////////1X/Qf8A/0D///////////9X/0f/AP/A////////////',
+    'V/9H/wP/A////////////1f/R/8D/A/8//////////9X/Qf9A/AH8P//////////VfUB9AHAAcD//////////1X1APQAAAAA',
+    '//////////9V9QD0AAQABPD/8P//////VdUB0AHQAdDA/8D//////1XVAdAB0AHQA/8D//////9V1QHQAdAB0A/8D/z/////',
+    'VdUB0AHQAdA/8D/w/////1XVAdAB0AHQ/8D/wP////9V1QHQAdAB0P8D/wP/////VdUB0AHQAdD/D/8P/////1XVAdAB0AHQ',
+    '8P/w//D///9V1QHQAdAB0MD/wP/A////VdUB0AHQAdAD/wP/A////1XVAdAB0AHQD/wP/A/8//9V1QHQAdAB0D/wP/A/8P//',
+    'VdUB0AHQAdD/wP/A/8D//1XVAdAB0AHQ/wP/A/8D//9V1QHQAdAB0P8P/w//D///VdUB0AHQAdD///D/8P/w/1XVAdAB0AHQ',
+    '///A/8D/wP9V1QHQAdAB0P//A/8D/wP/VdUB0AHQAdD//w/8D/wP/FXVAdAB0AHQ//8/8D/wP/BV1QHQAdAB0P///8D/wP/A',
+    'VdUB0AHQAdD///8D/wP/A1XVAdAB0AHQ////D/8P/w9V1QHQAdAB0P/////w//D/UPUB9AX0B/T/////wP/A/0D1AfQF9Af0',
+    '/////wP/A/8D9Qf0B/QH9P////8P/A/8B/QH9Af0B/T/////P/A/8BfwB/QH9Af0///////A/8BXwAfQB9QH9P//////A/8D',
+    'VwEH0AfUB/T//////w//D1UFAdAB0AHQ////////8P9Q9QD0B/QH9P///////8D/QP0A/Q/8H/3///////8D/wP/A/0P/B/9',
+    '////////D/wP/A/8D/wf/f///////z/wP/Af8A/8H/3/////////wF/AH8AP/B/9/////////wNXAQcAB/QH9P////////8P',
+    'VQUBAAHQAdD//////////1D1APQA9Af0//////////9A/QD9APwf/f//////////A/8D/wP+Z/8AAAAAAAAAAAAAAAAAAAAA',
+    '//////////8/8D/wL/B/9v//////////X8AfwA/AH/3//////////1cBBwAHAAf0//////////9VBQEAAQAB0P//////////',
+    'V/UA9AD0APT//////////1/9AP0A/AD9/////////////wP/A/4D//////////////8P/A/8D/z/////////////P/Av8D/w',
+    '//////////9f/R/AD8AfwP//////////V/UHAAcABwD//////////1XVAQABAAEA//////////9V9QH0APQA9P//////////',
+    'V/0H/QD8AP3//////////1/9H/0D/AP///////////9f/R/9D/wP/P//////////X/0f/Q/wP/D//////////1/1H/QPwB/A',
+    '//////////9X1QfQBwAHAP//////////VdUB0AEAAQDw//D/////////1f/Q/9D/wP/A/////////9X/0P/Q/wP/A///////',
+    '///V/9D/0P8P/A/8////////1f/Q/9D/P/A/8P///////9X/0P/Q///A/8D////////V/9D/0P//A/8D////////1f/Q/9D/',
+    '/w//D////////9X/0P/Q//D/8P/w///////V/9D/0P/A/8D/wP//////1f/Q/9D/A/8D/wP//////9X/0P/Q/w/8D/wP/P//',
+    '///V/9D/0P8/8D/wP/D/////1f/Q/9D//8D/wP/A/////9X/0P/Q//8D/wP/A//////V/9D/0P//D/8P/w//////1f/Q/9D/',
+    '///w//D/8P///9X/0P/Q////wP/A/8D////V/9D/0P///wP/A/8D////1f/Q/9D///8P/A/8D/z//9X/0P/Q////P/A/8D/w',
+    '///V/9D/0P/////A/8D/wP//1f/Q/9D/////A/8D/wP//9X/0P/Q/////w//D/8P///V/9D/0P//////8P/w//D/1f/Q/9D/',
+    '/////8D/wP/A/9X/0P/Q//////8D/wP/A//V/9D/0P//////D/wP/A/81f/Q/9D//////z/wP/A/8NX/0P/Q////////wP/A',
+    '/8DV/9D/0P///////wP/A/8D1f/Q/9D///////8P/w//D9X/0P/Q//////////D/8P/Q/9D/0P/////////A/8D/wP/Q/9D/',
+    '////////A/8D/wH/0P/Q/////////w/8D/wF/ND/0P////////8/8D/wFfDQ/9D//////////8D/wNXA0P/Q//////////8D',
+    '/wPVA9D/0P//////////D/8P1Q/Q/9D////////////w//D/8P/w////////////wP/A/8D/8P///////////wP/Af8A//D/',
+    '//////////8P/AX8APzQ////////////P/AV8BDw0P/////////////A1cDQwND/////////////A9UD0APQ////////////',
+    '/w/VD9AP0P8AAAAAAAAAAAAAAAAAAAAA/////////////8D/wP/A//////////////8B/wD/AP//////////////BfwA/AD8',
+    '/////////////xXwEPAQ8P/////////////VwNDA0MD/////////////1QPQA9AD/////////////9UP0A/QD///////////',
+    '//9X/0D/QP/////////////////A/8D///////////////X/AP8A///////////////V/wD8APz/////////////1f8Q8BDw',
+    '/////////////9X/0MDQwP/////////////V/9AD0AP/////////////1f/QD9AP8P/w/////////1X/QP9A/8D/wP//////',
+    '//9V/0D/QP8D/wP/////////Vf9A/0D/D/wP/P///////1X/QP9A/z/wP/D///////9V/0D/QP//wP/A////////Vf9A/0D/',
+    '/wP/A////////1X/QP9A//8P/w////////9V/0D/QP/w//D/8P//////Vf9A/0D/wP/A/8D//////1X/QP9A/wP/A/8D////',
+    '//9V/0D/QP8P/A/8D/z/////Vf9A/0D/P/A/8D/w/////1X/QP9A///A/8D/wP////9V/0D/QP//A/8D/wP/////Vf9A/0D/',
+    '/w//D/8P/////1X/QP9A////8P/w//D///9V/0D/QP///8D/wP/A////Vf9A/0D///8D/wP/A////1X/QP9A////D/wP/A/8',
+    '//9V/0D/QP///z/wP/A/8P//Vf9A/0D/////wP/A/8D//1X/QP9A/////wP/A/8D//9V/0D/QP////8P/w//D///Vf9A/0D/',
+    '//////D/8P/w/1X/QP9A///////A/8D/wP9V/0D/QP//////A/8D/wP/Vf9A/0D//////w/8D/wP/FX/QP9A//////8/8D/w',
+    'P/BV/0D/QP///////8D/wP/AVf9A/0D///////8D/wP/A1X/QP9A////////D/8P/w9V/0D/QP/////////w//D/UP9A/0T/',
+    '////////wP/A/0D/QP9E/////////wP/A/8B/0D/RP////////8P/A/8BfxA/0T/////////P/A/8BXwQP9A///////////A',
+    '/8BVwED/QP//////////A/8DVQNA/0D//////////w//D1UPQP9A////////////8P/w/9D/yP///////////8D/wP/A/+b/',
+    '//////////8D/wP/Af/I////////////D/wF/AH8xP///////////z/wFfAA8ED/////////////wFXAQMBA////////////',
+    '/wNVA0ADQP////////////8PVQ9AD0D///////////////D/8P/g/wAAAAAAAAAAAAAAAAAAAAD/////////////A/8D/wL/',
+    '/////////////wX8AfwE/P////////////8V8ADwAPD/////////////VcBAwEDA/////////////1UDQANAA///////////',
+    '//9VD0APQA/////////////////w/+D/////////////////wP/A/////////////////wP/Av//////////////1f8B/AD8',
+    '/////////////1X/APAA8P////////////9V/0DAQMD/////////////Vf9AA0AD/////////////1X/QA9AD/D/8P//////',
+    '//9V/QH9Af3A/8D/////////Vf0B/QH9A/8D/////////1X9Af0B/Q/8D/z///////9V/QH9Af0/8D/w////////Vf0B/QH9',
+    '/8D/wP///////1X9Af0B/f8D/wP///////9V/QH9Af3/D/8P////////Vf0B/QH98P/w//D//////1X9Af0B/cD/wP/A////',
+    '//9V/QH9Af0D/wP/A///////Vf0B/QH9D/wP/A/8/////1X9Af0B/T/wP/A/8P////9V/QH9Af3/wP/A/8D/////Vf0B/QH9',
+    '/wP/A/8D/////1X9Af0B/f8P/w//D/////9V/QH9Af3///D/8P/w////Vf0B/QH9///A/8D/wP///1X9Af0B/f//A/8D/wP/',
+    '//9V/QH9Af3//w/8D/wP/P//Vf0B/QH9//8/8D/wP/D//1X9Af0B/f///8D/wP/A//9V/QH9Af3///8D/wP/A///Vf0B/QH9',
+    '////D/8P/w///1X9Af0B/f/////w//D/8P9V/QH9Af3/////wP/A/8D/Vf0B/QH9/////wP/A/8D/1X9Af0B/f////8P/A/8',
+    'D/xV/QH9Af3/////P/A/8D/wVf0B/QH9///////A/8D/wFX9Af0B/f//////A/8D/wNV/QH9Af3//////w//D/8PVf0B/QH9',
+    '////////8P/w/1D9Af0R/f///////8D/wP9A/QH9Ef3///////8D/wP/Af0B/RH9////////D/wP/AX8Af0R/f///////z/w',
+    'P/AV8AH9Ef3/////////wP/AVcAB/QH9/////////wP/A1UBAf0B/f////////8P/w9VDQH9Af3///////////D/UP9A/xH/',
+    '///////////A/8D/QP8h////////////A/8D/wP/m////////////w/8D/wH/CP///////////8/8BfwB/AT////////////',
+    '/8BVwAHAAf3///////////8DVQEBAQH9////////////D1UNAQ0B/f////////////9Q/0D/EP//////////////wP/A/4D/',
+    'AAAAAAAAAAAAAAAAAAAAAP////////////8P/A/8C/z/////////////F/AH8BPw/////////////1XAAcABwP//////////',
+    '//9VAQEBAQH/////////////VQ0BDQEN/////////////1f/QP8A/////////////////8D/gP////////////////8D/wP/',
+    '////////////////D/wL/P////////////9X/wfwA/D/////////////Vf0BwAHA/////////////1X9AQEBAf//////////',
+    '//9V/QENAQ3w//D/////////V/UH9Af0wP/A/////////1f1B/QH9AP/A/////////9X9Qf0B/QP/A/8////////V/UH9Af0',
+    'P/A/8P///////1f1B/QH9P/A/8D///////9X9Qf0B/T/A/8D////////V/UH9Af0/w//D////////1f1B/QH9PD/8P/w////',
+    '//9X9Qf0B/TA/8D/wP//////V/UH9Af0A/8D/wP//////1f1B/QH9A/8D/wP/P////9X9Qf0B/Q/8D/wP/D/////V/UH9Af0',
+    '/8D/wP/A/////1f1B/QH9P8D/wP/A/////9X9Qf0B/T/D/8P/w//////V/UH9Af0///w//D/8P///1f1B/QH9P//wP/A/8D/',
+    '//9X9Qf0B/T//wP/A/8D////V/UH9Af0//8P/A/8D/z//1f1B/QH9P//P/A/8D/w//9X9Qf0B/T////A/8D/wP//V/UH9Af0',
+    '////A/8D/wP//1f1B/QH9P///w//D/8P//9X9Qf0B/T/////8P/w//D/V/UH9Af0/////8D/wP/A/1f1B/QH9P////8D/wP/',
+    'A/9X9Qf0B/T/////D/wP/A/8V/UH9Af0/////z/wP/A/8Ff1B/QH9P//////wP/A/8BX9Qf0B/T//////wP/A/8DV/UH9Af0',
+    '//////8P/w//D1f1B/QH9P////////D/8P9Q9Qf0B/T////////A/8D/QPUH9Ef0////////A/8D/wP1B/RH9P///////w/8',
+    'D/wH9Af0R/T///////8/8D/wF/AH9Ef0/////////8D/wFfAB/RH9P////////8D/wNXAQf0B/T/////////D/8PVwUH9Af0',
+    '///////////w/1D1APQH9P//////////wP9A/QD9T/z//////////wP/A/8D/Y/8//////////8P/A/8D/xv/v//////////',
+    'P/A/8B/wj/z////////////AX8AfwE/8////////////A1cBBwAH9P///////////w9XBQcEB/T/////////////UPUA9AD0',
+    '/////////////0D9AP1A/P////////////8D/wP/A/4AAAAAAAAAAAAAAAAAAAAA/////////////z/wP/Av8P//////////',
+    '//9fwB/AT8D/////////////VwEHAAcA/////////////1cFBwQHBP////////////9X9QD0APT/////////////X/0A/QD8',
+    '////////////////A/8D/v///////////////w/8D/z///////////////8/8C/w/////////////1/9H8APwP//////////',
+    '//9X9QcABwD/////////////V/UHBAcE'
+  ].join('');
+
+  const BITS = Uint8Array.from(atob(DATA), ch => ch.charCodeAt(0));
+
+  function kpkIndex(blackToMove, blackKing, whiteKing, pawn) {
+    return blackToMove | (blackKing << 1) | (whiteKing << 7) | (((pawn & 7) + 4 * ((pawn >> 3) - 1)) << 13);
+  }
+
+  // True when the side with the pawn wins. Squares are 0..63 (a1 = 0) seen from the
+  // pawn's side, so a black pawn's position must be flipped (square ^ 56) by the caller.
+  function probe(strongKing, pawn, weakKing, strongToMove) {
+    if ((pawn & 7) > 3) {
+      strongKing ^= 7;
+      pawn ^= 7;
+      weakKing ^= 7;
+    }
+    const idx = kpkIndex(strongToMove ? 0 : 1, weakKing, strongKing, pawn);
+    return (BITS[idx >> 3] & (1 << (idx & 7))) !== 0;
+  }
+
+  const EngineKPK = { probe };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineKPK;
+  } else {
+    globalThis.EngineKPK = EngineKPK;
+  }
+})();
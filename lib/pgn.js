@@ -0,0 +1,346 @@
+// PGN import and export built on EngineCore: moves are replayed through parseMove/makeMove
+(function() {
+  const EngineCore = typeof module !== 'undefined' && module.exports
+    ? require('./engine-core.js')
+    : globalThis.EngineCore;
+  const EngineReview = typeof module !== 'undefined' && module.exports
+    ? require('./review.js')
+    : globalThis.EngineReview;
+
+  const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+  const TAG_DEFAULTS = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?', Result: '*' };
+  const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+  const NAG_SUFFIXES = { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
+
+  // Splits PGN text into tag, comment, nag, open, close, result and move tokens
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    let lineStart = true;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\n') {
+        lineStart = true;
+        i++;
+        continue;
+      }
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+      if (ch === '%' && lineStart) {
+        // escape mechanism: the rest of the line is ignored
+        while (i < text.length && text[i] !== '\n') i++;
+        continue;
+      }
+      lineStart = false;
+      if (ch === '[') {
+        const match = text.slice(i).match(/^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/);
+        if (!match) throw new Error(`Malformed tag at offset ${i}`);
+        tokens.push({ type: 'tag', name: match[1], value: match[2].replace(/\\(["\\])/g, '$1') });
+        i += match[0].length;
+      } else if (ch === '{') {
+        const end = text.indexOf('}', i);
+        if (end === -1) throw new Error(`Unterminated comment at offset ${i}`);
+        tokens.push({ type: 'comment', text: text.slice(i + 1, end).trim() });
+        i = end + 1;
+      } else if (ch === ';') {
+        let end = text.indexOf('\n', i);
+        if (end === -1) end = text.length;
+        tokens.push({ type: 'comment', text: text.slice(i + 1, end).trim() });
+        i = end;
+      } else if (ch === '(') {
+        tokens.push({ type: 'open' });
+        i++;
+      } else if (ch === ')') {
+        tokens.push({ type: 'close' });
+        i++;
+      } else if (ch === '$') {
+        const match = text.slice(i).match(/^\$(\d+)/);
+        if (!match) throw new Error(`Malformed NAG at offset ${i}`);
+        tokens.push({ type: 'nag', nag: parseInt(match[1], 10) });
+        i += match[0].length;
+      } else {
+        const rest = text.slice(i);
+        const result = rest.match(/^(1-0|0-1|1\/2-1\/2|\*)(?=[\s)]|$)/);
+        if (result) {
+          tokens.push({ type: 'result', result: result[1] });
+          i += result[0].length;
+          continue;
+        }
+        // move numbers and the optional "e.p." after an en-passant capture are skipped
+        const skipped = rest.match(/^(\d+\s*\.+|e\.p\.)/);
+        if (skipped) {
+          i += skipped[0].length;
+          continue;
+        }
+        const symbol = rest.match(/^([A-Za-z0-9][A-Za-z0-9_+#=:\-]*)([!?]{1,2})?/);
+        if (!symbol) throw new Error(`Unexpected character "${ch}" at offset ${i}`);
+        tokens.push({ type: 'move', san: symbol[1] });
+        if (symbol[2]) {
+          const nag = SUFFIX_NAGS[symbol[2]];
+          if (nag) tokens.push({ type: 'nag', nag });
+        }
+        i += symbol[0].length;
+      }
+    }
+    return tokens;
+  }
+
+  // [%eval 0.35] / [%eval #-3] embedded in a comment, as written by writePGN and lichess
+  function readEvalComment(comment) {
+    const match = comment && comment.match(/\[%eval\s+(#?)(-?[\d.]+)\]/);
+    if (!match) return null;
+    const value = parseFloat(match[2]);
+    return match[1] ? { evaluation: null, mate: value } : { evaluation: value, mate: null };
+  }
+
+  // Chess960 games are marked by a Variant tag ("Chess960", "Fischerandom")
+  function isChess960(tags) {
+    return /960|fischer/i.test(tags.Variant || '');
+  }
+
+  function createNode(state, move) {
+    return {
+      san: EngineCore.toSAN(state, move),
+      uci: EngineCore.toUCI(move, { chess960: state.chess960 }),
+      moveNumber: state.fullmove,
+      color: state.whiteToMove ? 'w' : 'b',
+      fen: null,
+      comment: null,
+      commentBefore: null,
+      nags: [],
+      variations: [],
+      eval: null
+    };
+  }
+
+  // Parses one line of movetext (the main line or a variation) starting at tokens[pos]
+  // from `state`. Returns the nodes and the index of the token that ended the line.
+  function parseLine(tokens, pos, state) {
+    const nodes = [];
+    let before = null;
+    let pendingComment = null;
+    while (pos < tokens.length) {
+      const token = tokens[pos];
+      if (token.type === 'close' || token.type === 'result' || token.type === 'tag') break;
+      pos++;
+      if (token.type === 'comment') {
+        const last = nodes[nodes.length - 1];
+        if (last) {
+          last.comment = last.comment ? `${last.comment} ${token.text}` : token.text;
+          last.eval = readEvalComment(last.comment) || last.eval;
+        } else {
+          pendingComment = pendingComment ? `${pendingComment} ${token.text}` : token.text;
+        }
+      } else if (token.type === 'nag') {
+        const last = nodes[nodes.length - 1];
+        if (last) last.nags.push(token.nag);
+      } else if (token.type === 'open') {
+        const last = nodes[nodes.length - 1];
+        if (!last) throw new Error('Variation without a preceding move');
+        const variation = parseLine(tokens, pos, EngineCore.cloneState(before));
+        if (!tokens[variation.end] || tokens[variation.end].type !== 'close') {
+          throw new Error('Unterminated variation');
+        }
+        if (variation.nodes.length) last.variations.push(variation.nodes);
+        pos = variation.end + 1;
+      } else if (token.type === 'move') {
+        const move = EngineCore.parseMove(state, token.san);
+        if (!move) throw new Error(`Illegal or ambiguous move ${token.san} in ${EngineCore.generateFEN(state)}`);
+        const node = createNode(state, move);
+        if (pendingComment) {
+          node.commentBefore = pendingComment;
+          pendingComment = null;
+        }
+        before = EngineCore.cloneState(state);
+        EngineCore.makeMove(state, move);
+        node.fen = EngineCore.generateFEN(state);
+        nodes.push(node);
+      }
+    }
+    return { nodes, end: pos, comment: pendingComment };
+  }
+
+  // Parses every game in a PGN file. Each game is
+  // { tags, startFen, comment, moves: [node], result } where a node is
+  // { san, uci, moveNumber, color, fen (after the move), comment, commentBefore, nags,
+  //   variations: [[node]], eval }.
+  function parsePGN(text) {
+    const tokens = tokenize(text);
+    const games = [];
+    let pos = 0;
+    while (pos < tokens.length) {
+      const tags = {};
+      while (pos < tokens.length && tokens[pos].type === 'tag') {
+        tags[tokens[pos].name] = tokens[pos].value;
+        pos++;
+      }
+      const startFen = tags.FEN || START_FEN;
+      const state = EngineCore.fenToState(startFen, { chess960: isChess960(tags) });
+      const line = parseLine(tokens, pos, state);
+      pos = line.end;
+      if (tokens[pos] && tokens[pos].type === 'close') throw new Error('Unmatched ")" in movetext');
+      let result = tags.Result || '*';
+      if (tokens[pos] && tokens[pos].type === 'result') {
+        result = tokens[pos].result;
+        pos++;
+      }
+      if (!Object.keys(tags).length && !line.nodes.length && !line.comment) continue;
+      games.push({ tags, startFen, comment: line.comment, moves: line.nodes, result });
+    }
+    return games;
+  }
+
+  function formatEval(evaluation) {
+    if (evaluation.mate !== null && evaluation.mate !== undefined) return `[%eval #${evaluation.mate}]`;
+    return `[%eval ${evaluation.evaluation.toFixed(2)}]`;
+  }
+
+  function escapeComment(text) {
+    return text.replace(/}/g, ')');
+  }
+
+  function nodeComment(node) {
+    let comment = node.comment || '';
+    if (node.eval) {
+      const evalText = formatEval(node.eval);
+      comment = /\[%eval[^\]]*\]/.test(comment)
+        ? comment.replace(/\[%eval[^\]]*\]/, evalText)
+        : `${evalText}${comment ? ' ' + comment : ''}`;
+    }
+    return comment;
+  }
+
+  // Movetext tokens for one line; black's move number is repeated after anything that
+  // interrupts the move sequence (a comment or a variation) and at the start of a line
+  function lineTokens(nodes) {
+    const out = [];
+    let interrupted = true;
+    for (const node of nodes) {
+      if (node.commentBefore) {
+        out.push(`{${escapeComment(node.commentBefore)}}`);
+        interrupted = true;
+      }
+      let san = node.san;
+      const nags = node.nags.slice();
+      if (nags.length && NAG_SUFFIXES[nags[0]]) san += NAG_SUFFIXES[nags.shift()];
+      // the number stays on the same line as its move when wrapping
+      if (node.color === 'w') san = `${node.moveNumber}. ${san}`;
+      else if (interrupted) san = `${node.moveNumber}... ${san}`;
+      out.push(san);
+      for (const nag of nags) out.push(`$${nag}`);
+      interrupted = false;
+      const comment = nodeComment(node);
+      if (comment) {
+        out.push(`{${escapeComment(comment)}}`);
+        interrupted = true;
+      }
+      for (const variation of node.variations) {
+        out.push('(' + lineTokens(variation).join(' ') + ')');
+        interrupted = true;
+      }
+    }
+    return out;
+  }
+
+  function wrap(tokens, width) {
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+      if (line && line.length + 1 + token.length > width) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+  }
+
+  // Writes one game or a list of games. Engine annotations on the nodes (eval, nags and
+  // variations, e.g. from annotateGame) are written as [%eval] comments, ?/??/?! suffixes
+  // and parenthesised lines.
+  function writePGN(games, options = {}) {
+    const width = options.maxLineLength || 80;
+    const list = Array.isArray(games) ? games : [games];
+    return list.map(game => {
+      const tags = { ...TAG_DEFAULTS, ...game.tags, Result: game.result || (game.tags && game.tags.Result) || '*' };
+      if (game.startFen && game.startFen !== START_FEN && !tags.FEN) {
+        tags.SetUp = '1';
+        tags.FEN = game.startFen;
+      }
+      const ordered = [...SEVEN_TAG_ROSTER, ...Object.keys(tags).filter(name => !SEVEN_TAG_ROSTER.includes(name))];
+      const header = ordered.map(name => `[${name} "${String(tags[name]).replace(/(["\\])/g, '\\$1')}"]`).join('\n');
+      const movetext = [];
+      if (game.comment) movetext.push(`{${escapeComment(game.comment)}}`);
+      movetext.push(...lineTokens(game.moves), tags.Result);
+      return `${header}\n\n${wrap(movetext, width)}\n`;
+    }).join('\n');
+  }
+
+  // Builds nodes for a list of UCI moves played from `fen`, e.g. an engine PV
+  function buildLine(fen, moves) {
+    const state = EngineCore.fenToState(fen);
+    const nodes = [];
+    for (const uci of moves) {
+      const move = EngineCore.parseMove(state, uci);
+      if (!move) break;
+      const node = createNode(state, move);
+      EngineCore.makeMove(state, move);
+      node.fen = EngineCore.generateFEN(state);
+      nodes.push(node);
+    }
+    return nodes;
+  }
+
+  const CLASSIFICATION_NAGS = { inaccuracy: 6, mistake: 2, 'missed-mate': 2, blunder: 4 };
+
+  // The played move's search result describes the position after it, seen from before
+  // the move; a mate for the mover is one move shorter once the move is made.
+  function evalAfterMove(node, score) {
+    if (node.san.endsWith('#')) return null;
+    if (score.mate === null) return { evaluation: score.evaluation, mate: null };
+    const moverMates = (score.mate > 0) === (node.color === 'w');
+    return { evaluation: null, mate: moverMates ? score.mate - Math.sign(score.mate) : score.mate };
+  }
+
+  // Reviews the main line with EngineReview and adds [%eval] values, ?!/?/?? NAGs from the
+  // move classifications and the engine's line as a variation where the move lost ground.
+  // options are passed to EngineReview.reviewGame (depth, movetime, ...); variationLength
+  // caps the length of the added lines.
+  function annotateGame(game, options = {}) {
+    const variationLength = options.variationLength || 6;
+    const review = EngineReview.reviewGame(game.moves.map(node => node.uci), {
+      ...options,
+      startFen: game.startFen,
+      chess960: options.chess960 || isChess960(game.tags || {})
+    });
+    review.moves.forEach((entry, i) => {
+      const node = game.moves[i];
+      node.eval = evalAfterMove(node, entry.evalAfter);
+      const nag = CLASSIFICATION_NAGS[entry.classification];
+      if (nag) {
+        node.nags = [nag, ...node.nags.filter(n => !NAG_SUFFIXES[n])];
+        node.variations.push(buildLine(entry.fenBefore, entry.bestLine.slice(0, variationLength)));
+      }
+    });
+    return game;
+  }
+
+  const EnginePGN = {
+    parsePGN,
+    writePGN,
+    annotateGame,
+    buildLine,
+    START_FEN
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnginePGN;
+  } else {
+    globalThis.EnginePGN = EnginePGN;
+  }
+})();
@@ -0,0 +1,155 @@
+// Post-game review: centipawn loss, move classification and per-player accuracy
+(function() {
+  const EngineCore = typeof module !== 'undefined' && module.exports
+    ? require('./engine-core.js')
+    : globalThis.EngineCore;
+
+  const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+  // Thresholds are on the loss of winning chances (0..1 for the mover) rather than raw
+  // centipawns, so that dropping from +8 to +5 is not a blunder and mate scores fit in
+  const CLASSIFICATION_THRESHOLDS = [
+    { loss: 0.3, classification: 'blunder' },
+    { loss: 0.2, classification: 'mistake' },
+    { loss: 0.1, classification: 'inaccuracy' }
+  ];
+  // centipawn loss is reported with mate scores capped at this value
+  const CP_CAP = 1000;
+
+  // A score is { evaluation, mate } from white's point of view, as analyzePosition returns
+  function toCentipawns(score) {
+    if (score.mate !== null && score.mate !== undefined) {
+      // mate in 0 is a checkmated side; its sign comes from the evaluation
+      const sign = score.mate !== 0 ? Math.sign(score.mate) : Math.sign(score.evaluation);
+      return sign * CP_CAP;
+    }
+    return Math.max(-CP_CAP, Math.min(CP_CAP, Math.round(score.evaluation * 100)));
+  }
+
+  // Expected score for white in 0..1 from a centipawn evaluation (logistic fit used by lichess)
+  function winningChances(score) {
+    if (score.mate !== null && score.mate !== undefined) return toCentipawns(score) > 0 ? 1 : 0;
+    const cp = toCentipawns(score);
+    return 1 / (1 + Math.exp(-0.00368208 * cp));
+  }
+
+  function hasMate(score, white) {
+    return score.mate !== null && score.mate !== undefined && score.mate !== 0 && (score.mate > 0) === white;
+  }
+
+  // Classifies one move from the best achievable score and the played move's score, both
+  // searched from the position before the move. white is true when white made the move.
+  // options.blunder replaces the blunder threshold (a loss of winning chances, 0..1); it
+  // is checked first, so a lower one also takes moves that would have been mistakes.
+  function classifyMove(best, played, white, isBestMove = false, options = {}) {
+    const sign = white ? 1 : -1;
+    const cpLoss = Math.max(0, sign * (toCentipawns(best) - toCentipawns(played)));
+    const before = white ? winningChances(best) : 1 - winningChances(best);
+    const after = white ? winningChances(played) : 1 - winningChances(played);
+    const chanceLoss = Math.max(0, before - after);
+    let classification = 'good';
+    if (isBestMove || cpLoss === 0) {
+      classification = 'best';
+    } else if (hasMate(best, white) && !hasMate(played, white)) {
+      classification = 'missed-mate';
+    } else {
+      const threshold = CLASSIFICATION_THRESHOLDS.find(t => {
+        const loss = t.classification === 'blunder' && options.blunder !== undefined ? options.blunder : t.loss;
+        return chanceLoss >= loss;
+      });
+      if (threshold) classification = threshold.classification;
+    }
+    // per-move accuracy from the drop in winning percentage (lichess's fit)
+    const drop = chanceLoss * 100;
+    const accuracy = Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+    return { classification, cpLoss, chanceLoss, accuracy };
+  }
+
+  function emptyPlayer() {
+    return {
+      moves: 0,
+      acpl: 0,
+      accuracy: 100,
+      counts: { best: 0, good: 0, inaccuracy: 0, mistake: 0, blunder: 0, 'missed-mate': 0 }
+    };
+  }
+
+  function scoreOf(result) {
+    return { evaluation: result.evaluation, mate: result.mate };
+  }
+
+  // Reviews a whole game. moves are SAN or UCI strings played from options.startFen (the
+  // standard start position by default) and classified with options.blunder as in
+  // classifyMove; other options go to EngineCore.analyzePosition.
+  // For every move the best line and the played move are searched from the position
+  // before it at the same depth, so the two scores are directly comparable.
+  function reviewGame(moves, options = {}) {
+    const startFen = options.startFen || START_FEN;
+    const analysisOptions = { depth: 3, ...options };
+    delete analysisOptions.startFen;
+    delete analysisOptions.onMove;
+    delete analysisOptions.blunder;
+    const state = EngineCore.fenToState(startFen, analysisOptions);
+    const played = [];
+    const reviewed = [];
+    const players = { white: emptyPlayer(), black: emptyPlayer() };
+    const accuracies = { white: [], black: [] };
+    for (const input of moves) {
+      const move = EngineCore.parseMove(state, input);
+      if (!move) throw new Error(`Illegal move ${input} in ${EngineCore.generateFEN(state)}`);
+      const white = state.whiteToMove;
+      const uci = EngineCore.toUCI(move, { chess960: state.chess960 });
+      const san = EngineCore.toSAN(state, move);
+      const best = EngineCore.analyzePosition(startFen, { ...analysisOptions, moves: played });
+      const isBestMove = best.bestMove === uci;
+      const actual = isBestMove
+        ? best
+        : EngineCore.analyzePosition(startFen, { ...analysisOptions, moves: played, searchMoves: [uci] });
+      const verdict = classifyMove(scoreOf(best), scoreOf(actual), white, isBestMove, { blunder: options.blunder });
+      const entry = {
+        ply: played.length + 1,
+        moveNumber: state.fullmove,
+        color: white ? 'w' : 'b',
+        san,
+        uci,
+        fenBefore: best.fen,
+        bestMove: best.bestMove,
+        bestMoveSan: best.bestMoveSan,
+        bestLine: best.pv,
+        evalBefore: scoreOf(best),
+        evalAfter: scoreOf(actual),
+        ...verdict
+      };
+      reviewed.push(entry);
+      const player = players[white ? 'white' : 'black'];
+      player.moves++;
+      player.acpl += verdict.cpLoss;
+      player.counts[verdict.classification]++;
+      accuracies[white ? 'white' : 'black'].push(verdict.accuracy);
+      if (options.onMove) options.onMove(entry);
+      EngineCore.makeMove(state, move);
+      played.push(uci);
+    }
+    for (const side of ['white', 'black']) {
+      const player = players[side];
+      if (!player.moves) continue;
+      player.acpl = Math.round(player.acpl / player.moves);
+      const list = accuracies[side];
+      player.accuracy = Math.round((list.reduce((sum, a) => sum + a, 0) / list.length) * 10) / 10;
+    }
+    return { startFen, moves: reviewed, players };
+  }
+
+  const EngineReview = {
+    reviewGame,
+    classifyMove,
+    winningChances,
+    toCentipawns
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineReview;
+  } else {
+    globalThis.EngineReview = EngineReview;
+  }
+})();
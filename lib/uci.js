@@ -0,0 +1,270 @@
+// UCI protocol layer over EngineCore.analyzePosition. Transport-agnostic: feed it lines
+// with handle() and it answers through options.write; bin/uci.js wires it to stdin/stdout.
+(function() {
+  const EngineCore = typeof module !== 'undefined' && module.exports
+    ? require('./engine-core.js')
+    : globalThis.EngineCore;
+
+  const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  const ENGINE_NAME = 'nomore';
+  const ENGINE_AUTHOR = 'nomore contributors';
+  const DEFAULT_HASH_MB = 16;
+  const MAX_HASH_MB = 1024;
+  const MAX_MULTIPV = 32;
+  const GO_KEYWORDS = ['searchmoves', 'ponder', 'wtime', 'btime', 'winc', 'binc', 'movestogo',
+    'depth', 'nodes', 'mate', 'movetime', 'infinite'];
+
+  // Share of the remaining clock to spend on one move when no movestogo is given
+  const DEFAULT_MOVES_TO_GO = 30;
+  // kept back from every clock-based allocation for transport and GUI latency
+  const MOVE_OVERHEAD_MS = 50;
+
+  // Turns "go" arguments into analyzePosition limits
+  function parseGo(tokens, whiteToMove) {
+    const args = {};
+    for (let i = 0; i < tokens.length; i++) {
+      const key = tokens[i];
+      if (key === 'infinite' || key === 'ponder') {
+        args[key] = true;
+      } else if (key === 'searchmoves') {
+        args.searchmoves = [];
+        while (i + 1 < tokens.length && !GO_KEYWORDS.includes(tokens[i + 1])) args.searchmoves.push(tokens[++i]);
+      } else if (GO_KEYWORDS.includes(key)) {
+        args[key] = parseInt(tokens[++i], 10);
+      }
+    }
+    const limits = {};
+    if (args.searchmoves) limits.searchMoves = args.searchmoves;
+    if (args.infinite) {
+      limits.depth = 64;
+      return { limits, infinite: true };
+    }
+    if (args.depth) limits.depth = args.depth;
+    if (args.mate) limits.depth = Math.max(limits.depth || 0, args.mate * 2);
+    if (args.nodes) limits.nodes = args.nodes;
+    if (args.movetime) limits.movetime = args.movetime;
+    const clock = whiteToMove ? args.wtime : args.btime;
+    if (clock !== undefined && !args.movetime) {
+      const increment = (whiteToMove ? args.winc : args.binc) || 0;
+      const budget = clock / (args.movestogo || DEFAULT_MOVES_TO_GO) + increment * 0.8;
+      limits.movetime = Math.max(10, Math.min(budget, clock / 2) - MOVE_OVERHEAD_MS);
+    }
+    if (!limits.depth && !limits.nodes && !limits.movetime) limits.depth = 64;
+    return { limits, infinite: false };
+  }
+
+  // UCI scores are from the side to move's point of view; the core's are white's
+  function formatScore(line, whiteToMove) {
+    const sign = whiteToMove ? 1 : -1;
+    if (line.mate !== null && line.mate !== undefined) return `mate ${line.mate * sign}`;
+    return `cp ${Math.round(line.score * sign)}`;
+  }
+
+  function infoLines(info, whiteToMove, hashfull) {
+    const stats = `nodes ${info.nodes} nps ${info.nps} time ${info.time}` + (hashfull !== undefined ? ` hashfull ${hashfull}` : '');
+    if (!info.lines.length) {
+      return [`info depth ${info.depth} score ${formatScore(info, whiteToMove)} ${stats}`];
+    }
+    return info.lines.map((line, i) =>
+      `info depth ${info.depth} multipv ${i + 1} score ${formatScore(line, whiteToMove)} ${stats} pv ${line.pv.join(' ')}`);
+  }
+
+  // Runs the search in the calling thread. "stop" cannot interrupt it, so this is meant
+  // for scripting the protocol; bin/uci.js uses a worker thread instead.
+  function createLocalSearcher() {
+    let tt = EngineCore.createTranspositionTable(DEFAULT_HASH_MB);
+    return {
+      setHash(sizeMB) {
+        tt = EngineCore.createTranspositionTable(sizeMB);
+      },
+      clear() {
+        tt.clear();
+      },
+      search(request, onInfo) {
+        try {
+          const result = EngineCore.analyzePosition(request.fen, {
+            ...request.limits,
+            moves: request.moves,
+            multiPV: request.multiPV,
+            chess960: request.chess960,
+            tt,
+            onInfo: info => onInfo(info, tt.hashfull())
+          });
+          return Promise.resolve(result);
+        } catch (err) {
+          return Promise.reject(err);
+        }
+      },
+      stop() {}
+    };
+  }
+
+  class UciEngine {
+    constructor(options = {}) {
+      this.write = options.write || (line => console.log(line));
+      this.searcher = options.searcher || createLocalSearcher();
+      this.fen = START_FEN;
+      this.moves = [];
+      this.multiPV = 1;
+      this.hash = DEFAULT_HASH_MB;
+      // UCI_Chess960: X-FEN castling in "position fen" and castling as king takes rook
+      this.chess960 = false;
+      this.searching = null;
+      this.infinite = false;
+      this.stopRequested = false;
+      this.pendingBestMove = null;
+    }
+
+    // Handles one input line. Returns a promise for "go" so scripted callers can wait for
+    // the search; everything else is answered synchronously.
+    handle(input) {
+      const tokens = input.trim().split(/\s+/).filter(Boolean);
+      const command = tokens.shift();
+      switch (command) {
+        case 'uci':
+          this.write(`id name ${ENGINE_NAME}`);
+          this.write(`id author ${ENGINE_AUTHOR}`);
+          this.write(`option name Hash type spin default ${DEFAULT_HASH_MB} min 1 max ${MAX_HASH_MB}`);
+          this.write(`option name MultiPV type spin default 1 min 1 max ${MAX_MULTIPV}`);
+          this.write('option name UCI_Chess960 type check default false');
+          this.write('uciok');
+          break;
+        case 'isready':
+          this.write('readyok');
+          break;
+        case 'ucinewgame':
+          this.searcher.clear();
+          this.fen = START_FEN;
+          this.moves = [];
+          break;
+        case 'setoption':
+          this.setOption(tokens);
+          break;
+        case 'position':
+          this.setPosition(tokens);
+          break;
+        case 'go':
+          return this.go(tokens);
+        case 'stop':
+          this.stop();
+          break;
+        case 'ponderhit':
+          break;
+        case 'quit':
+          this.stop();
+          break;
+        default:
+          if (command) this.write(`info string unknown command ${command}`);
+      }
+      return Promise.resolve();
+    }
+
+    setOption(tokens) {
+      const nameIdx = tokens.indexOf('name');
+      const valueIdx = tokens.indexOf('value');
+      if (nameIdx === -1) return;
+      const name = tokens.slice(nameIdx + 1, valueIdx === -1 ? undefined : valueIdx).join(' ').toLowerCase();
+      const value = valueIdx === -1 ? '' : tokens.slice(valueIdx + 1).join(' ');
+      if (name === 'hash') {
+        this.hash = Math.max(1, Math.min(MAX_HASH_MB, parseInt(value, 10) || DEFAULT_HASH_MB));
+        this.searcher.setHash(this.hash);
+      } else if (name === 'multipv') {
+        this.multiPV = Math.max(1, Math.min(MAX_MULTIPV, parseInt(value, 10) || 1));
+      } else if (name === 'uci_chess960') {
+        this.chess960 = value.toLowerCase() === 'true';
+      } else {
+        this.write(`info string unknown option ${name}`);
+      }
+    }
+
+    // A position command that cannot be used clears the position, so that the next "go"
+    // answers bestmove 0000 instead of searching whatever was set before
+    setPosition(tokens) {
+      this.fen = null;
+      this.moves = [];
+      const movesIdx = tokens.indexOf('moves');
+      const spec = movesIdx === -1 ? tokens : tokens.slice(0, movesIdx);
+      let fen;
+      if (spec[0] === 'startpos') fen = START_FEN;
+      else if (spec[0] === 'fen') fen = spec.slice(1).join(' ');
+      if (!fen) {
+        this.write('info string invalid position command');
+        return;
+      }
+      const { errors } = EngineCore.validateFEN(fen, { chess960: this.chess960 });
+      if (errors.length) {
+        this.write(`info string invalid fen: ${errors.map(e => e.message).join('; ')}`);
+        return;
+      }
+      const moves = movesIdx === -1 ? [] : tokens.slice(movesIdx + 1);
+      // validate up front so a bad move is reported now rather than at "go"
+      const state = EngineCore.fenToState(fen, { chess960: this.chess960 });
+      for (const uci of moves) {
+        const move = EngineCore.parseMove(state, uci);
+        if (!move) {
+          this.write(`info string illegal move ${uci}`);
+          return;
+        }
+        EngineCore.makeMove(state, move);
+      }
+      this.fen = fen;
+      this.moves = moves;
+    }
+
+    go(tokens) {
+      if (this.searching) return this.searching;
+      if (!this.fen) {
+        this.write('info string no valid position');
+        this.write('bestmove 0000');
+        return Promise.resolve();
+      }
+      const state = EngineCore.fenToState(this.fen, { chess960: this.chess960 });
+      for (const uci of this.moves) EngineCore.makeMove(state, EngineCore.parseMove(state, uci));
+      const whiteToMove = state.whiteToMove;
+      const { limits, infinite } = parseGo(tokens, whiteToMove);
+      this.infinite = infinite;
+      this.stopRequested = false;
+      const request = { fen: this.fen, moves: this.moves, limits, multiPV: this.multiPV, chess960: this.chess960 };
+      const onInfo = (info, hashfull) => {
+        for (const line of infoLines(info, whiteToMove, hashfull)) this.write(line);
+      };
+      this.searching = this.searcher.search(request, onInfo).catch(err => {
+        // the GUI waits for a bestmove whatever went wrong
+        this.write(`info string search failed: ${err.message}`);
+        return { bestMove: null, pv: [] };
+      }).then(result => {
+        const ponder = result.pv && result.pv[1] ? ` ponder ${result.pv[1]}` : '';
+        const bestMove = `bestmove ${result.bestMove || '0000'}${ponder}`;
+        // "go infinite" must not answer until the GUI sends stop
+        if (this.infinite && !this.stopRequested) {
+          this.pendingBestMove = bestMove;
+        } else {
+          this.write(bestMove);
+        }
+        this.searching = null;
+      });
+      return this.searching;
+    }
+
+    stop() {
+      this.stopRequested = true;
+      if (this.pendingBestMove) {
+        this.write(this.pendingBestMove);
+        this.pendingBestMove = null;
+      }
+      if (this.searching) this.searcher.stop();
+    }
+  }
+
+  const EngineUCI = {
+    UciEngine,
+    parseGo,
+    createLocalSearcher
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineUCI;
+  } else {
+    globalThis.EngineUCI = EngineUCI;
+  }
+})();
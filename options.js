@@ -0,0 +1,11 @@
+// Options page: the same form as the sidebar's settings section. Edits are saved as they
+// are made, and open chess.com tabs pick them up through chrome.storage.onChanged.
+(function() {
+  const { loadSettings, onSettingsChanged, renderSettingsForm, resetSettings } = ChessAssistantSettings;
+
+  loadSettings().then(settings => {
+    const update = renderSettingsForm(document.getElementById('settings'), settings);
+    onSettingsChanged(update);
+    document.getElementById('reset').addEventListener('click', () => resetSettings());
+  });
+})();
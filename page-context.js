@@ -0,0 +1,70 @@
+// Works out what kind of chess.com page the board is on, so content.js can keep engine
+// output off games in progress against a person. Pages are told apart by URL. Whenever
+// the signs disagree the page counts as a game in progress: a running clock outweighs any
+// game-over panel or result, and a board with a player clock off the analysis, puzzle,
+// lesson and computer paths is a game until it shows a result.
+(function() {
+  const CONTEXTS = {
+    LIVE_GAME: 'live-game',
+    FINISHED_GAME: 'finished-game',
+    ANALYSIS: 'analysis',
+    PUZZLE: 'puzzle',
+    LESSON: 'lesson',
+    COMPUTER: 'computer',
+    OTHER: 'other'
+  };
+
+  // Checked in order against the path; the first match wins
+  const PATH_CONTEXTS = [
+    { pattern: /^\/analysis(\/|$)/, type: CONTEXTS.ANALYSIS },
+    { pattern: /^\/(puzzles?|daily-chess-puzzle|solo-chess)(\/|$)/, type: CONTEXTS.PUZZLE },
+    { pattern: /^\/(lessons?|learn|drills?|practice)(\/|$)/, type: CONTEXTS.LESSON },
+    { pattern: /^\/(play\/computer|game\/computer|computer)(\/|$)/, type: CONTEXTS.COMPUTER },
+    // live and daily games against people, the play lobby and old-style game links
+    { pattern: /^\/(game|live|daily|play)(\/|$)/, type: 'game' }
+  ];
+
+  // Signs that the game on the page has ended: the game-over panel, or the result chess.com
+  // adds to the end of the game's own move list, which stays after the panel is closed. A
+  // bare .game-result is not enough: other games' results show on game pages too.
+  const GAME_OVER_SELECTORS = [
+    '.game-over-modal',
+    '.game-over-modal-content',
+    '.game-over-header-component',
+    '[data-cy="game-over-modal"]',
+    'wc-simple-move-list .game-result',
+    '.vertical-move-list .game-result'
+  ];
+  // The side to move's clock while a game is being played
+  const RUNNING_CLOCK_SELECTORS = ['.clock-player-turn', '.clock-running'];
+  // A player's clock beside a board, running or not
+  const PLAYER_CLOCK_SELECTORS = ['.clock-component', '.clock-white', '.clock-black'];
+  const BOARD_SELECTORS = ['wc-chess-board', 'chess-board', '.board'];
+
+  function matches(doc, selectors) {
+    return selectors.some(selector => doc.querySelector(selector));
+  }
+
+  // One of CONTEXTS for the page at url (a string or Location) with document doc
+  function detectPageContext(doc, url) {
+    const path = new URL(String(url)).pathname.replace(/^\/[a-z]{2}(-[A-Z]{2})?(?=\/)/, '');
+    const entry = PATH_CONTEXTS.find(candidate => candidate.pattern.test(path));
+    if (entry && entry.type !== 'game') return entry.type;
+    if (matches(doc, RUNNING_CLOCK_SELECTORS)) return CONTEXTS.LIVE_GAME;
+    if (matches(doc, GAME_OVER_SELECTORS)) return CONTEXTS.FINISHED_GAME;
+    if (entry) return CONTEXTS.LIVE_GAME;
+    // daily games on /home and the like
+    if (matches(doc, BOARD_SELECTORS) && matches(doc, PLAYER_CLOCK_SELECTORS)) return CONTEXTS.LIVE_GAME;
+    return CONTEXTS.OTHER;
+  }
+
+  function engineAllowed(context) {
+    return context !== CONTEXTS.LIVE_GAME;
+  }
+
+  globalThis.ChessAssistantContext = {
+    CONTEXTS,
+    detectPageContext,
+    engineAllowed
+  };
+})();
@@ -0,0 +1,152 @@
+// Extension settings kept in chrome.storage.sync, shared by the content script's sidebar
+// and the options page. Both build their forms from SETTINGS_FIELDS and listen to
+// onChanged, so a change made in either applies everywhere without a reload.
+(function() {
+  // depth and movetime are the limits the sidebar searched with before there were settings;
+  // ChessEngine holds searches that cannot run in a worker to depth 3 regardless
+  const DEFAULT_SETTINGS = {
+    depth: 12,
+    movetime: 3000,
+    multiPV: 3,
+    debounce: 400,
+    blunderThreshold: 30,
+    showArrow: true,
+    showLines: true,
+    showBook: true,
+    showLastMove: true,
+    arrowColor: '#008000',
+    arrowOpacity: 0.7,
+    sidebarSide: 'right',
+    sidebarTop: 80,
+    collapsed: false
+  };
+
+  // One entry per control, in form order. Numbers are clamped to min..max when read back.
+  const SETTINGS_FIELDS = [
+    { key: 'depth', label: 'Depth', type: 'number', min: 1, max: 30, group: 'Engine' },
+    { key: 'movetime', label: 'Time per position (ms, 0 for none)', type: 'number', min: 0, max: 60000, step: 100, group: 'Engine' },
+    { key: 'multiPV', label: 'Lines', type: 'number', min: 1, max: 5, group: 'Engine' },
+    { key: 'debounce', label: 'Wait after a move (ms)', type: 'number', min: 0, max: 5000, step: 50, group: 'Engine' },
+    { key: 'blunderThreshold', label: 'Blunder at a loss of (% winning chances)', type: 'number', min: 5, max: 100, step: 5, group: 'Engine' },
+    { key: 'showArrow', label: 'Best move arrow', type: 'checkbox', group: 'Show' },
+    { key: 'showLines', label: 'Engine lines', type: 'checkbox', group: 'Show' },
+    { key: 'showBook', label: 'Book moves', type: 'checkbox', group: 'Show' },
+    { key: 'showLastMove', label: 'Last move verdict', type: 'checkbox', group: 'Show' },
+    { key: 'arrowColor', label: 'Arrow colour', type: 'color', group: 'Colours' },
+    { key: 'arrowOpacity', label: 'Arrow opacity', type: 'number', min: 0.1, max: 1, step: 0.1, group: 'Colours' },
+    { key: 'sidebarSide', label: 'Sidebar side', type: 'select', options: ['right', 'left'], group: 'Sidebar' },
+    { key: 'sidebarTop', label: 'Distance from top (px)', type: 'number', min: 0, max: 2000, step: 10, group: 'Sidebar' },
+    { key: 'collapsed', label: 'Collapsed', type: 'checkbox', group: 'Sidebar' }
+  ];
+
+  // Fills in defaults and replaces values of the wrong type or out of range, so stored
+  // settings from an older version or a hand-edited store cannot break the page
+  function normaliseSettings(stored = {}) {
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const field of SETTINGS_FIELDS) {
+      const value = stored[field.key];
+      if (value === undefined) continue;
+      if (field.type === 'number') {
+        const number = Number(value);
+        if (Number.isFinite(number)) settings[field.key] = Math.max(field.min, Math.min(field.max, number));
+      } else if (field.type === 'checkbox') {
+        settings[field.key] = value === true;
+      } else if (field.type === 'color') {
+        if (/^#[0-9a-f]{6}$/i.test(value)) settings[field.key] = value;
+      } else if (field.options.includes(value)) {
+        settings[field.key] = value;
+      }
+    }
+    return settings;
+  }
+
+  function loadSettings() {
+    return new Promise(resolve => {
+      chrome.storage.sync.get(DEFAULT_SETTINGS, stored => resolve(normaliseSettings(stored)));
+    });
+  }
+
+  // Stores only the given keys; every listener of onSettingsChanged then sees the change
+  function saveSettings(changes) {
+    return new Promise(resolve => chrome.storage.sync.set(changes, resolve));
+  }
+
+  function resetSettings() {
+    return saveSettings(DEFAULT_SETTINGS);
+  }
+
+  // callback(settings, changedKeys) after any change, whichever page made it
+  function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync') return;
+      loadSettings().then(settings => callback(settings, Object.keys(changes)));
+    });
+  }
+
+  function readInput(field, input) {
+    if (field.type === 'checkbox') return input.checked;
+    if (field.type === 'number') return Number(input.value);
+    return input.value;
+  }
+
+  function writeInput(field, input, value) {
+    if (field.type === 'checkbox') input.checked = value;
+    else input.value = value;
+  }
+
+  // Builds a labelled control per field inside container, grouped under headings, and
+  // saves every edit. Returns update(settings) to show changes made elsewhere.
+  function renderSettingsForm(container, settings) {
+    const inputs = {};
+    let group = null;
+    for (const field of SETTINGS_FIELDS) {
+      if (field.group !== group) {
+        group = field.group;
+        const heading = document.createElement('h4');
+        heading.textContent = group;
+        container.appendChild(heading);
+      }
+      const label = document.createElement('label');
+      label.className = `ca-setting ca-setting-${field.type}`;
+      let input;
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        for (const option of field.options) input.appendChild(new Option(option, option));
+      } else {
+        input = document.createElement('input');
+        input.type = field.type;
+        if (field.type === 'number') {
+          input.min = field.min;
+          input.max = field.max;
+          input.step = field.step || 1;
+        }
+      }
+      input.name = field.key;
+      writeInput(field, input, settings[field.key]);
+      input.addEventListener('change', () => {
+        const value = normaliseSettings({ [field.key]: readInput(field, input) })[field.key];
+        writeInput(field, input, value);
+        saveSettings({ [field.key]: value });
+      });
+      const text = document.createElement('span');
+      text.textContent = field.label;
+      label.append(text, input);
+      container.appendChild(label);
+      inputs[field.key] = input;
+    }
+    return function update(next) {
+      for (const field of SETTINGS_FIELDS) writeInput(field, inputs[field.key], next[field.key]);
+    };
+  }
+
+  globalThis.ChessAssistantSettings = {
+    DEFAULT_SETTINGS,
+    SETTINGS_FIELDS,
+    normaliseSettings,
+    loadSettings,
+    saveSettings,
+    resetSettings,
+    onSettingsChanged,
+    renderSettingsForm
+  };
+})();
@@ -0,0 +1,163 @@
+// Board adapters on saved chess.com layouts and pages that show a FEN in jsdom
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['lib/kpk.js', 'lib/engine-core.js', 'board-adapters.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+function page(fixture, url) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'boards', fixture), 'utf8');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  for (const script of SCRIPTS) dom.window.eval(script);
+  return { document: dom.window.document, Boards: dom.window.ChessAssistantBoards };
+}
+
+// JSON round trip: values made in the jsdom realm compare by structure here
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const GAME_URL = 'https://www.chess.com/game/live/123456789';
+const GAME_FEN = 'r1bqkbnr/1pp2ppp/p1p5/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 b kq - 1 5';
+const PROMOTION_FEN = 'Q1bqkb1r/p2npppp/5n2/8/8/8/PPPP1PPP/RNBQKBNR b KQk - 0 5';
+
+test('chess.com: finds the board and reads pieces, orientation and moves', () => {
+  const { document, Boards } = page('chesscom-game.html', GAME_URL);
+  const found = Boards.findBoard(document);
+  assert.equal(found.adapter.name, 'chess.com');
+  assert.equal(found.board.tagName, 'WC-CHESS-BOARD');
+  const adapter = Boards.chessComAdapter;
+  assert.equal(Boards.placementFromGrid(adapter.readPieces(found.board)), GAME_FEN.split(' ')[0]);
+  assert.equal(adapter.readOrientation(found.board), 'black');
+  // figurine icons put back in front of the move
+  assert.deepEqual(plain(adapter.readMoveList(document)), ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6', 'Bxc6', 'dxc6', 'O-O']);
+  assert.equal(adapter.readSideToMove(found.board, document), 'b');
+  assert.equal(adapter.readFen(found.board), null);
+});
+
+test('chess.com: older layout with data-piece pieces and a promotion icon', () => {
+  const { document, Boards } = page('chesscom-vertical-move-list.html', GAME_URL);
+  const { adapter, board } = Boards.findBoard(document);
+  assert.equal(board.tagName, 'CHESS-BOARD');
+  assert.equal(Boards.placementFromGrid(adapter.readPieces(board)), PROMOTION_FEN.split(' ')[0]);
+  assert.equal(adapter.readOrientation(board), 'white');
+  assert.deepEqual(plain(adapter.readMoveList(document)), ['e4', 'd5', 'exd5', 'c6', 'dxc6', 'Nf6', 'cxb7', 'Nbd7', 'bxa8=Q']);
+  assert.equal(adapter.readSideToMove(board, document), 'b');
+});
+
+test('chess.com: a full data-fen on the board is used, a bare placement is not', () => {
+  const { document, Boards } = page('chesscom-game.html', GAME_URL);
+  const { adapter, board } = Boards.findBoard(document);
+  board.setAttribute('data-fen', GAME_FEN.split(' ')[0]);
+  assert.equal(adapter.readFen(board), null);
+  board.setAttribute('data-fen', 'r1bqkbnr/1pp2ppp/p1p5/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 w kq - 1 5');
+  assert.match(adapter.readFen(board), / w kq - 1 5$/);
+  // and it outranks the move count for the side to move
+  assert.equal(adapter.readSideToMove(board, document), 'w');
+});
+
+test('chess.com: readPosition replays the move list', () => {
+  const { document, Boards } = page('chesscom-game.html', GAME_URL);
+  const { adapter, board } = Boards.findBoard(document);
+  const position = Boards.readPosition(adapter, board);
+  assert.equal(position.source, 'moves');
+  assert.equal(position.fen, GAME_FEN);
+  assert.equal(position.orientation, 'black');
+  assert.equal(position.history.length, 9);
+  assert.equal(position.moves[8].uci, 'e1g1');
+  assert.equal(position.mismatch, null);
+
+  const promotion = page('chesscom-vertical-move-list.html', GAME_URL);
+  const found = promotion.Boards.findBoard(promotion.document);
+  assert.equal(promotion.Boards.readPosition(found.adapter, found.board).fen, PROMOTION_FEN);
+});
+
+test('chess.com: without a move list the FEN is built from the pieces', () => {
+  const { document, Boards } = page('chesscom-game.html', GAME_URL);
+  document.querySelector('wc-simple-move-list').remove();
+  const { adapter, board } = Boards.findBoard(document);
+  const position = Boards.readPosition(adapter, board);
+  assert.equal(position.source, 'pieces');
+  // castling from where kings and rooks stand; nothing says whose move it is
+  assert.equal(position.fen, 'r1bqkbnr/1pp2ppp/p1p5/4p3/4P3/5N2/PPPP1PPP/RNBQ1RK1 w kq - 0 1');
+  assert.deepEqual(plain(position.history), []);
+});
+
+test('generic: a data-fen attribute', () => {
+  const { document, Boards } = page('generic-data-fen.html', 'https://example.org/analysis');
+  const { adapter, board } = Boards.findBoard(document);
+  assert.equal(adapter.name, 'generic');
+  assert.ok(board.classList.contains('cg-wrap'));
+  const fen = 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3';
+  assert.equal(adapter.readFen(board, document), fen);
+  assert.equal(Boards.placementFromGrid(adapter.readPieces(board, document)), fen.split(' ')[0]);
+  assert.equal(adapter.readOrientation(board), 'black');
+  assert.deepEqual(plain(adapter.readMoveList(document)), []);
+  assert.equal(adapter.readSideToMove(board, document), 'w');
+  const position = Boards.readPosition(adapter, board);
+  assert.equal(position.source, 'page');
+  assert.equal(position.fen, fen);
+});
+
+test('generic: a FEN input', () => {
+  const { document, Boards } = page('generic-fen-input.html', 'https://example.org/editor');
+  const { adapter, board } = Boards.findBoard(document);
+  assert.equal(board.id, 'board');
+  assert.equal(adapter.readFen(board, document), 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2');
+  assert.equal(adapter.readOrientation(board), 'white');
+  assert.equal(adapter.readSideToMove(board, document), 'w');
+  // the input is read again every time, so edits show
+  document.querySelector('input[name="fen"]').value = 'rnbqkbnr/ppp1pppp/8/3p4/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2';
+  assert.equal(adapter.readSideToMove(board, document), 'b');
+  assert.equal(Boards.readPosition(adapter, board).fen, 'rnbqkbnr/ppp1pppp/8/3p4/4P3/5N2/PPPP1PPP/RNBQKB1R b KQkq - 1 2');
+});
+
+test('generic: a FEN in the URL', () => {
+  const fen = '8/8/4k3/8/8/4K3/4P3/8 b - - 0 50';
+  const urls = [
+    `https://example.org/analysis?fen=${encodeURIComponent(fen)}`,
+    `https://example.org/analysis#fen=${encodeURIComponent(fen)}`,
+    `https://example.org/analysis/${fen.replace(/ /g, '_')}`
+  ];
+  for (const url of urls) {
+    const { document, Boards } = page('generic-bare.html', url);
+    const { adapter, board } = Boards.findBoard(document);
+    assert.equal(adapter.name, 'generic', url);
+    assert.equal(adapter.readFen(board, document), fen, url);
+    assert.equal(Boards.readPosition(adapter, board).fen, fen, url);
+  }
+});
+
+test('generic: a bare placement gets the rest guessed from the pieces', () => {
+  const url = 'https://example.org/analysis/r3k2r/8/8/8/8/8/8/R3K2R';
+  const { document, Boards } = page('generic-bare.html', url);
+  const { adapter, board } = Boards.findBoard(document);
+  const position = Boards.readPosition(adapter, board);
+  assert.equal(position.source, 'pieces');
+  assert.equal(position.fen, 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+});
+
+test('findBoard: no FEN and no chess.com board means no board', () => {
+  const elsewhere = page('generic-bare.html', 'https://example.org/analysis');
+  assert.equal(elsewhere.Boards.findBoard(elsewhere.document), null);
+  // on chess.com the same markup is a chess.com board
+  const chessCom = page('generic-bare.html', 'https://www.chess.com/analysis');
+  assert.equal(chessCom.Boards.findBoard(chessCom.document).adapter.name, 'chess.com');
+});
+
+test('findBoard: on chess.com the generic adapter reads views without a chess.com board', () => {
+  const { document, Boards } = page('generic-data-fen.html', 'https://www.chess.com/analysis');
+  const { adapter, board } = Boards.findBoard(document);
+  assert.equal(adapter.name, 'generic');
+  assert.equal(Boards.readPosition(adapter, board).fen, 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3');
+});
+
+test('registerAdapter puts a site adapter first', () => {
+  const { document, Boards } = page('generic-data-fen.html', 'https://example.org/analysis');
+  const custom = { ...Boards.genericAdapter, name: 'custom', findBoard: doc => doc.querySelector('cg-board') };
+  Boards.registerAdapter(custom);
+  const found = Boards.findBoard(document);
+  assert.equal(found.adapter.name, 'custom');
+  assert.equal(found.board.tagName, 'CG-BOARD');
+});
@@ -0,0 +1,84 @@
+// Draws by rule: repetitions given as moves or as earlier positions, the fifty-move rule
+// and dead material, through drawReason and the search
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EngineCore = require('../lib/engine-core.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const SHUFFLE = ['Nf3', 'Nf6', 'Ng1', 'Ng8'];
+
+// FENs before each move and after the last, as a page replaying a game would have them
+function positionsAfter(moves) {
+  const state = EngineCore.fenToState(START_FEN);
+  const fens = [START_FEN];
+  for (const san of moves) {
+    EngineCore.makeMove(state, EngineCore.parseMove(state, san));
+    fens.push(EngineCore.generateFEN(state));
+  }
+  return fens;
+}
+
+function drawAfterMoves(moves) {
+  return EngineCore.analyzePosition(START_FEN, { depth: 1, moves }).draw;
+}
+
+test('threefold repetition from moves', () => {
+  assert.equal(drawAfterMoves(SHUFFLE), null);
+  assert.equal(drawAfterMoves([...SHUFFLE, ...SHUFFLE]), 'threefold');
+  // the position after Ng1 has only occurred twice
+  assert.equal(drawAfterMoves([...SHUFFLE, ...SHUFFLE.slice(0, 3)]), null);
+});
+
+test('threefold repetition from history', () => {
+  const twice = positionsAfter(SHUFFLE);
+  const once = twice.pop();
+  const result = EngineCore.analyzePosition(once, { depth: 1, history: twice });
+  assert.equal(result.draw, null);
+
+  const thrice = positionsAfter([...SHUFFLE, ...SHUFFLE]);
+  const current = thrice.pop();
+  assert.equal(EngineCore.analyzePosition(current, { depth: 1, history: thrice }).draw, 'threefold');
+  assert.equal(EngineCore.analyzePosition(current, { depth: 1 }).draw, null);
+});
+
+test('history and moves combine', () => {
+  const fens = positionsAfter(SHUFFLE);
+  const result = EngineCore.analyzePosition(START_FEN, { depth: 1, history: fens.slice(0, -1), moves: SHUFFLE });
+  assert.equal(result.draw, 'threefold');
+});
+
+test('fifty-move rule at halfmove 99 and 100', () => {
+  const fen = clock => `k7/8/8/8/8/8/8/K6R w - - ${clock} 80`;
+  assert.equal(EngineCore.drawReason(EngineCore.fenToState(fen(99))), null);
+  assert.equal(EngineCore.drawReason(EngineCore.fenToState(fen(100))), 'fifty-move');
+  // a mate on the hundredth half-move still counts
+  assert.equal(EngineCore.drawReason(EngineCore.fenToState('R5k1/5ppp/8/8/8/8/8/6K1 b - - 100 80')), null);
+});
+
+test('the search sees the fifty-move rule coming', () => {
+  // every move reaches the hundredth half-move and none of them mates
+  assert.equal(EngineCore.analyzePosition('k7/8/8/8/8/8/8/K6R w - - 99 80', { depth: 2 }).evaluation, 0);
+  assert.ok(EngineCore.analyzePosition('k7/8/8/8/8/8/8/K6R w - - 0 80', { depth: 2 }).evaluation > 5);
+});
+
+test('insufficient material', () => {
+  const cases = [
+    ['8/8/4k3/8/8/4K3/8/8 w - - 0 1', true, 'KvK'],
+    ['8/8/4k3/8/8/4K3/8/2B5 w - - 0 1', true, 'KBvK'],
+    ['8/8/4k3/8/8/4K3/8/6n1 w - - 0 1', true, 'KvKN'],
+    ['5b2/8/4k3/8/8/4K3/8/2B5 w - - 0 1', true, 'bishops on dark squares'],
+    ['8/8/4k3/8/8/4K3/1B6/2B5 w - - 0 1', true, 'two bishops on dark squares'],
+    ['2b5/8/4k3/8/8/4K3/8/2B5 w - - 0 1', false, 'bishops on opposite colours'],
+    ['8/8/4k3/8/8/4K3/8/1NN5 w - - 0 1', false, 'KNNvK'],
+    ['8/8/4k3/8/8/4K3/8/1NB5 w - - 0 1', false, 'KBNvK'],
+    ['8/8/4k3/8/8/4K3/8/2B3n1 w - - 0 1', false, 'KBvKN'],
+    ['8/8/4k3/8/8/4K3/4P3/8 w - - 0 1', false, 'KPvK'],
+    ['8/8/4k3/8/8/4K3/8/7R w - - 0 1', false, 'KRvK'],
+    ['8/8/4k3/8/8/4K3/8/7q w - - 0 1', false, 'KvKQ']
+  ];
+  for (const [fen, dead, name] of cases) {
+    const state = EngineCore.fenToState(fen);
+    assert.equal(EngineCore.isInsufficientMaterial(state), dead, name);
+    assert.equal(EngineCore.drawReason(state), dead ? 'insufficient-material' : null, name);
+  }
+});
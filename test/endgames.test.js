@@ -0,0 +1,65 @@
+// Endgame knowledge: the KPK bitbase, drawn KPK and minor-piece endings scored as draws,
+// and KQK, KRK, KBNK and won KPK positions played out to mate at low depth.
+// tools/endgames.js does the same from random positions at depth 6.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EngineCore = require('../lib/engine-core.js');
+const EngineKPK = require('../lib/kpk.js');
+
+const square = name => 'abcdefgh'.indexOf(name[0]) + 8 * (parseInt(name[1], 10) - 1);
+
+// Plays both sides from fen; returns the number of plies to mate, or null if the game
+// ended any other way or ran past plies
+function playOut(fen, depth, plies) {
+  const tt = EngineCore.createTranspositionTable(16);
+  const moves = [];
+  for (let ply = 0; ply < plies; ply++) {
+    const result = EngineCore.analyzePosition(fen, { depth, moves, tt });
+    if (!result.bestMove) return result.mate === 0 ? ply : null;
+    if (result.draw) return null;
+    moves.push(result.bestMove);
+  }
+  return null;
+}
+
+test('KPK bitbase', () => {
+  const probe = (king, pawn, weakKing, strongToMove) => EngineKPK.probe(square(king), square(pawn), square(weakKing), strongToMove);
+  // the king on the sixth rank in front of its pawn wins whoever is to move
+  assert.equal(probe('e6', 'e5', 'e8', true), true);
+  assert.equal(probe('e6', 'e5', 'e8', false), true);
+  // the defending king in front of the pawn with the opposition holds
+  assert.equal(probe('e1', 'e2', 'e5', true), false);
+  assert.equal(probe('e3', 'e2', 'e5', true), false);
+  // a rook pawn with the defending king in the corner is a draw
+  assert.equal(probe('a6', 'a5', 'a8', true), false);
+  // the defending king outside the pawn's square cannot catch it
+  assert.equal(probe('e1', 'e4', 'a8', true), true);
+  // the table is stored for the queen side only; king side files are mirrored
+  assert.equal(probe('d6', 'd5', 'd8', false), probe('e6', 'e5', 'e8', false));
+});
+
+test('drawn endings are scored as draws', () => {
+  for (const fen of ['k7/8/K7/P7/8/8/8/8 w - - 0 1', '8/8/8/4k3/8/8/4P3/4K3 w - - 0 1']) {
+    const result = EngineCore.analyzePosition(fen, { depth: 3 });
+    assert.equal(result.evaluation, 0, fen);
+  }
+  const knight = EngineCore.analyzePosition('8/8/4k3/8/8/8/4N3/4K3 w - - 0 1', { depth: 3 });
+  assert.equal(knight.draw, 'insufficient-material');
+});
+
+const CONVERSIONS = [
+  { name: 'KQK', fen: '8/8/8/4k3/8/8/8/KQ6 w - - 0 1', depth: 3, plies: 60 },
+  { name: 'KRK', fen: '8/8/8/4k3/8/8/8/KR6 w - - 0 1', depth: 3, plies: 100 },
+  { name: 'KBNK', fen: '8/8/8/8/4K3/8/3BN3/7k w - - 0 1', depth: 4, plies: 140 },
+  { name: 'KPK, king in front', fen: '3k4/8/3K4/8/4P3/8/8/8 w - - 0 1', depth: 3, plies: 100 },
+  { name: 'KPK, pawn outside the square', fen: 'k7/8/8/8/4P3/8/8/4K3 w - - 0 1', depth: 3, plies: 100 }
+];
+
+for (const { name, fen, depth, plies } of CONVERSIONS) {
+  test(`${name} is converted at depth ${depth}`, () => {
+    const mated = playOut(fen, depth, plies);
+    assert.notEqual(mated, null, 'no mate');
+    // white made the last move
+    assert.equal(mated % 2, 1);
+  });
+}
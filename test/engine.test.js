@@ -0,0 +1,163 @@
+// ChessEngine against engine-worker.js: the worker side runs in its own vm context behind
+// a Worker stand-in that passes messages asynchronously, as a browser would
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const LIBS = ['lib/kpk.js', 'lib/engine-core.js', 'lib/polyglot.js'];
+const source = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// workers: every FakeWorker created, so tests can see whether one was replaced.
+// behaviour.stuck leaves every message after the first search unread, like a worker in
+// one long iteration; behaviour.failOnStart errors before 'ready'.
+function loadEngine(behaviour = {}) {
+  const workers = [];
+
+  class FakeWorker {
+    constructor() {
+      this.terminated = false;
+      this.received = [];
+      this.searching = false;
+      workers.push(this);
+      const timeout = (fn, ms) => setTimeout(() => {
+        if (!this.terminated) fn();
+      }, ms);
+      this.context = vm.createContext({
+        self: { postMessage: data => this.deliver(data) },
+        setTimeout: timeout,
+        atob,
+        console
+      });
+      if (behaviour.failOnStart) {
+        setTimeout(() => this.onerror({ message: 'blocked', preventDefault() {} }), 0);
+        return;
+      }
+      for (const file of [...LIBS, 'engine-worker.js']) vm.runInContext(source(file), this.context);
+    }
+
+    deliver(data) {
+      setTimeout(() => {
+        if (!this.terminated) this.onmessage({ data });
+      }, 0);
+    }
+
+    postMessage(data) {
+      this.received.push(data.type);
+      if (behaviour.failOnStart || (behaviour.stuck && this.searching)) return;
+      if (data.type === 'analyze') this.searching = true;
+      setTimeout(() => {
+        if (!this.terminated) this.context.self.onmessage({ data });
+      }, 0);
+    }
+
+    fail(message) {
+      this.onerror({ message, preventDefault() {} });
+    }
+
+    terminate() {
+      this.terminated = true;
+    }
+  }
+
+  const context = vm.createContext({
+    console,
+    atob,
+    setTimeout,
+    clearTimeout,
+    EventTarget,
+    CustomEvent,
+    DOMException,
+    Worker: FakeWorker,
+    Blob: class {},
+    URL: { createObjectURL: () => 'blob:engine' },
+    fetch: () => Promise.resolve({ text: () => Promise.resolve('') }),
+    chrome: { runtime: { getURL: file => file } }
+  });
+  context.window = context;
+  for (const file of [...LIBS, 'engine.js']) vm.runInContext(source(file), context);
+  return { ChessEngine: context.ChessEngine, workers };
+}
+
+const FEN = 'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N2N2/PP2BPPP/R2QKB1R w KQ - 0 8';
+
+test('analysis runs in the worker and reports every depth', async () => {
+  const { ChessEngine, workers } = loadEngine();
+  const engine = new ChessEngine();
+  const depths = [];
+  const result = await engine.analyzePosition(FEN, { depth: 3, onInfo: info => depths.push(info.depth) });
+  assert.deepEqual(depths, [1, 2, 3]);
+  assert.equal(result.depth, 3);
+  assert.match(result.bestMove, /^[a-h][1-8][a-h][1-8]$/);
+  assert.equal(workers.length, 1);
+  assert.equal(engine.inPage, false);
+});
+
+test('a new position stops the running search without replacing the worker', async () => {
+  const { ChessEngine, workers } = loadEngine();
+  const engine = new ChessEngine();
+  let resolveFirstInfo;
+  const firstInfo = new Promise(resolve => { resolveFirstInfo = resolve; });
+  const first = engine.analyzePosition(FEN, { depth: 30, movetime: 20000, onInfo: resolveFirstInfo });
+  const rejected = assert.rejects(first, { name: 'AbortError' });
+  await firstInfo;
+  const started = Date.now();
+  const second = await engine.analyzePosition(FEN, { depth: 2 });
+  await rejected;
+  assert.equal(second.depth, 2);
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(workers.length, 1);
+  assert.equal(workers[0].terminated, false);
+  assert.ok(workers[0].received.includes('stop'));
+  assert.equal(engine.stopping, null);
+  engine.terminate();
+});
+
+test('a worker that does not stop in time is replaced', async () => {
+  const { ChessEngine, workers } = loadEngine({ stuck: true });
+  const engine = new ChessEngine();
+  const first = engine.analyzePosition(FEN, { depth: 30, movetime: 20000 });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const second = engine.analyzePosition(FEN, { depth: 2 });
+  await assert.rejects(first, { name: 'AbortError' });
+  // the second request goes to a new worker once the first has not answered the stop
+  const result = await second;
+  assert.equal(result.depth, 2);
+  assert.equal(workers.length, 2);
+  assert.equal(workers[0].terminated, true);
+  engine.terminate();
+});
+
+test('a worker error rejects the search and the next one gets a new worker', async () => {
+  const { ChessEngine, workers } = loadEngine();
+  const engine = new ChessEngine();
+  await engine.analyzePosition(FEN, { depth: 1 });
+  const failing = engine.analyzePosition(FEN, { depth: 30, movetime: 20000 });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  workers[0].fail('out of memory');
+  await assert.rejects(failing, { message: 'out of memory' });
+  assert.equal(engine.pending, null);
+  assert.equal(workers[0].terminated, true);
+  const result = await engine.analyzePosition(FEN, { depth: 2 });
+  assert.equal(result.depth, 2);
+  assert.equal(workers.length, 2);
+});
+
+test('a worker that fails to start falls back to the page thread', async () => {
+  const { ChessEngine, workers } = loadEngine({ failOnStart: true });
+  const engine = new ChessEngine();
+  const result = await engine.analyzePosition(FEN, { depth: 2 });
+  assert.equal(result.depth, 2);
+  assert.equal(engine.inPage, true);
+  assert.equal(workers.length, 1);
+});
+
+test('searches on the page thread are held to the engine depth', async () => {
+  const { ChessEngine } = loadEngine({ failOnStart: true });
+  const engine = new ChessEngine();
+  const result = await engine.analyzePosition(FEN, { depth: 12, movetime: 3000 });
+  assert.equal(engine.inPage, true);
+  assert.equal(result.depth, 3);
+});
@@ -0,0 +1,62 @@
+// EPD records and checkSolution: operands, several bm moves, am, dm from black's side and
+// records whose moves are not legal in their position
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EngineCore = require('../lib/engine-core.js');
+const EngineEPD = require('../lib/epd.js');
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -';
+const FOOLS_MATE = 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq -';
+
+test('parseEPDLine: quoted operands may hold semicolons', () => {
+  const record = EngineEPD.parseEPDLine(`${START} bm e4; id "opening; king's pawn"; c0 "a; b"; hmvc 3; fmvn 12;`);
+  assert.equal(record.fen, 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3 12');
+  assert.equal(record.id, "opening; king's pawn");
+  assert.equal(record.comment, 'a; b');
+  assert.deepEqual(record.bm, ['e4']);
+  assert.deepEqual(record.operations.hmvc, ['3']);
+  // the last operation may leave out its semicolon
+  assert.deepEqual(EngineEPD.parseEPDLine(`${START} id "x;y"`).id, 'x;y');
+});
+
+test('parseEPD: skips blank and comment lines and numbers errors by line', () => {
+  const records = EngineEPD.parseEPD(`# a suite\n\n${START} bm e4;\r\n${FOOLS_MATE} bm Qh4#;\n`);
+  assert.equal(records.length, 2);
+  assert.throws(() => EngineEPD.parseEPD(`${START} bm e4;\n${START} id "open`), /^Error: Line 2: Unterminated string/);
+  assert.throws(() => EngineEPD.parseEPDLine(`${START} "e4";`), /Expected an opcode/);
+});
+
+test('checkSolution: any of several bm moves solves', () => {
+  const record = EngineEPD.parseEPDLine(`${START} bm Nf3 Nc3; id "knights";`);
+  assert.deepEqual(record.bm, ['Nf3', 'Nc3']);
+  assert.deepEqual(EngineEPD.checkSolution(record, { bestMove: 'b1c3', mate: null }), { solved: true, bm: ['g1f3', 'b1c3'], am: [] });
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'g1f3', mate: null }).solved, true);
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'e2e4', mate: null }).solved, false);
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: null, mate: null }).solved, false);
+});
+
+test('checkSolution: am moves fail', () => {
+  const record = EngineEPD.parseEPDLine(`${START} am e4 g4;`);
+  assert.deepEqual(EngineEPD.checkSolution(record, { bestMove: 'e2e4', mate: null }), { solved: false, bm: [], am: ['e2e4', 'g2g4'] });
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'd2d4', mate: null }).solved, true);
+});
+
+test('checkSolution: dm with black to move', () => {
+  const record = EngineEPD.parseEPDLine(`${FOOLS_MATE} dm 1; bm Qh4#;`);
+  assert.equal(record.dm, 1);
+  // result.mate is from white's side, so black mating in one is -1
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'd8h4', mate: -1 }).solved, true);
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'd8h4', mate: 1 }).solved, false);
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'd8h4', mate: null }).solved, false);
+  assert.equal(EngineEPD.checkSolution(record, { bestMove: 'd8h4', mate: -2 }).solved, false);
+  const result = EngineCore.analyzePosition(record.fen, { depth: 2 });
+  assert.equal(EngineEPD.checkSolution(record, result).solved, true);
+});
+
+test('checkSolution: an illegal bm is reported, not thrown', () => {
+  const record = EngineEPD.parseEPDLine(`${START} bm Qxf7#; id "wrong position";`);
+  const check = EngineEPD.checkSolution(record, { bestMove: 'e2e4', mate: null });
+  assert.equal(check.solved, false);
+  assert.deepEqual(check.bm, []);
+  assert.match(check.error, /^Illegal move Qxf7# in rnbqkbnr\/pppppppp/);
+});
@@ -0,0 +1,35 @@
+// findMate on short problems with known keys, and on positions with no mate in range.
+// tools/mate-problems.js runs a longer set.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EngineCore = require('../lib/engine-core.js');
+
+const PROBLEMS = [
+  { name: 'back rank', fen: '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1', n: 1, keys: ['Rd8#'] },
+  { name: 'Morphy, quiet key', fen: 'kbK5/pp6/1P6/8/8/8/8/R7 w - - 0 1', n: 2, keys: ['Ra6'] },
+  { name: 'smothered mate', fen: '3r3k/6pp/7N/8/2Q5/8/5PPP/6K1 w - - 0 1', n: 2, keys: ['Qg8+'] },
+  { name: 'black to move', fen: '6k1/pp4p1/2p5/2bp4/8/P5Pb/1P3rrP/2BRRN1K b - - 0 1', n: 2, keys: ['Rg1+'] }
+];
+
+for (const { name, fen, n, keys } of PROBLEMS) {
+  test(`findMate: ${name}`, () => {
+    const result = EngineCore.findMate(fen, n);
+    assert.equal(result.mate, true);
+    assert.equal(result.mateIn, n);
+    assert.deepEqual(result.keys.map(k => k.san), keys);
+    assert.equal(result.lineSan.length, 2 * n - 1);
+    assert.ok(result.lineSan[result.lineSan.length - 1].endsWith('#'));
+    // and nothing quicker
+    if (n > 1) assert.equal(EngineCore.findMate(fen, n - 1).mate, false);
+  });
+}
+
+test('findMate: no mate in range', () => {
+  for (const [fen, n] of [['kbK5/pp6/1P6/8/8/8/8/R7 w - - 0 1', 1], ['8/8/8/8/8/2k5/8/K6Q w - - 0 1', 4]]) {
+    const result = EngineCore.findMate(fen, n);
+    assert.equal(result.mate, false, fen);
+    assert.equal(result.mateIn, null, fen);
+    assert.deepEqual(result.keys, [], fen);
+    assert.deepEqual(result.lineSan, [], fen);
+  }
+});
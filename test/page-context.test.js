@@ -0,0 +1,96 @@
+// detectPageContext on saved chess.com page layouts in jsdom
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+function page(fixture, url) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', fixture), 'utf8');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  dom.window.eval(fs.readFileSync(path.join(ROOT, 'page-context.js'), 'utf8'));
+  const { detectPageContext, engineAllowed } = dom.window.ChessAssistantContext;
+  const context = () => detectPageContext(dom.window.document, dom.window.location);
+  return { document: dom.window.document, context, engineAllowed };
+}
+
+const PAGES = [
+  ['live-game.html', 'https://www.chess.com/game/live/123456789', 'live-game'],
+  ['finished-game.html', 'https://www.chess.com/game/live/123456789', 'finished-game'],
+  ['finished-game-panel-closed.html', 'https://www.chess.com/game/live/123456789', 'finished-game'],
+  ['analysis.html', 'https://www.chess.com/analysis/game/live/123456789', 'analysis'],
+  ['puzzle.html', 'https://www.chess.com/puzzles/rated', 'puzzle'],
+  ['lesson.html', 'https://www.chess.com/lessons/checkmate-patterns/mate-in-two', 'lesson'],
+  ['computer.html', 'https://www.chess.com/play/computer', 'computer'],
+  ['home.html', 'https://www.chess.com/home', 'other'],
+  ['home-daily-game.html', 'https://www.chess.com/home', 'live-game']
+];
+
+for (const [fixture, url, expected] of PAGES) {
+  test(`${fixture} is ${expected}`, () => {
+    const { context, engineAllowed } = page(fixture, url);
+    assert.equal(context(), expected);
+    assert.equal(engineAllowed(expected), expected !== 'live-game');
+  });
+}
+
+test('results of other games do not end a game in progress', () => {
+  // live-game.html lists the opponent's recent results next to the board
+  const { document, context } = page('live-game.html', 'https://www.chess.com/game/live/123456789');
+  assert.ok(document.querySelector('.game-result'));
+  assert.ok(document.querySelector('.move-list-result'));
+  assert.equal(context(), 'live-game');
+});
+
+test('a running clock counts as a game in progress on any page', () => {
+  assert.equal(page('live-game.html', 'https://www.chess.com/').context(), 'live-game');
+  // even with a result in the game's move list
+  const { document, context } = page('live-game.html', 'https://www.chess.com/game/live/123456789');
+  const result = document.createElement('div');
+  result.className = 'game-result';
+  document.querySelector('wc-simple-move-list').appendChild(result);
+  assert.equal(context(), 'live-game');
+});
+
+test('a game-over panel left over from an earlier game does not end a game in progress', () => {
+  const { document, context } = page('live-game.html', 'https://www.chess.com/game/live/123456789');
+  const panel = document.createElement('div');
+  panel.className = 'game-over-modal-content';
+  document.body.appendChild(panel);
+  assert.equal(context(), 'live-game');
+});
+
+test('a board with player clocks off the known paths is a game in progress', () => {
+  // home-daily-game.html has a daily game whose clocks are not marked as running
+  const { document, context } = page('home-daily-game.html', 'https://www.chess.com/home');
+  assert.ok(!document.querySelector('.clock-player-turn, .clock-running'));
+  assert.equal(context(), 'live-game');
+  assert.equal(page('home-daily-game.html', 'https://www.chess.com/member/someone').context(), 'live-game');
+  // home.html only has a puzzle preview without clocks
+  assert.equal(page('home.html', 'https://www.chess.com/home').context(), 'other');
+});
+
+test('the game counts as finished once the clocks stop and the result is in', () => {
+  const { document, context } = page('live-game.html', 'https://www.chess.com/game/live/123456789');
+  document.querySelector('.clock-player-turn').classList.remove('clock-player-turn');
+  assert.equal(context(), 'live-game');
+  const result = document.createElement('div');
+  result.className = 'game-result';
+  result.textContent = '1-0';
+  document.querySelector('wc-simple-move-list').appendChild(result);
+  assert.equal(context(), 'finished-game');
+});
+
+test('locale prefixes are ignored', () => {
+  assert.equal(page('live-game.html', 'https://www.chess.com/de/game/live/123456789').context(), 'live-game');
+  assert.equal(page('analysis.html', 'https://www.chess.com/pt-BR/analysis').context(), 'analysis');
+});
+
+test('the URL decides for analysis, puzzle, lesson and computer pages', () => {
+  // puzzle.html has a running timer, computer.html a running clock
+  assert.equal(page('puzzle.html', 'https://www.chess.com/puzzles/rush').context(), 'puzzle');
+  assert.equal(page('computer.html', 'https://www.chess.com/play/computer').context(), 'computer');
+  assert.equal(page('live-game.html', 'https://www.chess.com/analysis').context(), 'analysis');
+});
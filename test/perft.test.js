@@ -0,0 +1,20 @@
+// Perft counts of the move generator on the positions of tools/perft.js, cut to depths
+// that keep npm test quick: 4 for the standard positions, 3 for Chess960
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EngineCore = require('../lib/engine-core.js');
+const { POSITIONS, CHESS960_POSITIONS } = require('../tools/perft.js');
+
+function checkCounts(fen, counts, maxDepth) {
+  counts.slice(0, maxDepth).forEach((expected, i) => {
+    assert.equal(EngineCore.perft(fen, i + 1), expected, `depth ${i + 1}`);
+  });
+}
+
+for (const { name, fen, counts } of POSITIONS) {
+  test(`perft: ${name}`, () => checkCounts(fen, counts, 4));
+}
+
+for (const { name, fen, counts } of CHESS960_POSITIONS) {
+  test(`perft: ${name}`, () => checkCounts(fen, counts, 3));
+}
@@ -0,0 +1,78 @@
+// PGN fixtures must come back unchanged through parsePGN -> writePGN -> parsePGN
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const EnginePGN = require('../lib/pgn.js');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'pgn', name), 'utf8');
+}
+
+function roundTrip(text) {
+  const games = EnginePGN.parsePGN(text);
+  const written = EnginePGN.writePGN(games);
+  return { games, written, again: EnginePGN.parsePGN(written) };
+}
+
+for (const name of ['annotated.pgn', 'games.pgn', 'setup.pgn']) {
+  test(`${name} survives a round trip`, () => {
+    const { games, written, again } = roundTrip(fixture(name));
+    assert.deepEqual(again, games);
+    // and writing it a second time gives the same text
+    assert.equal(EnginePGN.writePGN(again), written);
+  });
+}
+
+test('comments, NAGs and nested variations', () => {
+  const [game] = EnginePGN.parsePGN(fixture('annotated.pgn'));
+  const [e4, , , , bb5, a6] = game.moves;
+  assert.equal(e4.commentBefore, 'The Ruy Lopez, with side lines.');
+  assert.match(e4.comment, /^\[%eval 0\.30\] The most popular first/);
+  assert.deepEqual(e4.eval, { evaluation: 0.3, mate: null });
+  assert.deepEqual(bb5.nags, [1]);
+  assert.equal(game.moves[7].san, 'Nf6');
+  assert.deepEqual(game.moves[7].nags, [5]);
+
+  // 3... Nf6 {the Berlin} 4. O-O (4. d3 Bc5 (4... d6 $5 5. c3) 5. c3 $14) 4... Nxe4 ; ...
+  assert.equal(a6.variations.length, 1);
+  const berlin = a6.variations[0];
+  assert.deepEqual(berlin.map(node => node.san), ['Nf6', 'O-O', 'Nxe4', 'Re1', 'Nd6']);
+  assert.equal(berlin[0].comment, 'the Berlin');
+  assert.equal(berlin[2].comment, 'the main line goes on with 5. Re1');
+  const d3 = berlin[1].variations[0];
+  assert.deepEqual(d3.map(node => node.san), ['d3', 'Bc5', 'c3']);
+  assert.deepEqual(d3[2].nags, [14]);
+  const d6 = d3[1].variations[0];
+  assert.deepEqual(d6.map(node => `${node.moveNumber}${node.color} ${node.san}`), ['4b d6', '5w c3']);
+  assert.deepEqual(d6[0].nags, [5]);
+  assert.equal(game.result, '1/2-1/2');
+});
+
+test('several games in one file', () => {
+  const games = EnginePGN.parsePGN(fixture('games.pgn'));
+  assert.deepEqual(games.map(game => game.result), ['1-0', '0-1', '*']);
+  assert.deepEqual(games.map(game => game.tags.White), ['Player One', 'Player Two', 'Player One']);
+  assert.equal(games[0].moves[6].san, 'Qxf7#');
+  assert.deepEqual(games[0].moves[5].nags, [4]);
+  assert.equal(games[2].moves[2].comment, "Queen's Gambit");
+});
+
+test('games starting from a SetUp/FEN position', () => {
+  const [study, chess960] = EnginePGN.parsePGN(fixture('setup.pgn'));
+  assert.equal(study.startFen, '8/8/8/4k3/8/8/4P3/4K3 b - - 0 40');
+  assert.equal(`${study.moves[0].moveNumber}${study.moves[0].color} ${study.moves[0].san}`, '40b Ke4');
+  assert.equal(study.moves[3].variations[0][1].variations[0][0].san, 'Ke4');
+
+  // castling is written as O-O and read with the Chess960 rules from the Variant tag
+  assert.deepEqual(chess960.moves.map(node => node.uci), ['e2e4', 'e7e5', 'f1g1', 'f8g8', 'f2f4', 'e5f4']);
+  assert.equal(chess960.moves[3].fen.split(' ')[2], '-');
+});
+
+test('writing fills in the seven tag roster and SetUp for a non-standard start', () => {
+  const game = { tags: {}, startFen: '8/8/8/4k3/8/8/4P3/4K3 b - - 0 40', moves: [], result: '*' };
+  const [again] = EnginePGN.parsePGN(EnginePGN.writePGN(game));
+  assert.equal(again.tags.Event, '?');
+  assert.equal(again.tags.SetUp, '1');
+  assert.equal(again.startFen, game.startFen);
+});
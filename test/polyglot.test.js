@@ -0,0 +1,89 @@
+// Polyglot keys against the reference values in the format's specification, the same
+// keys for Chess960 castling fields, and books written with writeBook read back
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnginePolyglot = require('../lib/polyglot.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// http://hgm.nubati.net/book_format.html
+const REFERENCE_KEYS = [
+  ['start position', START_FEN, '463b96181691fc9c'],
+  ['e4', 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1', '823c9b50fd114196'],
+  ['e4 d5', 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2', '0756b94461c50fb0'],
+  ['e4 d5 e5', 'rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2', '662fafb965db29d4'],
+  ['e4 d5 e5 f5', 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3', '22a48b5a8e47ff78'],
+  ['e4 d5 e5 f5 Ke2', 'rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b kq - 0 3', '652a607ca3f242c1'],
+  ['e4 d5 e5 f5 Ke2 Kf7', 'rnbq1bnr/ppp1pkpp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR w - - 0 4', '00fdd303c946bdd9'],
+  ['a4 b5 h4 b4 c4', 'rnbqkbnr/p1pppppp/8/8/PpP4P/8/1P1PPPP1/RNBQKBNR b KQkq c3 0 3', '3c8123ea7b067637'],
+  ['a4 b5 h4 b4 c4 bxc3 Ra3', 'rnbqkbnr/p1pppppp/8/8/P6P/R1p5/1P1PPPP1/1NBQKBNR b Kkq - 0 4', '5c3f9b829b279560']
+];
+
+function withBookFile(bytes, callback) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'polyglot-'));
+  const file = path.join(dir, 'book.bin');
+  try {
+    fs.writeFileSync(file, bytes);
+    return callback(EnginePolyglot.loadBook(file));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+for (const [name, fen, key] of REFERENCE_KEYS) {
+  test(`polyglotKey: ${name}`, () => {
+    assert.equal(EnginePolyglot.polyglotKey(fen), key);
+  });
+}
+
+test('polyglotKey: Chess960 castling fields set the same castling bits', () => {
+  // Chess960 position 518 is the standard start position
+  assert.equal(EnginePolyglot.polyglotKey('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w HAha - 0 1'), '463b96181691fc9c');
+  assert.equal(EnginePolyglot.polyglotKey('rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b ha - 0 3'), '652a607ca3f242c1');
+  // every right counts, wherever the rooks start
+  const fens = ['-', 'B', 'G', 'b', 'g', 'BGbg'].map(castling => `1rkbbnrq/pppppppp/8/8/8/8/PPPPPPPP/1RKBBNRQ w ${castling} - 0 1`);
+  const keys = new Set(fens.map(fen => EnginePolyglot.polyglotKey(fen)));
+  assert.equal(keys.size, fens.length);
+});
+
+test('writeBook and loadBook round trip', () => {
+  const e4 = REFERENCE_KEYS[1][1];
+  const castles = 'r3k2r/pppq1ppp/2npbn2/2b1p3/2B1P3/2NPBN2/PPPQ1PPP/R3K2R w KQkq - 2 8';
+  const bytes = EnginePolyglot.writeBook([
+    { fen: START_FEN, move: 'e2e4', weight: 3 },
+    { fen: START_FEN, move: 'd2d4', weight: 1, learn: 7 },
+    { fen: e4, move: 'c7c5', weight: 2 },
+    { fen: castles, move: 'e1g1', weight: 2 },
+    { fen: castles, move: 'e1c1', weight: 1 }
+  ]);
+  assert.equal(bytes.length, 5 * 16);
+  withBookFile(bytes, book => {
+    assert.equal(book.size, 5);
+    assert.deepEqual(book.lookup(START_FEN).map(m => [m.move, m.san, m.weight, m.learn, m.probability]), [
+      ['e2e4', 'e4', 3, 0, 0.75],
+      ['d2d4', 'd4', 1, 7, 0.25]
+    ]);
+    assert.deepEqual(book.lookup(e4).map(m => m.san), ['c5']);
+    // castling is stored as king takes rook and read back as the king's move
+    assert.deepEqual(book.lookup(castles).map(m => [m.move, m.san]), [['e1g1', 'O-O'], ['e1c1', 'O-O-O']]);
+    assert.deepEqual(book.lookup('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1'), []);
+  });
+});
+
+test('writeBook and loadBook round trip a Chess960 book', () => {
+  const fen = '1rkbbnrq/pppppppp/8/8/8/8/PPPPPPPP/1RKBBNRQ w BGbg - 0 1';
+  const castles = '1rk3rq/pppppppp/8/8/8/8/PPPPPPPP/1RK3RQ w BGbg - 0 1';
+  const bytes = EnginePolyglot.writeBook([
+    { fen, move: 'f1e3', weight: 1 },
+    { fen: castles, move: 'c1b1', weight: 2 },
+    { fen: castles, move: 'c1g1', weight: 1 }
+  ]);
+  withBookFile(bytes, book => {
+    assert.deepEqual(book.lookup(fen).map(m => m.move), ['f1e3']);
+    // Chess960 castling stays king takes rook
+    assert.deepEqual(book.lookup(castles).map(m => [m.move, m.san]), [['c1b1', 'O-O-O'], ['c1g1', 'O-O']]);
+  });
+});
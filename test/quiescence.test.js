@@ -0,0 +1,44 @@
+// The shallow search must see the recapture after a capture instead of counting only
+// the piece taken (the horizon effect quiesce() is there to stop)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EngineCore = require('../lib/engine-core.js');
+
+function search(fen, depth, searchMoves) {
+  return EngineCore.analyzePosition(fen, { depth, searchMoves });
+}
+
+test('a queen does not take a pawn defended by a pawn', () => {
+  const fen = 'r3k3/pp3ppp/4p3/3p4/8/8/PP3PPP/3QK2R w K - 0 1';
+  for (const depth of [1, 2]) {
+    const result = search(fen, depth);
+    assert.notEqual(result.bestMove, 'd1d5', `depth ${depth}`);
+    assert.ok(result.evaluation > 5, `depth ${depth}: ${result.evaluation}`);
+  }
+  // searched on its own, Qxd5 is scored after exd5
+  assert.ok(search(fen, 1, ['d1d5']).evaluation < 0);
+});
+
+test('a rook does not take a knight defended by a pawn', () => {
+  const fen = 'r3k3/pp3ppp/4p3/3n4/8/8/PP3PPP/3RK2R w K - 0 1';
+  for (const depth of [1, 2]) {
+    const result = search(fen, depth);
+    assert.notEqual(result.bestMove, 'd1d5', `depth ${depth}`);
+    assert.ok(result.evaluation > 0, `depth ${depth}: ${result.evaluation}`);
+  }
+  assert.ok(search(fen, 1, ['d1d5']).evaluation < 0);
+});
+
+test('a capture that wins material after the recapture is still taken', () => {
+  // Nxd5 exd5 Rxd5 leaves white a pawn up
+  const fen = 'r3k3/pp3ppp/4p3/3n4/8/2N5/PP3PPP/3RK2R w K - 0 1';
+  for (const depth of [1, 2]) {
+    const result = search(fen, depth);
+    assert.equal(result.bestMove, 'c3d5', `depth ${depth}`);
+  }
+});
+
+test('a hanging piece is taken', () => {
+  const result = search('r3k3/pp3ppp/8/3n4/8/8/PP3PPP/3RK2R w K - 0 1', 1);
+  assert.equal(result.bestMove, 'd1d5');
+});
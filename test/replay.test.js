@@ -0,0 +1,165 @@
+// Move list replay: replayMoves, figurine SAN from chess.com move lists, the start
+// position of custom-setup and Chess960 games, and how readPosition matches the board
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPTS = ['lib/kpk.js', 'lib/engine-core.js', 'board-adapters.js'].map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+function load(html = '<!DOCTYPE html><body></body>', url = 'https://www.chess.com/game/live/1') {
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+  for (const script of SCRIPTS) dom.window.eval(script);
+  return { document: dom.window.document, Boards: dom.window.ChessAssistantBoards };
+}
+
+const { Boards } = load();
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// An adapter that shows a fixed board and move list
+function fakeAdapter({ placement, moves = [], fen = null, startFen = null }) {
+  return {
+    readPieces: () => Boards.gridFromPlacement(placement),
+    readOrientation: () => 'white',
+    readMoveList: () => moves,
+    readSideToMove: () => 'w',
+    readFen: () => fen,
+    readStartFen: () => startFen
+  };
+}
+
+function readPosition(adapter) {
+  return plain(Boards.readPosition(adapter, {}, {}));
+}
+
+test('replayMoves gives the FEN before and after every move', () => {
+  const replay = plain(Boards.replayMoves(['e4', 'c5', 'Nf3', 'd6', 'd4', 'cxd4']));
+  assert.equal(replay.error, null);
+  assert.equal(replay.fens.length, 7);
+  assert.equal(replay.fens[0], START_FEN);
+  assert.equal(replay.fens[1], 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+  assert.equal(replay.fens[6], 'rnbqkbnr/pp2pppp/3p4/8/3pP3/5N2/PPP2PPP/RNBQKB1R w KQkq - 0 4');
+  assert.deepEqual(replay.moves[5], { san: 'cxd4', uci: 'c5d4' });
+});
+
+test('replayMoves skips move numbers and results', () => {
+  const replay = plain(Boards.replayMoves(['1.', 'f3', 'e5', '2.', 'g4', 'Qh4#', '0-1']));
+  assert.equal(replay.error, null);
+  assert.deepEqual(replay.moves.map(move => move.san), ['f3', 'e5', 'g4', 'Qh4#']);
+  assert.equal(Boards.replayMoves(['e4', 'e5', '½-½']).moves.length, 2);
+});
+
+test('replayMoves stops at a move it cannot play', () => {
+  const replay = plain(Boards.replayMoves(['e4', 'e5', 'Nf6']));
+  assert.equal(replay.fens.length, 3);
+  assert.equal(replay.moves.length, 2);
+  assert.equal(replay.error, `move 3, Nf6, is not legal in ${replay.fens[2]}`);
+});
+
+test('replayMoves from a Chess960 start in Shredder-FEN', () => {
+  const replay = plain(Boards.replayMoves(['e4', 'e5', 'O-O', 'O-O'], 'bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w GEge - 0 1'));
+  assert.equal(replay.error, null);
+  assert.deepEqual(replay.moves.map(move => move.uci), ['e2e4', 'e7e5', 'f1g1', 'f8g8']);
+  assert.equal(replay.fens[4], 'bqnbrrkn/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/BQNBRRKN w - - 2 3');
+});
+
+test('figurine icons in the chess.com move list read as SAN', () => {
+  const figurine = (letter, rest) => `<span class="icon-font-chess" data-figurine="${letter}"></span>${rest}`;
+  const moves = [
+    'e4', 'd5', 'exd5', figurine('Q', 'xd5'), figurine('N', 'c3'), figurine('Q', 'e5+'),
+    figurine('B', 'e2'), 'c6', 'd4', figurine('Q', 'xd4'), figurine('Q', 'xd4'), figurine('N', 'f6')
+  ];
+  const html = `<!DOCTYPE html><body><wc-simple-move-list>${moves.map(move =>
+    `<div class="node"><span class="node-highlight-content"> ${move} </span></div>`).join('')}</wc-simple-move-list></body>`;
+  const page = load(html);
+  const read = plain(page.Boards.chessComAdapter.readMoveList(page.document));
+  assert.deepEqual(read, ['e4', 'd5', 'exd5', 'Qxd5', 'Nc3', 'Qe5+', 'Be2', 'c6', 'd4', 'Qxd4', 'Qxd4', 'Nf6']);
+  assert.equal(page.Boards.replayMoves(read).error, null);
+});
+
+test('a promotion icon goes after the "="', () => {
+  const page = load(`<!DOCTYPE html><body><div class="vertical-move-list">
+    <span class="move-text-component">e8=<span data-figurine="N"></span></span>
+    <span class="move-text-component">dxc1=<span data-figurine="Q"></span>#</span>
+  </div></body>`);
+  assert.deepEqual(plain(page.Boards.chessComAdapter.readMoveList(page.document)), ['e8=N', 'dxc1=Q#']);
+});
+
+test('the board is matched to the latest position in the game that has its pieces', () => {
+  const moves = ['Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'd5'];
+  const afterNf3 = Boards.replayMoves(['Nf3']).fens[1].split(' ')[0];
+  // the board shows the position after the second Nf3: stepped back one move
+  const position = readPosition(fakeAdapter({ placement: afterNf3, moves }));
+  assert.equal(position.source, 'moves');
+  assert.equal(position.fen, 'rnbqkbnr/pppppppp/8/8/8/5N2/PPPPPPPP/RNBQKB1R b KQkq - 5 3');
+  assert.equal(position.history.length, 5);
+  assert.equal(position.history[1], position.fen.replace('- 5 3', '- 1 1'));
+  assert.deepEqual(position.moves.map(move => move.san), moves.slice(0, 5));
+  assert.equal(position.mismatch, null);
+});
+
+test('a board that matches no position in the game falls back to the pieces', () => {
+  const placement = 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR';
+  const position = readPosition(fakeAdapter({ placement, moves: ['e4', 'd5'] }));
+  assert.equal(position.source, 'pieces');
+  assert.equal(position.fen, `${placement} w KQkq - 0 2`);
+  assert.equal(position.mismatch, 'the board does not match the move list: d5 has nothing on the board, p after the moves; '
+    + 'e5 has p on the board, nothing after the moves; d7 has p on the board, nothing after the moves and 1 more');
+  assert.deepEqual(position.history, []);
+});
+
+test('a move list that cannot be replayed falls back to the page FEN', () => {
+  const fen = 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2';
+  const position = readPosition(fakeAdapter({ placement: fen.split(' ')[0], moves: ['e4', 'e5', 'Ke3'], fen }));
+  assert.equal(position.source, 'page');
+  assert.equal(position.fen, fen);
+  assert.match(position.mismatch, /^the move list cannot be replayed: move 3, Ke3, is not legal in /);
+});
+
+test('games from a set-up position replay from readStartFen', () => {
+  const startFen = '4k3/8/8/8/8/8/4P3/4K3 w - - 0 40';
+  const moves = ['e4', 'Kd7', 'e5'];
+  const placement = Boards.replayMoves(moves, startFen).fens[3].split(' ')[0];
+  // without the start position the moves cannot be played
+  assert.equal(readPosition(fakeAdapter({ placement, moves })).source, 'pieces');
+  const position = readPosition(fakeAdapter({ placement, moves, startFen }));
+  assert.equal(position.source, 'moves');
+  assert.equal(position.fen, '8/3k4/8/4P3/8/8/8/4K3 b - - 0 41');
+});
+
+test('chess.com: the start position comes from the PGN or the ?fen= of the page', () => {
+  const setup = '[Event "Custom"]\n[SetUp "1"]\n[FEN "4k3/8/8/8/8/8/4P3/4K3 w - - 0 40"]\n\n40. e4 *';
+  let page = load(`<!DOCTYPE html><body><textarea class="share-menu-tab-pgn-textarea">${setup}</textarea></body>`);
+  assert.equal(page.Boards.chessComAdapter.readStartFen(page.document), '4k3/8/8/8/8/8/4P3/4K3 w - - 0 40');
+
+  page = load('<!DOCTYPE html><body></body>', 'https://www.chess.com/analysis?fen=4k3/8/8/8/8/8/4P3/4K3%20w%20-%20-%200%201');
+  assert.equal(page.Boards.chessComAdapter.readStartFen(page.document), '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+
+  page = load('<!DOCTYPE html><body><textarea name="pgn">[Event "Live"]\n\n1. e4 *</textarea></body>');
+  assert.equal(page.Boards.chessComAdapter.readStartFen(page.document), null);
+});
+
+test('chess.com: a Chess960 game replays with Chess960 castling', () => {
+  const pgn = '[Variant "Chess960"]\n[SetUp "1"]\n[FEN "bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w KQkq - 0 1"]';
+  const moves = ['1.', 'e4', 'e5', '2.', 'O-O', 'O-O'].map(move => `<span class="move-text-component">${move}</span>`).join('');
+  const pieces = { a8: 'bb', b8: 'bq', c8: 'bn', d8: 'bb', e8: 'br', f8: 'br', g8: 'bk', h8: 'bn',
+    a1: 'wb', b1: 'wq', c1: 'wn', d1: 'wb', e1: 'wr', f1: 'wr', g1: 'wk', h1: 'wn', e4: 'wp', e5: 'bp' };
+  for (const file of 'abcdfgh') {
+    pieces[`${file}2`] = 'wp';
+    pieces[`${file}7`] = 'bp';
+  }
+  const board = Object.entries(pieces).map(([square, piece]) => `<div class="piece" data-piece="${piece}" data-square="${square}"></div>`).join('');
+  const page = load(`<!DOCTYPE html><body><chess-board class="board">${board}</chess-board>
+    <div class="vertical-move-list">${moves}</div><div data-pgn='${pgn}'></div></body>`,
+  'https://www.chess.com/variants/chess960/game/1');
+  const { adapter, board: element } = page.Boards.findBoard(page.document);
+  assert.equal(adapter.readStartFen(page.document), 'bqnbrkrn/pppppppp/8/8/8/8/PPPPPPPP/BQNBRKRN w GEge - 0 1');
+  const position = plain(page.Boards.readPosition(adapter, element));
+  assert.equal(position.mismatch, null);
+  assert.equal(position.source, 'moves');
+  assert.equal(position.fen, 'bqnbrrkn/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/BQNBRRKN w - - 2 3');
+  assert.deepEqual(position.moves.map(move => move.uci), ['e2e4', 'e7e5', 'f1g1', 'f8g8']);
+});
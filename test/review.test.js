@@ -0,0 +1,53 @@
+// Move classification with the default thresholds and with the blunder threshold the
+// settings pass in
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const EngineReview = require('../lib/review.js');
+
+const score = evaluation => ({ evaluation, mate: null });
+
+function loadSettings() {
+  const context = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'settings.js'), 'utf8'), context);
+  return context.ChessAssistantSettings;
+}
+
+test('default thresholds', () => {
+  assert.equal(EngineReview.classifyMove(score(0.5), score(0.5), true).classification, 'best');
+  assert.equal(EngineReview.classifyMove(score(0.5), score(0.3), true).classification, 'good');
+  assert.equal(EngineReview.classifyMove(score(0.5), score(-1), true).classification, 'inaccuracy');
+  assert.equal(EngineReview.classifyMove(score(0.5), score(-2.5), true).classification, 'mistake');
+  assert.equal(EngineReview.classifyMove(score(0.5), score(-5), true).classification, 'blunder');
+  // from black's side
+  assert.equal(EngineReview.classifyMove(score(-0.5), score(5), false).classification, 'blunder');
+});
+
+test('a changed blunder threshold changes the classification', () => {
+  const best = score(0.5);
+  const played = score(-1);
+  assert.equal(EngineReview.classifyMove(best, played, true).classification, 'inaccuracy');
+  assert.equal(EngineReview.classifyMove(best, played, true, false, { blunder: 0.1 }).classification, 'blunder');
+  assert.equal(EngineReview.classifyMove(score(-0.5), score(1), false, false, { blunder: 0.1 }).classification, 'blunder');
+  // a higher one turns a blunder into a mistake
+  assert.equal(EngineReview.classifyMove(best, score(-5), true, false, { blunder: 0.6 }).classification, 'mistake');
+  // the move is still the best one whatever the threshold
+  assert.equal(EngineReview.classifyMove(best, best, true, true, { blunder: 0.05 }).classification, 'best');
+});
+
+test('the blunderThreshold setting matches the default and is clamped', () => {
+  const Settings = loadSettings();
+  const threshold = Settings.DEFAULT_SETTINGS.blunderThreshold;
+  const best = score(0.5);
+  for (const played of [score(-1), score(-2.5), score(-5)]) {
+    assert.equal(
+      EngineReview.classifyMove(best, played, true, false, { blunder: threshold / 100 }).classification,
+      EngineReview.classifyMove(best, played, true).classification
+    );
+  }
+  assert.equal(Settings.normaliseSettings({ blunderThreshold: 0 }).blunderThreshold, 5);
+  assert.equal(Settings.normaliseSettings({ blunderThreshold: '15' }).blunderThreshold, 15);
+  assert.equal(Settings.normaliseSettings({ blunderThreshold: 'x' }).blunderThreshold, threshold);
+});
@@ -0,0 +1,167 @@
+// UCI sessions: scripted through UciEngine, and against bin/uci.js over stdin/stdout
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { UciEngine } = require('../lib/uci.js');
+
+function session(options = {}) {
+  const output = [];
+  const engine = new UciEngine({ ...options, write: line => output.push(line) });
+  return { engine, output };
+}
+
+// A searcher that finishes only when told to, like a real search under "go infinite"
+function controlledSearcher() {
+  let finish = null;
+  return {
+    setHash() {},
+    clear() {},
+    search(request) {
+      this.request = request;
+      return new Promise(resolve => {
+        finish = () => resolve({ bestMove: 'g1f3', pv: ['g1f3', 'g8f6'] });
+      });
+    },
+    stop() {
+      if (finish) finish();
+    }
+  };
+}
+
+test('uci and isready', () => {
+  const { engine, output } = session();
+  engine.handle('uci');
+  assert.deepEqual(output.slice(0, 2), ['id name nomore', 'id author nomore contributors']);
+  assert.ok(output.includes('option name MultiPV type spin default 1 min 1 max 32'));
+  assert.equal(output[output.length - 1], 'uciok');
+  engine.handle('isready');
+  assert.equal(output[output.length - 1], 'readyok');
+});
+
+test('position and go', async () => {
+  const { engine, output } = session();
+  engine.handle('ucinewgame');
+  engine.handle('position startpos moves e2e4 e7e5 g1f3');
+  await engine.handle('go depth 3');
+  const infos = output.filter(line => line.startsWith('info depth'));
+  assert.deepEqual(infos.map(line => line.split(' ')[2]), ['1', '2', '3']);
+  assert.match(infos[2], / multipv 1 score cp -?\d+ nodes \d+ nps \d+ time \d+ hashfull \d+ pv /);
+  // black to move: the best move is one of black's
+  assert.match(output[output.length - 1], /^bestmove [a-h][78][a-h][1-8]/);
+});
+
+test('MultiPV reports one line per move', async () => {
+  const { engine, output } = session();
+  engine.handle('setoption name MultiPV value 3');
+  engine.handle('position fen 4k3/8/8/8/8/8/8/R3K3 w Q - 0 1');
+  await engine.handle('go depth 2');
+  const last = output.filter(line => line.startsWith('info depth 2'));
+  assert.deepEqual(last.map(line => line.split(' ')[4]), ['1', '2', '3']);
+});
+
+test('an illegal move clears the position', async () => {
+  const searcher = controlledSearcher();
+  const { engine, output } = session({ searcher });
+  engine.handle('position startpos moves e2e4');
+  engine.handle('position startpos moves e2e4 e7e4');
+  assert.equal(output[output.length - 1], 'info string illegal move e7e4');
+  await engine.handle('go depth 3');
+  assert.deepEqual(output.slice(-2), ['info string no valid position', 'bestmove 0000']);
+  assert.equal(searcher.request, undefined);
+
+  // a good position command afterwards is searched as usual
+  engine.handle('position startpos moves e2e4');
+  const searching = engine.handle('go depth 3');
+  assert.deepEqual(searcher.request.moves, ['e2e4']);
+  engine.handle('stop');
+  await searching;
+});
+
+test('an invalid FEN clears the position', async () => {
+  const { engine, output } = session();
+  engine.handle('position fen 8/8/8/8/8/8/8/8 w - - 0 1');
+  assert.match(output[output.length - 1], /^info string invalid fen: /);
+  await engine.handle('go depth 1');
+  assert.equal(output[output.length - 1], 'bestmove 0000');
+});
+
+test('go infinite waits for stop', async () => {
+  const searcher = controlledSearcher();
+  const { engine, output } = session({ searcher });
+  engine.handle('position startpos');
+  const searching = engine.handle('go infinite');
+  engine.handle('isready');
+  assert.equal(output[output.length - 1], 'readyok');
+  engine.handle('stop');
+  await searching;
+  assert.equal(output[output.length - 1], 'bestmove g1f3 ponder g8f6');
+});
+
+test('a failed search still answers bestmove', async () => {
+  const searcher = {
+    setHash() {},
+    clear() {},
+    search: () => Promise.reject(new Error('out of memory')),
+    stop() {}
+  };
+  const { engine, output } = session({ searcher });
+  engine.handle('position startpos');
+  await engine.handle('go depth 5');
+  assert.deepEqual(output.slice(-2), ['info string search failed: out of memory', 'bestmove 0000']);
+  assert.equal(engine.searching, null);
+});
+
+test('bin/uci.js answers a GUI session', { timeout: 30000 }, async () => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'uci.js')], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const lines = readline.createInterface({ input: child.stdout });
+  const waiters = [];
+  const seen = [];
+  lines.on('line', line => {
+    seen.push(line);
+    for (const waiter of waiters.slice()) {
+      if (waiter.pattern.test(line)) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(line);
+      }
+    }
+  });
+  const send = line => child.stdin.write(`${line}\n`);
+  const expect = pattern => new Promise(resolve => waiters.push({ pattern, resolve }));
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  try {
+    send('uci');
+    await expect(/^uciok$/);
+    send('isready');
+    await expect(/^readyok$/);
+    send('position startpos moves e2e4 e7e5');
+    let bestMove = expect(/^bestmove /);
+    send('go depth 3');
+    assert.match(await bestMove, /^bestmove [a-h][1-8][a-h][1-8]/);
+
+    // the search runs in a worker, so isready and stop are answered while it thinks
+    send('position startpos moves d2d4');
+    const info = expect(/^info depth 2 /);
+    bestMove = expect(/^bestmove /);
+    send('go infinite');
+    await info;
+    send('isready');
+    await expect(/^readyok$/);
+    send('stop');
+    assert.match(await bestMove, /^bestmove [a-h][5-8][a-h][1-8]/);
+
+    send('position startpos moves e2e5');
+    await expect(/^info string illegal move e2e5$/);
+    bestMove = expect(/^bestmove /);
+    send('go depth 3');
+    assert.equal(await bestMove, 'bestmove 0000');
+
+    send('quit');
+    assert.equal(await exited, 0);
+  } finally {
+    child.kill();
+  }
+  assert.equal(seen.filter(line => line.startsWith('bestmove')).length, 3);
+});
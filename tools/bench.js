@@ -0,0 +1,27 @@
+// Fixed-depth search benchmark. Node counts are deterministic, so comparing the total
+// before and after a change to search() or move ordering shows its effect on tree size.
+//   node tools/bench.js [depth]
+const EngineCore = require('../lib/engine-core.js');
+
+const POSITIONS = [
+  'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+  'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3',
+  'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+  'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+  'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 8',
+  '2r3k1/pp3ppp/4p3/3pP3/3P4/P4N2/1P3PPP/2R3K1 w - - 0 25',
+  '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+  '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1'
+];
+
+const depth = parseInt(process.argv[2] || '5', 10);
+let totalNodes = 0;
+let totalTime = 0;
+for (const fen of POSITIONS) {
+  const result = EngineCore.analyzePosition(fen, { depth });
+  totalNodes += result.nodes;
+  totalTime += result.time;
+  console.log(`${String(result.nodes).padStart(10)} nodes ${String(result.time).padStart(6)}ms  ${result.bestMove}  ${fen}`);
+}
+const nps = totalTime > 0 ? Math.round((totalNodes * 1000) / totalTime) : 0;
+console.log(`\nDepth ${depth}: ${totalNodes} nodes in ${totalTime}ms (${nps} nps)`);
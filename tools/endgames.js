@@ -0,0 +1,102 @@
+// Checks that the engine converts basic won endgames: plays both sides from random start
+// positions (the same ones every run) and reports how many end in mate within the limit.
+//   node tools/endgames.js [games per ending] [depth]
+const EngineCore = require('../lib/engine-core.js');
+const EngineKPK = require('../lib/kpk.js');
+
+const ENDINGS = [
+  { name: 'KQK', pieces: 'KQk', plies: 60 },
+  { name: 'KRK', pieces: 'KRk', plies: 100 },
+  { name: 'KBNK', pieces: 'KBNk', plies: 140 },
+  { name: 'KPK', pieces: 'KPk', plies: 140, accept: kpkWon }
+];
+
+const games = parseInt(process.argv[2] || '10', 10);
+const depth = parseInt(process.argv[3] || '6', 10);
+
+// xorshift32, so the start positions do not change between runs
+let seed = 0x2545f491;
+function random(n) {
+  seed ^= seed << 13;
+  seed ^= seed >>> 17;
+  seed ^= seed << 5;
+  return (seed >>> 0) % n;
+}
+
+function placementFen(board) {
+  const ranks = [];
+  for (let rank = 7; rank >= 0; rank--) {
+    let text = '';
+    let empty = 0;
+    for (let file = 0; file < 8; file++) {
+      const piece = board[rank * 8 + file];
+      if (!piece) {
+        empty++;
+        continue;
+      }
+      if (empty) text += empty;
+      empty = 0;
+      text += piece;
+    }
+    ranks.push(text + (empty || ''));
+  }
+  return ranks.join('/');
+}
+
+// only KPK positions the bitbase calls won are worth playing out
+function kpkWon(board) {
+  return EngineKPK.probe(board.indexOf('K'), board.indexOf('P'), board.indexOf('k'), true);
+}
+
+// White (the strong side) to move, legal, not already over
+function randomPosition(ending) {
+  for (;;) {
+    const board = new Array(64).fill('');
+    for (const piece of ending.pieces) {
+      let sq;
+      do {
+        sq = random(64);
+      } while (board[sq] || (piece === 'P' && (sq < 8 || sq >= 56)));
+      board[sq] = piece;
+    }
+    const fen = `${placementFen(board)} w - - 0 1`;
+    if (!EngineCore.validateFEN(fen).valid) continue;
+    const state = EngineCore.fenToState(fen);
+    if (EngineCore.drawReason(state) || !EngineCore.generateMoves(state).length) continue;
+    if (ending.accept && !ending.accept(board)) continue;
+    return fen;
+  }
+}
+
+// Returns the number of plies to mate, or null if the game ended any other way
+function playOut(fen, plies) {
+  const tt = EngineCore.createTranspositionTable(16);
+  const moves = [];
+  for (let ply = 0; ply < plies; ply++) {
+    const result = EngineCore.analyzePosition(fen, { depth, moves, tt });
+    if (!result.bestMove) return result.mate === 0 ? ply : null;
+    if (result.draw) return null;
+    moves.push(result.bestMove);
+  }
+  return null;
+}
+
+let failures = 0;
+for (const ending of ENDINGS) {
+  let converted = 0;
+  let totalPlies = 0;
+  for (let i = 0; i < games; i++) {
+    const fen = randomPosition(ending);
+    const plies = playOut(fen, ending.plies);
+    if (plies === null) {
+      failures++;
+      console.log(`FAIL ${ending.name} ${fen}`);
+    } else {
+      converted++;
+      totalPlies += plies;
+    }
+  }
+  const average = converted ? ` in ${(totalPlies / converted / 2).toFixed(1)} moves on average` : '';
+  console.log(`${ending.name}: ${converted}/${games} mated${average}`);
+}
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,115 @@
+// Runs an EPD test suite (WAC, ECM, STS and the like) through analyzePosition and reports
+// which positions the engine solves, for measuring changes to search() and evaluate().
+//   node tools/epd.js <suite.epd> [--depth n | --movetime ms | --nodes n] [--json out.json]
+//                     [--compare earlier.json]
+// The limit applies to every position; the default is --depth 6. A position is solved
+// when the best move is one of its bm moves and none of its am moves and, with dm, the
+// side to move is found mating in at most that many moves (see EngineEPD.checkSolution).
+// The JSON has one line per position in suite order and no timings, so runs at a fixed
+// depth can be diffed as text; --compare lists the positions whose outcome changed.
+const fs = require('fs');
+const path = require('path');
+const EngineCore = require('../lib/engine-core.js');
+const EngineEPD = require('../lib/epd.js');
+
+function parseArgs(argv) {
+  const args = { files: [], limits: {}, json: null, compare: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--depth') args.limits.depth = parseInt(argv[++i], 10);
+    else if (arg === '--movetime') args.limits.movetime = parseInt(argv[++i], 10);
+    else if (arg === '--nodes') args.limits.nodes = parseInt(argv[++i], 10);
+    else if (arg === '--json') args.json = argv[++i];
+    else if (arg === '--compare') args.compare = argv[++i];
+    else args.files.push(arg);
+  }
+  if (!args.limits.depth && !args.limits.movetime && !args.limits.nodes) args.limits.depth = 6;
+  return args;
+}
+
+function runPosition(record, limits, index) {
+  const entry = {
+    id: record.id || `#${index + 1}`,
+    fen: record.fen,
+    bm: record.bm,
+    am: record.am,
+    dm: record.dm
+  };
+  try {
+    const result = EngineCore.analyzePosition(record.fen, { ...limits, strict: true });
+    const { solved, error } = EngineEPD.checkSolution(record, result);
+    return {
+      entry: {
+        ...entry,
+        move: result.bestMoveSan,
+        score: result.evaluation,
+        mate: result.mate,
+        depth: result.depth,
+        nodes: result.nodes,
+        solved,
+        ...(error ? { error } : {})
+      },
+      time: result.time
+    };
+  } catch (err) {
+    return { entry: { ...entry, error: err.message, solved: false }, time: 0 };
+  }
+}
+
+// Summary fields indented as usual, then one position per line for line-based diffs
+function formatReport(report) {
+  const { positions, ...summary } = report;
+  const head = JSON.stringify(summary, null, 2).slice(0, -2);
+  return `${head},\n  "positions": [\n${positions.map(p => `    ${JSON.stringify(p)}`).join(',\n')}\n  ]\n}\n`;
+}
+
+function compareReports(earlier, report) {
+  const before = new Map(earlier.positions.map(p => [`${p.id} ${p.fen}`, p]));
+  let changes = 0;
+  for (const position of report.positions) {
+    const old = before.get(`${position.id} ${position.fen}`);
+    if (!old || old.solved === position.solved) continue;
+    changes++;
+    const was = old.move ? ` (was ${old.move})` : '';
+    console.log(`${position.solved ? 'now solved' : 'now failed'} ${position.id}: ${position.move || position.error}${was}`);
+  }
+  console.log(`${changes} position(s) changed, solved ${report.solved}/${report.total} against ${earlier.solved}/${earlier.total}`);
+}
+
+function run(args) {
+  const [input] = args.files;
+  const records = EngineEPD.parseEPD(fs.readFileSync(input, 'utf8'));
+  const positions = [];
+  let totalNodes = 0;
+  let totalTime = 0;
+  records.forEach((record, index) => {
+    const { entry, time } = runPosition(record, args.limits, index);
+    positions.push(entry);
+    totalNodes += entry.nodes || 0;
+    totalTime += time;
+    const expected = [
+      entry.bm.length ? `bm ${entry.bm.join(' ')}` : '',
+      entry.am.length ? `am ${entry.am.join(' ')}` : '',
+      entry.dm !== null ? `dm ${entry.dm}` : ''
+    ].filter(Boolean).join(', ');
+    const found = entry.error || `${entry.move}${entry.mate ? ` mate ${entry.mate}` : ''}, depth ${entry.depth}, ${entry.nodes} nodes ${time}ms`;
+    console.log(`${entry.solved ? 'ok  ' : 'FAIL'} ${entry.id}: ${found} (${expected})`);
+  });
+  const solved = positions.filter(p => p.solved).length;
+  const report = { suite: path.basename(input), limits: args.limits, solved, total: positions.length, nodes: totalNodes, positions };
+  const nps = totalTime > 0 ? Math.round((totalNodes * 1000) / totalTime) : 0;
+  console.log(`\nsolved ${solved}/${positions.length}, ${totalNodes} nodes in ${totalTime}ms (${nps} nps)`);
+  if (args.json) {
+    fs.writeFileSync(args.json, formatReport(report));
+    console.log(`wrote ${args.json}`);
+  }
+  if (args.compare) compareReports(JSON.parse(fs.readFileSync(args.compare, 'utf8')), report);
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.files.length) {
+  console.log('usage: node tools/epd.js <suite.epd> [--depth n | --movetime ms | --nodes n] [--json out.json] [--compare earlier.json]');
+  process.exitCode = 1;
+} else {
+  run(args);
+}
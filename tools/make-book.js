@@ -0,0 +1,38 @@
+// Builds the bundled Polyglot book from a text file of opening lines.
+//   node tools/make-book.js [lines file] [output .bin]
+// Defaults to books/openings.txt and books/openings.bin. Each position on a line gets the
+// line's next move; a move's weight is the number of lines that play it there, so main
+// lines shared by several entries come out heavier.
+const fs = require('fs');
+const path = require('path');
+const EngineCore = require('../lib/engine-core.js');
+const { writeBook } = require('../lib/polyglot.js');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const input = process.argv[2] || path.join(__dirname, '..', 'books', 'openings.txt');
+const output = process.argv[3] || path.join(__dirname, '..', 'books', 'openings.bin');
+
+// "position|move" -> entry, keyed without the move counters so transpositions merge
+const entries = new Map();
+let lineCount = 0;
+fs.readFileSync(input, 'utf8').split('\n').forEach((text, i) => {
+  const sans = text.replace(/#.*/, '').trim().split(/\s+/).filter(Boolean);
+  if (!sans.length) return;
+  lineCount++;
+  const state = EngineCore.fenToState(START_FEN);
+  for (const san of sans) {
+    const move = EngineCore.parseMove(state, san);
+    if (!move) throw new Error(`${input}:${i + 1}: illegal move ${san} in ${EngineCore.generateFEN(state)}`);
+    const fen = EngineCore.generateFEN(state);
+    const uci = EngineCore.toUCI(move);
+    const id = fen.split(' ').slice(0, 4).join(' ') + '|' + uci;
+    const entry = entries.get(id) || { fen, move: uci, weight: 0 };
+    entry.weight++;
+    entries.set(id, entry);
+    EngineCore.makeMove(state, move);
+  }
+});
+
+const bytes = writeBook([...entries.values()]);
+fs.writeFileSync(output, bytes);
+console.log(`${lineCount} lines, ${entries.size} entries, ${bytes.length} bytes -> ${output}`);
@@ -0,0 +1,139 @@
+// Generates lib/kpk.js, the king and pawn versus king bitbase, by retrograde analysis.
+//   node tools/make-kpk.js [output]
+// Positions are stored with white as the side with the pawn and the pawn on files a-d;
+// the core flips and mirrors other positions onto these. Squares are 0..63 with a1 = 0.
+const fs = require('fs');
+const path = require('path');
+
+const output = process.argv[2] || path.join(__dirname, '..', 'lib', 'kpk.js');
+
+// side to move (0 white, 1 black), black king, white king, and the pawn's file (0..3)
+// and rank (1..6); 2 * 64 * 64 * 24 entries
+function kpkIndex(blackToMove, blackKing, whiteKing, pawn) {
+  return blackToMove | (blackKing << 1) | (whiteKing << 7) | (((pawn & 7) + 4 * ((pawn >> 3) - 1)) << 13);
+}
+const SIZE = 2 * 64 * 64 * 24;
+
+const INVALID = 0;
+const UNKNOWN = 1;
+const DRAW = 2;
+const WIN = 4;
+
+const distance = (a, b) => Math.max(Math.abs((a & 7) - (b & 7)), Math.abs((a >> 3) - (b >> 3)));
+
+const KING_TARGETS = [];
+for (let sq = 0; sq < 64; sq++) {
+  KING_TARGETS.push([]);
+  for (let to = 0; to < 64; to++) if (to !== sq && distance(sq, to) === 1) KING_TARGETS[sq].push(to);
+}
+
+function pawnAttacks(pawn, sq) {
+  return (sq >> 3) === (pawn >> 3) + 1 && Math.abs((sq & 7) - (pawn & 7)) === 1;
+}
+
+// Every index with its squares, so the iteration below does not decode them again
+const positions = [];
+for (let stm = 0; stm < 2; stm++) {
+  for (let bk = 0; bk < 64; bk++) {
+    for (let wk = 0; wk < 64; wk++) {
+      for (let rank = 1; rank <= 6; rank++) {
+        for (let file = 0; file < 4; file++) {
+          positions.push({ stm, bk, wk, pawn: rank * 8 + file });
+        }
+      }
+    }
+  }
+}
+
+// Positions decided without looking ahead: illegal ones, immediate safe promotions, and
+// black either stalemated or free to take an undefended pawn
+const db = new Uint8Array(SIZE);
+for (const { stm, bk, wk, pawn } of positions) {
+  const idx = kpkIndex(stm, bk, wk, pawn);
+  const promotion = pawn + 8;
+  if (wk === bk || wk === pawn || bk === pawn || distance(wk, bk) <= 1 || (stm === 0 && pawnAttacks(pawn, bk))) {
+    db[idx] = INVALID;
+  } else if (stm === 0 && (pawn >> 3) === 6 && wk !== promotion && (distance(bk, promotion) > 1 || distance(wk, promotion) === 1)) {
+    db[idx] = WIN;
+  } else if (stm === 1 && (
+    !KING_TARGETS[bk].some(sq => distance(sq, wk) > 1 && !pawnAttacks(pawn, sq)) ||
+    (distance(bk, pawn) === 1 && distance(wk, pawn) > 1))) {
+    db[idx] = DRAW;
+  } else {
+    db[idx] = UNKNOWN;
+  }
+}
+
+// White wins if some move reaches a win; black holds if some move reaches a draw. Moves
+// into illegal positions look up INVALID (0) and drop out of the union.
+let changed = true;
+let passes = 0;
+while (changed) {
+  changed = false;
+  passes++;
+  for (const { stm, bk, wk, pawn } of positions) {
+    const idx = kpkIndex(stm, bk, wk, pawn);
+    if (db[idx] !== UNKNOWN) continue;
+    let reached = 0;
+    let result;
+    if (stm === 0) {
+      for (const to of KING_TARGETS[wk]) reached |= db[kpkIndex(1, bk, to, pawn)];
+      if ((pawn >> 3) < 6) reached |= db[kpkIndex(1, bk, wk, pawn + 8)];
+      if ((pawn >> 3) === 1 && pawn + 8 !== wk && pawn + 8 !== bk) reached |= db[kpkIndex(1, bk, wk, pawn + 16)];
+      result = reached & WIN ? WIN : reached & UNKNOWN ? UNKNOWN : DRAW;
+    } else {
+      for (const to of KING_TARGETS[bk]) reached |= db[kpkIndex(0, to, wk, pawn)];
+      result = reached & DRAW ? DRAW : reached & UNKNOWN ? UNKNOWN : WIN;
+    }
+    if (result !== UNKNOWN) {
+      db[idx] = result;
+      changed = true;
+    }
+  }
+}
+
+const bits = new Uint8Array(SIZE / 8);
+let wins = 0;
+for (let idx = 0; idx < SIZE; idx++) {
+  if (db[idx] === WIN) {
+    bits[idx >> 3] |= 1 << (idx & 7);
+    wins++;
+  }
+}
+
+const encoded = Buffer.from(bits).toString('base64');
+const chunks = encoded.match(/.{1,96}/g).map(chunk => `    '${chunk}'`);
+const source = `// KPK bitbase: whether king and pawn beat a lone king. Generated by tools/make-kpk.js
+// (retrograde analysis); do not edit by hand, run the tool again instead.
+(function() {
+  const DATA = [
+${chunks.join(',\n')}
+  ].join('');
+
+  const BITS = Uint8Array.from(atob(DATA), ch => ch.charCodeAt(0));
+
+  ${kpkIndex.toString().replace(/\n/g, '\n  ')}
+
+  // True when the side with the pawn wins. Squares are 0..63 (a1 = 0) seen from the
+  // pawn's side, so a black pawn's position must be flipped (square ^ 56) by the caller.
+  function probe(strongKing, pawn, weakKing, strongToMove) {
+    if ((pawn & 7) > 3) {
+      strongKing ^= 7;
+      pawn ^= 7;
+      weakKing ^= 7;
+    }
+    const idx = kpkIndex(strongToMove ? 0 : 1, weakKing, strongKing, pawn);
+    return (BITS[idx >> 3] & (1 << (idx & 7))) !== 0;
+  }
+
+  const EngineKPK = { probe };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineKPK;
+  } else {
+    globalThis.EngineKPK = EngineKPK;
+  }
+})();
+`;
+fs.writeFileSync(output, source);
+console.log(`${passes} passes, ${wins} winning positions, ${bits.length} bytes -> ${output}`);
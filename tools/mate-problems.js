@@ -0,0 +1,39 @@
+// Checks findMate against a set of mate problems: classic mates plus positions from
+// engine games, each with every key and the length of the quickest mate.
+//   node tools/mate-problems.js
+// A problem with a solution must have exactly the listed keys and no shorter mate; one
+// without (mateIn null) must come back as "no mate in n".
+const EngineCore = require('../lib/engine-core.js');
+
+const PROBLEMS = [
+  { name: 'back rank', fen: '6k1/5ppp/8/8/8/8/5PPP/3R2K1 w - - 0 1', n: 1, mateIn: 1, keys: ['Rd8#'] },
+  { name: "fool's mate", fen: 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq g3 0 2', n: 1, mateIn: 1, keys: ['Qh4#'] },
+  { name: "Legall's mate", fen: 'rn1qkbnr/ppp2p1p/3p2p1/4N3/2B1P3/2N5/PPPP1PPP/R1BbK2R w KQkq - 0 6', n: 2, mateIn: 2, keys: ['Bxf7+'] },
+  { name: 'Morphy, mate in 2', fen: 'kbK5/pp6/1P6/8/8/8/8/R7 w - - 0 1', n: 2, mateIn: 2, keys: ['Ra6'] },
+  { name: 'Morphy, no mate in 1', fen: 'kbK5/pp6/1P6/8/8/8/8/R7 w - - 0 1', n: 1, mateIn: null, keys: [] },
+  { name: 'smothered mate', fen: '3r3k/6pp/7N/8/2Q5/8/5PPP/6K1 w - - 0 1', n: 2, mateIn: 2, keys: ['Qg8+'] },
+  { name: 'rook sacrifice', fen: '6k1/pp4p1/2p5/2bp4/8/P5Pb/1P3rrP/2BRRN1K b - - 0 1', n: 2, mateIn: 2, keys: ['Rg1+'] },
+  { name: 'knight check, bishop mate', fen: 'r2qkb1r/pp2nppp/3p4/2pNN1B1/2BnP3/3P4/PPP2PPP/R2bK2R w KQkq - 1 10', n: 2, mateIn: 2, keys: ['Nf6+'] },
+  { name: 'quiet rook move', fen: '1N2k3/8/8/8/R7/5P1B/2PP1K2/2Q3N1 w - - 4 40', n: 3, mateIn: 3, keys: ['Ra7'] },
+  { name: 'two keys', fen: '8/1p6/r6b/8/5k2/8/8/4K3 b - - 3 37', n: 3, mateIn: 3, keys: ['Ke3', 'Kf3'] },
+  { name: 'queen to the long diagonal', fen: 'rnb2R2/2p4k/1p4p1/1p6/5P2/P2N4/2PPP3/RQ2KBN1 w Q - 1 21', n: 3, mateIn: 3, keys: ['Qb2'] },
+  { name: 'KQK, too far for 4', fen: '8/8/8/8/8/2k5/8/K6Q w - - 0 1', n: 4, mateIn: null, keys: [] }
+];
+
+let wrong = 0;
+for (const problem of PROBLEMS) {
+  const result = EngineCore.findMate(problem.fen, problem.n);
+  const keys = result.keys.map(k => k.san).sort();
+  const problems = [];
+  if (result.mateIn !== problem.mateIn) problems.push(`mate in ${result.mateIn}, expected ${problem.mateIn}`);
+  if (keys.join(' ') !== problem.keys.slice().sort().join(' ')) problems.push(`keys ${keys.join(' ') || 'none'}, expected ${problem.keys.join(' ') || 'none'}`);
+  if (problem.mateIn && problem.mateIn > 1 && EngineCore.findMate(problem.fen, problem.mateIn - 1).mate) {
+    problems.push(`also mates in ${problem.mateIn - 1}`);
+  }
+  if (problems.length) wrong++;
+  const summary = result.mate ? result.lineSan.join(' ') : `no mate in ${problem.n}`;
+  console.log(`${problems.length ? 'FAIL' : 'ok  '} ${problem.name}: ${summary} (${result.nodes} nodes ${result.time}ms)`);
+  for (const message of problems) console.log(`     ${message}`);
+}
+console.log(wrong ? `\n${wrong} problem(s) wrong` : '\nall problems solved');
+process.exitCode = wrong ? 1 : 0;
@@ -0,0 +1,36 @@
+// Move generator speed benchmark: perft to a fixed depth on a few positions and report
+// nodes per second. Counts are checked too, so a fast but wrong generator shows up.
+//   node tools/perft-bench.js [depth offset]
+const EngineCore = require('../lib/engine-core.js');
+
+const POSITIONS = [
+  { name: 'start position', fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', depth: 4, nodes: 197281 },
+  { name: 'kiwipete', fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1', depth: 3, nodes: 97862 },
+  { name: 'en passant and pins', fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1', depth: 5, nodes: 674624 },
+  { name: 'promotions and castling', fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1', depth: 3, nodes: 9467 },
+  { name: 'middlegame', fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10', depth: 3, nodes: 89890 }
+];
+
+// perft counts for one more ply, used when a depth offset of 1 is given
+const DEEPER = [4865609, 4085603, 11030083, 422333, 3894594];
+
+const offset = parseInt(process.argv[2] || '0', 10);
+let totalNodes = 0;
+let totalTime = 0;
+let wrong = 0;
+POSITIONS.forEach(({ name, fen, depth, nodes: expected }, i) => {
+  const target = depth + offset;
+  const started = Date.now();
+  const nodes = EngineCore.perft(fen, target);
+  const time = Date.now() - started;
+  const reference = offset === 0 ? expected : offset === 1 ? DEEPER[i] : null;
+  const ok = reference === null || nodes === reference;
+  if (!ok) wrong++;
+  totalNodes += nodes;
+  totalTime += time;
+  const nps = time > 0 ? Math.round((nodes * 1000) / time) : 0;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name} depth ${target}: ${nodes} nodes ${time}ms ${nps} nps`);
+});
+const nps = totalTime > 0 ? Math.round((totalNodes * 1000) / totalTime) : 0;
+console.log(`\n${totalNodes} nodes in ${totalTime}ms (${nps} nps)${wrong ? `, ${wrong} count(s) wrong` : ''}`);
+process.exitCode = wrong ? 1 : 0;
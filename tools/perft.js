@@ -0,0 +1,95 @@
+// Perft validation harness for the move generator.
+//   node tools/perft.js                 run the standard and Chess960 positions and check node counts
+//   node tools/perft.js <fen> <depth>   print divide output for one position
+const EngineCore = require('../lib/engine-core.js');
+
+// Reference counts from https://www.chessprogramming.org/Perft_Results
+const POSITIONS = [
+  {
+    name: 'start position',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    counts: [20, 400, 8902, 197281]
+  },
+  {
+    name: 'kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862]
+  },
+  {
+    name: 'en passant and pins',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'promotions and castling',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467]
+  },
+  {
+    name: 'mirrored promotions and castling',
+    fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    counts: [6, 264, 9467]
+  },
+  {
+    name: 'underpromotion to check',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379]
+  },
+  {
+    name: 'middlegame',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    counts: [46, 2079, 89890]
+  }
+];
+
+// The first positions of the Chess960 suite, reference counts from
+// https://www.chessprogramming.org/Chess960_Perft_Results (Shredder-FEN castling)
+const CHESS960_POSITIONS = [
+  ['bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9', [21, 528, 12189, 326672]],
+  ['2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9', [21, 807, 18002, 667366]],
+  ['b1q1rrkb/pppppppp/3nn3/8/P7/1PPP4/4PPPP/BQNNRKRB w GE - 1 9', [20, 479, 10471, 273318]],
+  ['qbbnnrkr/2pp2pp/p7/1p2pp2/8/P3PP2/1PPP1KPP/QBBNNR1R w hf - 0 9', [22, 593, 13440, 382958]],
+  ['1nbbnrkr/p1p1ppp1/3p4/1p3P1p/3Pq2P/8/PPP1P1P1/QNBBNRKR w HFhf - 0 9', [28, 1120, 31058, 1171749]],
+  ['qnbnr1kr/ppp1b1pp/4p3/3p1p2/8/2NPP3/PPP1BPPP/QNB1R1KR w HEhe - 1 9', [29, 899, 26578, 824055]],
+  ['q1bnrkr1/ppppp2p/2n2p2/4b1p1/2NP4/8/PPP1PPPP/QNB1RRKB w ge - 1 9', [30, 860, 24566, 732757]],
+  ['qbn1brkr/ppp1p1p1/2n4p/3p1p2/P7/6PP/QPPPPP2/1BNNBRKR w HFhf - 0 9', [25, 635, 17054, 465806]],
+  ['qnnbbrkr/1p2ppp1/2pp3p/p7/1P5P/2NP4/P1P1PPP1/Q1NBBRKR w HFhf - 0 9', [24, 572, 15243, 384260]],
+  ['qn1rbbkr/ppp2p1p/1n1pp1p1/8/3P4/P6P/1PP1PPPK/QNNRBB1R w hd - 2 9', [28, 811, 23175, 679699]]
+].map(([fen, counts], i) => ({ name: `chess960 #${i + 1}`, fen, counts }));
+
+function runSuite(positions) {
+  let failures = 0;
+  for (const { name, fen, counts } of positions) {
+    counts.forEach((expected, i) => {
+      const depth = i + 1;
+      const started = Date.now();
+      const nodes = EngineCore.perft(fen, depth);
+      const ok = nodes === expected;
+      if (!ok) failures++;
+      console.log(`${ok ? 'ok  ' : 'FAIL'} ${name} depth ${depth}: ${nodes}${ok ? '' : ` (expected ${expected})`} ${Date.now() - started}ms`);
+    });
+  }
+  return failures;
+}
+
+function runDivide(fen, depth) {
+  const { moves, total } = EngineCore.divide(fen, depth);
+  for (const move of Object.keys(moves).sort()) {
+    console.log(`${move}: ${moves[move]}`);
+  }
+  console.log(`\nNodes: ${total}`);
+}
+
+// test/perft.test.js checks the same positions at cheap depths
+module.exports = { POSITIONS, CHESS960_POSITIONS };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.length) {
+    runDivide(args[0], parseInt(args[1] || '1', 10));
+  } else {
+    const failures = runSuite(POSITIONS) + runSuite(CHESS960_POSITIONS);
+    console.log(failures ? `${failures} perft count(s) wrong` : 'all perft counts match');
+    process.exitCode = failures ? 1 : 0;
+  }
+}
@@ -0,0 +1,177 @@
+// Texel tuning of the evaluation weights: adjusts them until the static evaluation of a set
+// of labelled positions best predicts the results of the games they came from.
+//   node tools/tune.js <positions.epd> [output.json] [--start weights.json] [--passes n]
+//                      [--step n] [--limit n] [--pst]
+// Every line holds a position and its game's result, as an opcode (c9 "1-0", c0 "1/2-1/2")
+// or a trailing [1.0] / [0.5] / [0.0]. The positions should be quiet, as in the
+// quiet-labeled sets usually used for this; ones in check or in a recognised endgame are
+// skipped. Weights are changed one at a time by ±step and kept while the error falls, and
+// the step halves when a pass changes nothing. Nothing is random, so the same file and
+// options always give the same weights. Pass the written JSON as options.weights.
+const fs = require('fs');
+const EngineCore = require('../lib/engine-core.js');
+
+function parseArgs(argv) {
+  const args = { files: [], passes: 100, step: 8, limit: Infinity, pst: false, start: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--pst') args.pst = true;
+    else if (arg === '--start') args.start = argv[++i];
+    else if (arg === '--passes') args.passes = parseInt(argv[++i], 10);
+    else if (arg === '--step') args.step = parseInt(argv[++i], 10);
+    else if (arg === '--limit') args.limit = parseInt(argv[++i], 10);
+    else args.files.push(arg);
+  }
+  return args;
+}
+
+const RESULTS = { '1-0': 1, '0-1': 0, '1/2-1/2': 0.5 };
+
+// The game result (1, 0.5 or 0 for white) recorded on an EPD line, or null
+function lineResult(line) {
+  const opcode = line.match(/\bc[09]\s+"?(1-0|0-1|1\/2-1\/2)"?/);
+  if (opcode) return RESULTS[opcode[1]];
+  const bracket = line.match(/\[(1(?:\.0)?|0\.5|0(?:\.0)?)\]/);
+  if (bracket) return parseFloat(bracket[1]);
+  const trailing = line.match(/(1-0|0-1|1\/2-1\/2)\W*$/);
+  return trailing ? RESULTS[trailing[1]] : null;
+}
+
+function loadPositions(file, limit) {
+  const positions = [];
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (positions.length >= limit) break;
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 4) continue;
+    const result = lineResult(line);
+    if (result === null) {
+      skipped++;
+      continue;
+    }
+    const state = EngineCore.fenToState(fields.slice(0, 4).join(' '));
+    const trace = {};
+    EngineCore.evaluate(state, trace);
+    const king = EngineCore.findKing(state, state.whiteToMove);
+    const checked = king !== -1 && EngineCore.isSquareAttacked(state, king, !state.whiteToMove);
+    if (checked || trace.endgame || trace.insufficientMaterial) {
+      skipped++;
+      continue;
+    }
+    positions.push({ state, result });
+  }
+  return { positions, skipped };
+}
+
+// Mean squared difference between the results and the win chances the evaluations give
+function meanError(positions, weights, k) {
+  let sum = 0;
+  for (const { state, result } of positions) {
+    const score = EngineCore.evaluate(state, null, weights);
+    const expected = 1 / (1 + Math.pow(10, (-k * score) / 400));
+    sum += (result - expected) * (result - expected);
+  }
+  return sum / positions.length;
+}
+
+// The scaling constant that fits the starting weights best, by ternary search
+function fitK(positions, weights) {
+  let low = 0;
+  let high = 4;
+  for (let i = 0; i < 40; i++) {
+    const a = low + (high - low) / 3;
+    const b = high - (high - low) / 3;
+    if (meanError(positions, weights, a) < meanError(positions, weights, b)) high = b;
+    else low = a;
+  }
+  return Math.round(((low + high) / 2) * 1e4) / 1e4;
+}
+
+// Every tunable number as { name, array, index }. The king's material, passed-pawn
+// entries for ranks a pawn never stands on and (without --pst) the piece-square tables
+// are left alone.
+function tunableParameters(weights, pst) {
+  const params = [];
+  const pairs = (name, pair) => pair.forEach((value, i) => params.push({ name: `${name}[${i}]`, array: pair, index: i }));
+  for (const [piece, pair] of Object.entries(weights.material)) if (piece !== 'k') pairs(`material.${piece}`, pair);
+  for (const key of ['doubledPawn', 'isolatedPawn', 'bishopPair', 'rookOpenFile', 'rookSemiOpenFile', 'kingShelterMissing', 'kingOpenFile']) {
+    pairs(key, weights[key]);
+  }
+  weights.passedPawn.forEach((pair, rank) => {
+    if (rank > 0 && rank < 7) pairs(`passedPawn[${rank}]`, pair);
+  });
+  for (const [piece, pair] of Object.entries(weights.mobility)) pairs(`mobility.${piece}`, pair);
+  if (pst) {
+    for (const [piece, tables] of Object.entries(weights.pieceSquares)) {
+      tables.forEach((table, phase) => table.forEach((value, sq) => {
+        if (piece === 'p' && (sq < 8 || sq >= 56)) return;
+        params.push({ name: `pieceSquares.${piece}[${phase}][${sq}]`, array: table, index: sq });
+      }));
+    }
+  }
+  return params;
+}
+
+// JSON with [mg, eg] pairs on one line and 64-square tables eight to a line, so they
+// still read like a board
+function formatWeights(value, indent = '') {
+  const inner = indent + '  ';
+  if (Array.isArray(value) && value.every(v => typeof v === 'number')) {
+    if (value.length !== 64) return `[${value.join(', ')}]`;
+    const rows = [];
+    for (let rank = 0; rank < 8; rank++) rows.push(inner + value.slice(rank * 8, rank * 8 + 8).join(', '));
+    return `[\n${rows.join(',\n')}\n${indent}]`;
+  }
+  if (Array.isArray(value)) {
+    return `[\n${value.map(v => inner + formatWeights(v, inner)).join(',\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value).map(([key, v]) => `${inner}${JSON.stringify(key)}: ${formatWeights(v, inner)}`);
+  return `{\n${entries.join(',\n')}\n${indent}}`;
+}
+
+function tune(args) {
+  const [input, output = 'weights.json'] = args.files;
+  const weights = args.start
+    ? EngineCore.resolveWeights(JSON.parse(fs.readFileSync(args.start, 'utf8')))
+    : EngineCore.defaultWeights();
+  // resolveWeights shares unchanged entries with the defaults; tune a copy of its own
+  const tuned = JSON.parse(JSON.stringify(weights));
+  const { positions, skipped } = loadPositions(input, args.limit);
+  if (!positions.length) throw new Error(`No labelled positions in ${input}`);
+  console.log(`${positions.length} positions (${skipped} lines skipped)`);
+  const k = fitK(positions, tuned);
+  let best = meanError(positions, tuned, k);
+  console.log(`K ${k}, starting error ${best.toFixed(6)}`);
+  const params = tunableParameters(tuned, args.pst);
+  let step = args.step;
+  for (let pass = 1; pass <= args.passes && step > 0; pass++) {
+    let changed = 0;
+    for (const { array, index } of params) {
+      const start = array[index];
+      let improved = false;
+      for (const delta of [step, -step]) {
+        array[index] = start + delta;
+        const error = meanError(positions, tuned, k);
+        if (error < best) {
+          best = error;
+          improved = true;
+          break;
+        }
+      }
+      if (improved) changed++;
+      else array[index] = start;
+    }
+    console.log(`pass ${pass}: step ${step}, ${changed} weights changed, error ${best.toFixed(6)}`);
+    fs.writeFileSync(output, formatWeights(tuned) + '\n');
+    if (!changed) step >>= 1;
+  }
+  console.log(`wrote ${output}`);
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.files.length) {
+  console.log('usage: node tools/tune.js <positions.epd> [output.json] [--start weights.json] [--passes n] [--step n] [--limit n] [--pst]');
+  process.exitCode = 1;
+} else {
+  tune(args);
+}